@@ -0,0 +1,51 @@
+/**
+ * Route Check CLI
+ * Verifies PAGE_HANDLERS routing against known URLs and lints for bare-word and broad substring patterns
+ * (the same checks `npm run test:unit` runs as test cases, printed as one report)
+ *
+ * Usage:
+ *   npm run check:routes
+ *
+ * Exit code is 1 when a URL resolves to the wrong handler, a substring pattern is a single word or
+ * matches another handler's URL; template/regex overlaps (patterns that only lose on specificity) are printed as warnings
+ */
+
+import { ROUTE_EXPECTATIONS, checkRouteExpectations, findBareWords, findBroadSubstrings, findPatternOverlaps } from './utils/routeCheck.js';
+
+function main() {
+  const failures = checkRouteExpectations();
+  const bare = findBareWords();
+  const broad = findBroadSubstrings();
+  const overlaps = findPatternOverlaps();
+
+  console.log(`🧭 Route check: ${ROUTE_EXPECTATIONS.length - failures.length}/${ROUTE_EXPECTATIONS.length} URLs resolve to the expected handler`);
+  for (const failure of failures) {
+    const via = failure.matchedPattern ? ` (via ${failure.matchedPattern})` : '';
+    console.log(`   ❌ ${failure.url}: expected ${failure.expected || 'no handler'}, got ${failure.actual || 'no handler'}${via}`);
+  }
+
+  console.log(`\n🔍 Bare-word substring patterns: ${bare.length}`);
+  for (const entry of bare) {
+    console.log(`   ❌ ${entry.handler} ${entry.pattern} matches inside any URL containing the word - use a path template`);
+  }
+
+  console.log(`\n🔍 Broad substring patterns: ${broad.length}`);
+  for (const entry of broad) {
+    console.log(`   ❌ ${entry.handler} ${entry.pattern} also matches ${entry.url} (${entry.expected || 'no handler'})`);
+  }
+
+  if (overlaps.length > 0) {
+    console.log(`\n⚠️  Overlapping patterns: ${overlaps.length}`);
+    for (const entry of overlaps) {
+      console.log(`   ${entry.handler} ${entry.pattern} also matches ${entry.url} (${entry.expected || 'no handler'})`);
+    }
+  }
+
+  if (failures.length > 0 || bare.length > 0 || broad.length > 0) {
+    process.exitCode = 1;
+  } else {
+    console.log('\n✅ Routing OK');
+  }
+}
+
+main();
@@ -1,6 +1,6 @@
 /**
  * Fast Test Runner
- * Uses Stagehand + GPT-4o-mini for fast LLC formation testing
+ * Uses Stagehand + GPT-4o-mini for fast formation testing (LLC, DBA, Corporation, Nonprofit)
  *
  * Usage:
  *   npm run test:turbo                    # Default: minimal (cheapest path)
@@ -8,139 +8,262 @@
  *   npm run test:turbo -- --goal=standard # Select sensible options, Pro package
  *   npm run test:turbo -- --goal=premium  # Accept all upsells, Premium package
  *   npm run test:turbo -- --goal=banking  # ZenBusiness Banking focus, Pro package + apply for bank account
+ *
+ * Scenarios:
+ *   npm run test:turbo -- --scenario=llc          # Default: LLC formation
+ *   npm run test:turbo -- --scenario=multi-member-llc  # LLC with several members and ownership splits
+ *   npm run test:turbo -- --scenario=dba          # DBA (trade name) registration
+ *   npm run test:turbo -- --scenario=corporation  # Corporation with directors and share structure
+ *   npm run test:turbo -- --scenario=nonprofit    # Nonprofit with board and 501(c)(3) purpose
+ *
+ * Environment profiles (environments.json):
+ *   npm run test:turbo -- --env=dev         # Default: dev.zenbusiness.com
+ *   npm run test:turbo -- --env=staging
+ *   npm run test:turbo -- --env=local-mock  # Local mock site (start it first with `npm run mock:serve`)
+ *   npm run test:turbo -- --base-url=URL    # Override the profile's base URL
+ *
+ * Reproducible personas:
+ *   npm run test:turbo -- --seed=1a2b3c4d   # Same seed + goal = same name, state, address and business
+ *
+ * Record / replay (recordings/<env>.json, keyed by handler + page fingerprint):
+ *   npm run test:turbo -- --record   # Store the concrete action behind every Stagehand act/fill/select
+ *   npm run test:turbo -- --replay   # Re-run stored actions without an LLM, Stagehand only when a selector no longer matches
+ *
+ * LLM providers per role (act = Stagehand, decide = unknown pages, vision = journey pages):
+ *   npm run test:turbo -- --llm=decide=stub,vision=stub        # Deterministic offline answers for decide/vision
+ *   npm run test:turbo -- --llm=act=anthropic:claude-3-5-sonnet-latest,vision=openai:gpt-4o
+ *   npm run test:turbo -- --env=local-mock --llm=decide=scripted:fixture.json,vision=scripted:fixture.json  # Scripted answers (see ScriptedProvider)
+ *   npm run test:turbo -- --env=local-mock --llm=act=scripted:fixture.json    # Scripted Stagehand actions, no model at all (see FastAgent.offlineAct)
+ *
+ * LLM budget (defaults in environments.js, overridable per profile; the run stops with BUDGET_EXCEEDED):
+ *   npm run test:turbo -- --budget=calls=150,cost=0.50   # Per-run cap on calls, tokens and/or dollars
+ *   npm run test:turbo -- --page-budget=calls=20         # Per-page cap (repeated steps on one URL add up)
+ *
+ * Run history (every run is appended to run-history.jsonl):
+ *   npm run test:turbo -- --review                     # Failure signatures, pass rate per handler and state
+ *   npm run test:turbo -- --review --since=2026-10-01  # Also flag handlers that started failing since then
+ *
+ * CI output (exit code is 1 when any run fails):
+ *   npm run test:turbo -- --reporter=junit                    # test-results/junit.xml
+ *   npm run test:turbo -- --matrix --reporter=junit,json      # One test case per matrix persona
+ *   npm run test:turbo -- --reporter=json --reporter-dir=out  # Write to out/results.json
+ *
+ * Matrix mode (goal x state x package, one FastAgent and test-run folder per run):
+ *   npm run test:turbo -- --matrix                                  # Pairwise-reduced subset of goals x states x packages
+ *   npm run test:turbo -- --matrix=full                             # Every combination (612 live runs unfiltered)
+ *   npm run test:turbo -- --matrix=full --goals=minimal,premium --states=CA,TX --packages=starter,pro
+ *   npm run test:turbo -- --matrix --concurrency=3
  */
 
 import 'dotenv/config';
-import fs from 'fs';
 import path from 'path';
 import { FastAgent } from './utils/fastAgent.js';
-import { generatePersona, generateBusinessDetails } from './utils/personaGenerator.js';
+import { generatePersona, generateBusinessDetails, usStates, TEST_GOAL_TYPES } from './utils/personaGenerator.js';
+import { loadEnvironment, resolveLlmConfig } from './utils/environments.js';
+import { parseLlmOverrides } from './utils/llmProviders.js';
+import { buildMatrix, runMatrix, printMatrixTable } from './utils/matrixRunner.js';
+import { SCENARIOS } from './utils/config.js';
+import { writeRunReport } from './utils/reportGenerator.js';
+import { REPORTERS, RESULTS_DIR, writeResults } from './utils/resultReporters.js';
+import { parseBudget } from './utils/usageTracker.js';
+import {
+  RUN_HISTORY_PATH,
+  appendRun,
+  loadRunHistory,
+  summarizeRuns,
+  handlersFromTrace,
+  lastHandlerFromTrace
+} from './utils/runHistory.js';
+import { getHandlerName } from './utils/pageHandlers.js';
 
-// Error log file for tracking failed runs
-const ERROR_LOG_PATH = './zenbusiness-automation/failed-runs.json';
 
-// Parse command line args for goal type
-function getGoalType() {
+// Parse a --name=value command line arg
+function getArg(name, defaultValue = null) {
   const args = process.argv.slice(2);
   for (const arg of args) {
-    if (arg.startsWith('--goal=')) {
-      return arg.split('=')[1];
+    if (arg.startsWith(`--${name}=`)) {
+      return arg.slice(name.length + 3);
     }
   }
-  return 'minimal'; // Default to cheapest path
+  return defaultValue;
 }
 
-/**
- * Load existing failed runs log
- */
-function loadFailedRuns() {
-  try {
-    if (fs.existsSync(ERROR_LOG_PATH)) {
-      return JSON.parse(fs.readFileSync(ERROR_LOG_PATH, 'utf8'));
-    }
-  } catch (e) {
-    console.log('   Could not load previous failed runs');
-  }
-  return { runs: [], summary: {} };
+// Check for a bare --name flag
+function hasFlag(name) {
+  return process.argv.slice(2).includes(`--${name}`);
 }
 
-/**
- * Save a failed run to the log
- */
-function saveFailedRun(runData) {
-  const log = loadFailedRuns();
+// Parse a comma-separated --name=a,b,c arg
+function getListArg(name, defaultValue) {
+  const value = getArg(name);
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : defaultValue;
+}
 
-  // Add this run
-  log.runs.push({
-    timestamp: new Date().toISOString(),
-    ...runData
-  });
+// Parse command line args for goal type
+function getGoalType() {
+  return getArg('goal', 'minimal'); // Default to cheapest path
+}
 
-  // Keep only last 20 failed runs
-  if (log.runs.length > 20) {
-    log.runs = log.runs.slice(-20);
+// --record / --replay -> ActionStore mode
+function getActionMode() {
+  if (hasFlag('record') && hasFlag('replay')) {
+    throw new Error('Use either --record or --replay, not both');
   }
+  if (hasFlag('record')) return 'record';
+  if (hasFlag('replay')) return 'replay';
+  return 'off';
+}
 
-  // Update summary of common errors
-  if (runData.error) {
-    const errorKey = runData.error.substring(0, 50);
-    log.summary[errorKey] = (log.summary[errorKey] || 0) + 1;
+// --matrix / --matrix=pairwise / --matrix=full -> matrix mode, null without --matrix
+// The full product is opt-in: unfiltered it is hundreds of live runs
+function getMatrixMode() {
+  const mode = getArg('matrix') ?? (hasFlag('matrix') ? 'pairwise' : null);
+  if (mode !== null && !['pairwise', 'full'].includes(mode)) {
+    throw new Error(`Unknown matrix mode "${mode}". Available: pairwise, full`);
   }
+  return mode;
+}
 
-  fs.writeFileSync(ERROR_LOG_PATH, JSON.stringify(log, null, 2));
-  console.log(`\n📝 Failed run saved to ${ERROR_LOG_PATH}`);
+// Parse --scenario (llc, multi-member-llc, dba, corporation, nonprofit)
+function getScenario() {
+  const scenario = getArg('scenario', 'llc');
+  if (!SCENARIOS[scenario]) {
+    throw new Error(`Unknown scenario "${scenario}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+  return scenario;
 }
 
 /**
- * Review recent failed runs and show patterns
+ * Record a finished run (pass or fail) in the run history
  */
-function reviewFailedRuns() {
-  const log = loadFailedRuns();
+function recordRun(runData) {
+  const record = appendRun(runData);
+  if (!record.success) {
+    console.log(`\n📝 Failed run recorded in ${RUN_HISTORY_PATH}`);
+    console.log(`   Signature: ${record.signature}`);
+  }
+  return record;
+}
 
-  if (log.runs.length === 0) {
-    console.log('\n✅ No failed runs recorded');
+const formatRate = ({ passed, runs }) => `${Math.round((passed / runs) * 100)}% (${passed}/${runs})`;
+
+/**
+ * Review run history: recent failures, failure signatures, pass rates per handler and state
+ * @param {Object} options - { since } ISO date; also flags handlers whose failures started on/after it
+ */
+function reviewFailedRuns({ since = null } = {}) {
+  const runs = loadRunHistory();
+  const failures = runs.filter(run => !run.success);
+
+  if (runs.length === 0) {
+    console.log(`\nNo runs recorded yet (${RUN_HISTORY_PATH})`);
     return;
   }
 
+  const summary = summarizeRuns(runs, { since });
+
   console.log('\n' + '='.repeat(60));
-  console.log('📋 RECENT FAILED RUNS ANALYSIS');
+  console.log('📋 RUN HISTORY ANALYSIS');
   console.log('='.repeat(60));
+  console.log(`\n${summary.passed}/${summary.total} runs passed${summary.legacy ? ` (plus ${summary.legacy} failures imported from failed-runs.json)` : ''}`);
+
+  if (failures.length === 0) {
+    console.log('\n✅ No failed runs recorded');
+  }
 
   // Show last 3 failures
-  console.log('\nLast 3 failures:');
-  const recent = log.runs.slice(-3);
+  if (failures.length > 0) console.log('\nLast 3 failures:');
+  const recent = failures.slice(-3);
   for (const run of recent) {
     console.log(`\n  ${run.timestamp}`);
     console.log(`    Final URL: ${run.finalUrl || 'unknown'}`);
+    console.log(`    Handler: ${run.handler || 'unknown'}`);
     console.log(`    Error: ${run.error || 'unknown'}`);
     console.log(`    Steps: ${run.steps || 0}`);
     if (run.screenshotFolder) {
       console.log(`    Screenshots: ${run.screenshotFolder}`);
     }
+    if (run.traceFile) {
+      console.log(`    Trace: ${run.traceFile}`);
+    }
+    if (run.seed) {
+      const scenarioArg = run.scenario && run.scenario !== 'llc' ? ` --scenario=${run.scenario}` : '';
+      console.log(`    Replay: --seed=${run.seed}${run.goal ? ` --goal=${run.goal}` : ''}${scenarioArg}`);
+    }
+  }
+
+  // Show failure signatures
+  if (summary.signatures.length > 0) console.log('\n\nFailure signatures (most common):');
+  for (const entry of summary.signatures.slice(0, 5)) {
+    console.log(`    ${entry.count}x: ${entry.signature}`);
+    console.log(`        last seen ${entry.lastSeen}`);
+  }
+
+  // Lowest pass rates first
+  const byRate = stats => Object.entries(stats).sort((a, b) => a[1].passRate - b[1].passRate);
+
+  console.log('\nPass rate per handler:');
+  for (const [handler, stats] of byRate(summary.byHandler)) {
+    console.log(`    ${handler.padEnd(26)} ${formatRate(stats)}`);
+  }
+
+  console.log('\nPass rate per state:');
+  for (const [state, stats] of byRate(summary.byState)) {
+    console.log(`    ${state.padEnd(26)} ${formatRate(stats)}`);
   }
 
-  // Show error patterns
-  if (Object.keys(log.summary).length > 0) {
-    console.log('\n\nError patterns (most common):');
-    const sorted = Object.entries(log.summary).sort((a, b) => b[1] - a[1]);
-    for (const [error, count] of sorted.slice(0, 5)) {
-      console.log(`    ${count}x: ${error}`);
+  if (since) {
+    console.log(`\nHandlers failing since ${since}:`);
+    if (summary.newFailures.length === 0) {
+      console.log('    none');
+    }
+    for (const entry of summary.newFailures) {
+      console.log(`    ⚠️  ${entry.handler}: first failure ${entry.firstFailure}, ${entry.failures} failures (${entry.passesBefore} passing runs before)`);
     }
   }
 
   console.log('\n' + '='.repeat(60));
 }
 
-async function main() {
-  console.log('🚀 Fast LLC Formation Test\n');
-
-  const goalType = getGoalType();
-
-  // Generate test persona with specified goal
-  const persona = generatePersona('llc', goalType);
-  const businessDetails = generateBusinessDetails('llc', persona);
+/**
+ * Run one persona through a formation flow
+ * @param {Object} options - { scenario, goalType, environment, baseUrl, state, packagePreference, seed, runName, actionMode, reviewOnFailure }
+ * @returns {Object} - { success, steps, error, finalUrl, persona, testRunDir }
+ */
+async function runSingle({ scenario = 'llc', goalType, environment, baseUrl, state, packagePreference, seed, runName, actionMode = 'off', reviewOnFailure = true }) {
+  // Generate test persona with specified goal (seeded, so failures can be replayed)
+  const persona = generatePersona(scenario, goalType, { state, packagePreference, seed });
+  const businessDetails = generateBusinessDetails(scenario, persona);
 
-  console.log(`📋 Test Persona:`);
+  console.log(`📋 Test Persona (seed ${persona.seed}):`);
   console.log(`   Name: ${persona.fullName}`);
   console.log(`   Email: ${persona.email}`);
   console.log(`   State: ${persona.state}`);
   console.log(`   Business: ${businessDetails.businessName}`);
+  if (persona.founders) {
+    console.log(`   Founders: ${persona.founders.map(f => `${f.fullName} (${f.title})`).join(', ')}`);
+  }
   console.log('');
   console.log(`🎯 Test Goal: ${persona.testGoals.name}`);
   console.log(`   ${persona.testGoals.description}`);
   console.log(`   Package: ${persona.testGoals.packagePreference.toUpperCase()}`);
   console.log(`   Upsell Strategy: ${persona.testGoals.upsellStrategy}`);
   console.log('');
+  console.log(`🌐 Environment: ${environment.name}`);
+  console.log('');
 
   // Create FastAgent with goals
-  const agent = new FastAgent(persona, businessDetails);
+  const agent = new FastAgent(persona, businessDetails, { environment, baseUrl, runName, actionMode });
+  let outcome = null;
+  let agentResult = {};
 
   try {
     // Initialize
     await agent.init();
 
-    // Run the LLC formation flow
-    const result = await agent.runLLCFormation();
+    // Run the scenario's formation flow
+    const result = await agent[SCENARIOS[scenario].runMethod]();
+    agentResult = result;
 
     console.log('\n' + '='.repeat(60));
     console.log('📊 RESULTS');
@@ -152,38 +275,174 @@ async function main() {
     // If failed, save to error log and review patterns
     // Success = reached Velo dashboard (or confirmation if Velo not reached)
     const isSuccess = result.success && !result.error &&
-      (result.finalUrl?.includes('velo') || result.finalUrl?.includes('/app/') || result.finalUrl?.includes('dashboard'));
-    if (!isSuccess) {
-      saveFailedRun({
-        persona: persona.fullName,
-        state: persona.state,
-        business: businessDetails.businessName,
-        finalUrl: result.finalUrl,
-        error: result.error || 'Did not reach confirmation page',
-        steps: result.steps,
-        screenshotFolder: agent.testRunFolder ? `${agent.testRunFolder}/screenshots` : null
-      });
-
-      // Review past failures to identify patterns
-      reviewFailedRuns();
-    } else {
+      environment.endStatePatterns.some(pattern => result.finalUrl?.includes(pattern));
+    const error = isSuccess ? null : (result.error || 'Did not reach confirmation page');
+    if (isSuccess) {
       console.log('\n✅ Test completed successfully!');
     }
 
+    outcome = { scenario, success: isSuccess, steps: result.steps, error, finalUrl: result.finalUrl, persona, testRunDir: agent.testRunDir };
+    return outcome;
   } catch (error) {
     console.error('Fatal error:', error);
 
-    // Save fatal errors too
-    saveFailedRun({
+    outcome = { scenario, success: false, steps: 0, error: `FATAL: ${error.message}`, persona, testRunDir: agent.testRunDir };
+    return outcome;
+  } finally {
+    const timing = await agent.close();
+    if (outcome) outcome.durationMs = timing.totalMs;
+
+    // Report needs the timing split from close(), so it is written last
+    const reportPath = writeRunReport({
+      persona,
+      businessDetails,
+      result: { ...agentResult, success: outcome?.success ?? false, error: outcome?.error, finalUrl: outcome?.finalUrl },
+      timing,
+      trace: agent.trace?.trace,
+      testRunDir: agent.testRunDir
+    });
+    if (reportPath) {
+      console.log(`📄 Report: ${reportPath}`);
+      if (outcome) outcome.reportPath = reportPath;
+    }
+
+    // Every run goes into the history, fatal errors included
+    const trace = agent.trace?.trace;
+    const success = outcome?.success ?? false;
+    recordRun({
+      runName: trace?.runName || null,
       persona: persona.fullName,
       state: persona.state,
       business: businessDetails.businessName,
-      error: `FATAL: ${error.message}`,
-      steps: 0
+      seed: persona.seed,
+      scenario,
+      goal: persona.testGoals.goalType,
+      packagePreference: persona.testGoals.packagePreference,
+      environment: environment.name,
+      success,
+      error: outcome?.error || null,
+      errorCode: agentResult.code || null,
+      finalUrl: outcome?.finalUrl || null,
+      handler: success ? null : (lastHandlerFromTrace(trace) || getHandlerName(outcome?.finalUrl || '')),
+      handlers: handlersFromTrace(trace),
+      steps: outcome?.steps ?? 0,
+      durationMs: timing.totalMs,
+      llmCalls: agent.usage.summary().total.calls,
+      llmCostUsd: agent.usage.summary().total.costUsd,
+      screenshotFolder: agent.testRunDir ? `${agent.testRunDir}/screenshots` : null,
+      traceFile: agent.testRunDir ? `${agent.testRunDir}/trace.json` : null,
+      reportPath
     });
-  } finally {
-    await agent.close();
+
+    // Review past failures to identify patterns
+    if (!success && reviewOnFailure) reviewFailedRuns();
+  }
+}
+
+/**
+ * Run the goal x state x package matrix, each combination in its own FastAgent
+ */
+async function runMatrixMode(environment, scenario, actionMode, matrixMode) {
+  const axes = {
+    goals: getListArg('goals', TEST_GOAL_TYPES),
+    states: getListArg('states', usStates.map(s => s.abbr)),
+    packages: getListArg('packages', ['starter', 'pro', 'premium'])
+  };
+  const pairwise = matrixMode !== 'full';
+  const concurrency = parseInt(getArg('concurrency', '1'), 10) || 1;
+
+  const combos = buildMatrix(axes, { pairwise });
+  console.log(`🧮 Matrix mode: ${combos.length} runs (${pairwise ? 'pairwise' : 'full cartesian'}), concurrency ${concurrency}\n`);
+
+  const batchId = Date.now();
+  // A --seed makes the whole batch reproducible: each run derives its own seed from it
+  const baseSeed = getArg('seed');
+  const results = await runMatrix(combos, async (combo, index) => {
+    console.log(`\n▶️  Run ${index + 1}/${combos.length}: ${combo.goal} / ${combo.state} / ${combo.packagePreference}`);
+    const result = await runSingle({
+      scenario,
+      goalType: combo.goal,
+      environment,
+      baseUrl: getArg('base-url'),
+      state: combo.state,
+      packagePreference: combo.packagePreference,
+      seed: baseSeed ? `${baseSeed}-${index + 1}` : undefined,
+      runName: `matrix_${batchId}_${index + 1}_${scenario}_${combo.goal}_${combo.state}_${combo.packagePreference}`,
+      actionMode,
+      reviewOnFailure: false
+    });
+    return { combo, ...result };
+  }, { concurrency });
+
+  printMatrixTable(results);
+  if (results.some(result => !result.success)) {
+    reviewFailedRuns({ since: getArg('since') });
+  }
+  return results;
+}
+
+/**
+ * Write the requested --reporter outputs
+ */
+function writeReporterOutputs(reporters, results, scenario) {
+  const outputDir = getArg('reporter-dir', RESULTS_DIR);
+  for (const reporter of reporters) {
+    const filePath = writeResults(reporter, results, { outputDir, suiteName: `fastTest.${scenario}` });
+    console.log(`🧾 ${reporter} results: ${filePath}`);
+  }
+}
+
+async function main() {
+  const scenario = getScenario();
+  console.log(`🚀 Fast ${SCENARIOS[scenario].label} Test\n`);
+
+  // Validate reporters up front so a typo doesn't surface only after a long run
+  const reporters = getListArg('reporter', []);
+  const unknownReporter = reporters.find(reporter => !REPORTERS[reporter]);
+  if (unknownReporter) {
+    throw new Error(`Unknown reporter "${unknownReporter}". Available: ${Object.keys(REPORTERS).join(', ')}`);
+  }
+
+  // --review only prints the run history analysis
+  if (hasFlag('review')) {
+    reviewFailedRuns({ since: getArg('since') });
+    return;
+  }
+
+  const environment = loadEnvironment(getArg('env', 'dev'));
+  if (getArg('llm')) {
+    environment.llm = resolveLlmConfig(environment, parseLlmOverrides(getArg('llm')));
+    environment.model = environment.llm.act.model;
+  }
+  if (getArg('budget')) {
+    environment.budget.run = { ...environment.budget.run, ...parseBudget(getArg('budget')) };
+  }
+  if (getArg('page-budget')) {
+    environment.budget.page = { ...environment.budget.page, ...parseBudget(getArg('page-budget')) };
+  }
+  const actionMode = getActionMode();
+  const matrixMode = getMatrixMode();
+
+  const results = matrixMode
+    ? await runMatrixMode(environment, scenario, actionMode, matrixMode)
+    : [await runSingle({
+      scenario,
+      goalType: getGoalType(),
+      environment,
+      baseUrl: getArg('base-url'),
+      seed: getArg('seed') ?? undefined,
+      actionMode
+    })];
+
+  writeReporterOutputs(reporters, results, scenario);
+
+  // Non-zero exit so CI can gate on the onboarding flow
+  if (results.some(result => !result.success)) {
+    process.exitCode = 1;
   }
 }
 
-main().catch(console.error);
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
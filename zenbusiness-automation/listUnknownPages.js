@@ -0,0 +1,87 @@
+/**
+ * Unknown Pages CLI
+ * Lists the pages runs fell back to the AI on (unknown-pages/pages.jsonl), most frequent first,
+ * and drafts a PAGE_HANDLERS entry plus a FastAgent handler method for each
+ *
+ * Usage:
+ *   npm run unknown-pages                            # Unmatched pages by frequency
+ *   npm run unknown-pages -- --since=2026-10-01      # Only captures on or after a date
+ *   npm run unknown-pages -- --draft                 # Also write drafts to unknown-pages/handler-drafts.js
+ *   npm run unknown-pages -- --draft --min=3         # Only draft pages seen at least 3 times
+ *
+ * Pages a handler has claimed since they were captured are listed but not drafted
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { findHandler } from './utils/pageHandlers.js';
+import { UNKNOWN_PAGES_DIR, UNKNOWN_PAGES_PATH, loadUnknownPages, summarizeUnknownPages, draftPageHandler } from './utils/unknownPages.js';
+
+const DRAFTS_PATH = path.join(UNKNOWN_PAGES_DIR, 'handler-drafts.js');
+
+function getArg(name) {
+  const arg = process.argv.slice(2).find(item => item.startsWith(`--${name}=`));
+  return arg ? arg.split('=').slice(1).join('=') : null;
+}
+
+function hasFlag(name) {
+  return process.argv.slice(2).includes(`--${name}`);
+}
+
+function main() {
+  const since = getArg('since');
+  const min = Number(getArg('min') || 1);
+  const groups = summarizeUnknownPages(loadUnknownPages({ since }));
+
+  if (groups.length === 0) {
+    console.log(`✅ No unknown pages recorded${since ? ` since ${since}` : ''} (${UNKNOWN_PAGES_PATH})`);
+    return;
+  }
+
+  console.log(`🗺️  Unknown pages: ${groups.length} path templates${since ? ` since ${since}` : ''}\n`);
+  const drafts = [];
+  for (const group of groups) {
+    const claimedBy = findHandler(group.latest.url)?.name;
+    const runs = group.runs ? `, ${group.runs} run${group.runs === 1 ? '' : 's'}` : '';
+    console.log(`   ${String(group.count).padStart(3)}x ${group.template}${runs}, last seen ${group.lastSeen}`);
+    if (group.latest.headings?.length) {
+      console.log(`        headings: ${group.latest.headings.slice(0, 3).join(' | ')}`);
+    }
+    if (group.latest.screenshot) {
+      console.log(`        screenshot: ${path.join(UNKNOWN_PAGES_DIR, group.latest.screenshot)}`);
+    }
+    if (claimedBy) {
+      console.log(`        now handled by ${claimedBy}`);
+    } else if (group.count >= min) {
+      drafts.push({ group, ...draftPageHandler(group) });
+    }
+  }
+
+  if (!hasFlag('draft')) {
+    console.log(`\n${drafts.length} page(s) without a handler - run with --draft to generate handler drafts`);
+    return;
+  }
+
+  if (drafts.length === 0) {
+    console.log('\nNothing to draft');
+    return;
+  }
+
+  const source = [
+    '// Draft handlers generated by `npm run unknown-pages -- --draft` - review before copying',
+    `// ${new Date().toISOString()}, from ${UNKNOWN_PAGES_PATH}`,
+    '',
+    '// ==================== PAGE_HANDLERS entries (utils/pageHandlers.js) ====================',
+    '',
+    ...drafts.map(draft => `  // ${draft.group.template} - seen ${draft.group.count}x\n${draft.entry},\n`),
+    '// ==================== FastAgent handler methods (utils/fastAgent.js) ====================',
+    '',
+    ...drafts.map(draft => `${draft.method}\n`)
+  ].join('\n');
+  fs.mkdirSync(UNKNOWN_PAGES_DIR, { recursive: true });
+  fs.writeFileSync(DRAFTS_PATH, source);
+  console.log(`\n📝 ${drafts.length} handler draft(s) written to ${DRAFTS_PATH}: ${drafts.map(draft => draft.name).join(', ')}`);
+}
+
+main();
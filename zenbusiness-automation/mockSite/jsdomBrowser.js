@@ -0,0 +1,292 @@
+/**
+ * jsdom Browser
+ * Stand-in for a Stagehand browser that runs the mock site's pages in jsdom, so the AI fallback
+ * branches can be exercised by the unit tests on machines without Chrome
+ *
+ * Only the Page, Locator and act() surface FastAgent uses on the mock site is covered, with
+ * Stagehand v3's signatures - methods Stagehand's Page lacks (page.$, page.fill, ...) are left out
+ * here too. Pages run their scripts; form submissions are POSTed to the mock server and the
+ * response is loaded as the next page. There is no layout: screenshots are a blank PNG and
+ * every element has a zero-size box, so set-of-marks annotation finds nothing to mark.
+ *
+ * Usage:
+ *   const stagehand = new JsdomStagehand();
+ *   await stagehand.page.goto(`${baseUrl}/shop/llc/checkout`);
+ */
+
+import fs from 'fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+// 1x1 transparent PNG
+const BLANK_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+// Longest wait for a page's load event (frames included)
+const LOAD_TIMEOUT = 5000;
+
+export class JsdomPage {
+  constructor() {
+    this.dom = null;
+    this.loading = null; // Navigation started by the page itself (form submit)
+    this.errors = []; // Script errors reported by jsdom, for debugging failing tests
+  }
+
+  url() {
+    return this.dom ? this.dom.window.location.href : 'about:blank';
+  }
+
+  async title() {
+    return this.dom?.window.document.title ?? '';
+  }
+
+  async goto(url) {
+    await this.load(url);
+    return null;
+  }
+
+  async reload() {
+    await this.load(this.url());
+  }
+
+  /**
+   * Fetch a page from the server and replace the current document with it
+   * @param {string} url - Absolute URL
+   * @param {Object} init - fetch() options (POST form submissions)
+   */
+  async load(url, init = {}) {
+    const response = await fetch(url, { ...init, redirect: 'follow' });
+    const html = await response.text();
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => this.errors.push(error.message));
+
+    this.dom?.window.close();
+    this.dom = new JSDOM(html, {
+      url: response.url,
+      runScripts: 'dangerously',
+      resources: 'usable',
+      pretendToBeVisual: true,
+      virtualConsole,
+      beforeParse: window => this.prepare(window)
+    });
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, LOAD_TIMEOUT);
+      this.dom.window.addEventListener('load', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Fill in what jsdom leaves out: fetch() for page scripts, CSS.escape and form submission
+   */
+  prepare(window) {
+    window.fetch = (input, init = {}) => fetch(new URL(String(input), window.location.href), {
+      ...init,
+      // URLSearchParams from the page's realm are not recognised by Node's fetch
+      ...(init.body && typeof init.body !== 'string'
+        ? { body: String(init.body), headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...init.headers } }
+        : {})
+    });
+    window.CSS = { escape: value => String(value).replace(/[^\w-]/g, '\\$&') };
+    window.addEventListener('submit', event => {
+      if (event.defaultPrevented) return;
+      event.preventDefault();
+      const form = event.target;
+      const body = new URLSearchParams([...new window.FormData(form)].map(([name, value]) => [name, String(value)]));
+      if (event.submitter?.name) body.append(event.submitter.name, event.submitter.value);
+      const method = (form.getAttribute('method') || 'GET').toUpperCase();
+      const action = new URL(form.getAttribute('action') || window.location.href, window.location.href);
+      this.loading = method === 'POST'
+        ? this.load(action.href, { method, body })
+        : this.load(`${action.origin}${action.pathname}?${body}`);
+      this.loading.catch(error => this.errors.push(error.message));
+    });
+  }
+
+  /**
+   * Run a function or expression in the page, like Stagehand's page.evaluate(fn, arg)
+   * Results come back by value (JSON), as they would over CDP
+   */
+  async evaluate(fnOrExpression, arg) {
+    const source = typeof fnOrExpression === 'function'
+      ? `(${fnOrExpression})(${arg === undefined ? '' : JSON.stringify(arg)})`
+      : fnOrExpression;
+    const result = await this.dom.window.eval(source);
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  }
+
+  async screenshot(options = {}) {
+    if (options.path) fs.writeFileSync(options.path, BLANK_PNG);
+    return BLANK_PNG;
+  }
+
+  async waitForLoadState() {
+    await this.loading;
+  }
+
+  locator(selector) {
+    return new JsdomLocator(this, selector);
+  }
+
+  // "iframe >> selector" hops are followed by locator() as well
+  deepLocator(selector) {
+    return new JsdomLocator(this, selector);
+  }
+
+  async close() {
+    this.dom?.window.close();
+    this.dom = null;
+  }
+
+  /**
+   * Elements matching a CSS or xpath= selector, following "iframe >> selector" hops into frames
+   */
+  query(selector) {
+    const parts = selector.split(/\s*>>\s*/);
+    let document = this.dom.window.document;
+    for (const frame of parts.slice(0, -1)) {
+      document = document.querySelector(frame)?.contentDocument;
+      if (!document) return [];
+    }
+    const last = parts[parts.length - 1];
+    if (/^xpath=|^\//i.test(last)) {
+      const result = document.evaluate(last.replace(/^xpath=/i, ''), document, null, 7, null); // ORDERED_NODE_SNAPSHOT_TYPE
+      return Array.from({ length: result.snapshotLength }, (_, i) => result.snapshotItem(i));
+    }
+    return [...document.querySelectorAll(last)];
+  }
+}
+
+export class JsdomLocator {
+  constructor(page, selector, index = 0) {
+    this.page = page;
+    this.selector = selector;
+    this.index = index;
+  }
+
+  element() {
+    const element = this.page.query(this.selector)[this.index];
+    if (!element) throw new Error(`No element matches ${this.selector}`);
+    return element;
+  }
+
+  first() {
+    return new JsdomLocator(this.page, this.selector, 0);
+  }
+
+  nth(index) {
+    return new JsdomLocator(this.page, this.selector, index);
+  }
+
+  async count() {
+    return this.page.query(this.selector).length;
+  }
+
+  async isVisible() {
+    try {
+      for (let element = this.element(); element; element = element.parentElement) {
+        const style = element.ownerDocument.defaultView.getComputedStyle(element);
+        if (element.hidden || style.display === 'none' || style.visibility === 'hidden') return false;
+      }
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async isChecked() {
+    const element = this.element();
+    return element.checked ?? element.getAttribute('aria-checked') === 'true';
+  }
+
+  async click() {
+    this.element().click();
+  }
+
+  async fill(value) {
+    const element = this.element();
+    element.focus?.();
+    element.value = value;
+    this.dispatch(element, 'input', 'change');
+  }
+
+  async type(text) {
+    const element = this.element();
+    element.value = `${element.value ?? ''}${text}`;
+    this.dispatch(element, 'input', 'change');
+  }
+
+  // Matched by option label or value, like Stagehand's selectOption
+  async selectOption(values) {
+    const element = this.element();
+    const wanted = [].concat(values).map(String);
+    const matches = [...element.options].filter(option => wanted.includes(option.label.trim()) || wanted.includes(option.value));
+    if (!matches.length) throw new Error(`No option ${wanted.join(', ')} in ${this.selector}`);
+    for (const option of element.options) {
+      option.selected = element.multiple ? matches.includes(option) : option === matches[0];
+    }
+    this.dispatch(element, 'input', 'change');
+    return matches.map(option => option.value);
+  }
+
+  async inputValue() {
+    return this.element().value ?? '';
+  }
+
+  async textContent() {
+    return this.element().textContent;
+  }
+
+  async innerText() {
+    return this.element().textContent;
+  }
+
+  async innerHtml() {
+    return this.element().innerHTML;
+  }
+
+  dispatch(element, ...types) {
+    const { Event } = element.ownerDocument.defaultView;
+    for (const type of types) element.dispatchEvent(new Event(type, { bubbles: true }));
+  }
+}
+
+/**
+ * The parts of a Stagehand instance FastAgent touches once init() has run
+ * act() only takes Action objects ({ selector, method, arguments }) - there is no model to
+ * read an instruction, which is what FastAgent's offline act path hands it anyway
+ */
+export class JsdomStagehand {
+  constructor() {
+    this.page = new JsdomPage();
+    this.context = {
+      pages: () => [this.page],
+      newPage: async () => this.page
+    };
+    this.metrics = Promise.resolve({ totalPromptTokens: 0, totalCompletionTokens: 0, totalInferenceTimeMs: 0 });
+  }
+
+  async act(action) {
+    if (typeof action !== 'object' || !action.selector) {
+      throw new Error('JsdomStagehand.act() needs an action with a selector');
+    }
+    const locator = this.page.deepLocator(action.selector);
+    const args = action.arguments || [];
+    try {
+      switch (action.method) {
+        case 'click': await locator.click(); break;
+        case 'fill': await locator.fill(args[0] ?? ''); break;
+        case 'type': await locator.type(args[0] ?? ''); break;
+        case 'selectOptionFromDropdown': await locator.selectOption(args[0] ?? ''); break;
+        default: throw new Error(`Unsupported method ${action.method}`);
+      }
+      return { success: true, message: `${action.method} ${action.selector}`, actionDescription: action.description || '', actions: [action] };
+    } catch (e) {
+      return { success: false, message: e.message, actionDescription: action.description || '', actions: [] };
+    }
+  }
+
+  async close() {
+    await this.page.close();
+  }
+}
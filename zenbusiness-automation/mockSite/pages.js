@@ -0,0 +1,442 @@
+/**
+ * Mock ZenBusiness Pages
+ * Stand-in HTML for every route PAGE_HANDLERS knows about, so FastAgent
+ * can run end-to-end against a local server instead of the dev site
+ */
+
+import { escapeHtml } from '../utils/html.js';
+import { US_STATES } from '../utils/stateData.js';
+
+
+/**
+ * Wrap page content in the shared mock layout
+ */
+export function layout(title, body, { script = '' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} | ZenBusiness (mock)</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0; background: #f7f7f7; color: #1a1a1a; }
+    header { background: #1a1a1a; color: #fff; padding: 12px 24px; }
+    main { max-width: 720px; margin: 32px auto; background: #fff; padding: 32px; border-radius: 8px; }
+    label { display: block; margin: 12px 0 4px; }
+    input, select, textarea { width: 100%; padding: 8px; box-sizing: border-box; }
+    input[type="radio"], input[type="checkbox"] { width: auto; }
+    button { margin: 16px 8px 0 0; padding: 10px 20px; cursor: pointer; border-radius: 4px; }
+    button.primary { background: #1a1a1a; color: #fff; border: 1px solid #1a1a1a; }
+    button.secondary { background: #fff; color: #1a1a1a; border: 1px solid #1a1a1a; }
+    button:disabled { opacity: 0.4; cursor: not-allowed; }
+    .option-card { display: block; border: 1px solid #ccc; border-radius: 6px; padding: 12px; margin: 8px 0; cursor: pointer; }
+    .text-red-600 { color: #c00; }
+  </style>
+</head>
+<body>
+  <header>ZenBusiness <small>(local mock)</small></header>
+  <main>
+${body}
+  </main>
+  <script>${script}</script>
+</body>
+</html>`;
+}
+
+/**
+ * Standard single-form page: POSTs back to its own path, server redirects to the next step
+ */
+function formPage(title, fields, { buttons, script } = {}) {
+  const actions = buttons || '<button type="submit" class="primary">Continue</button>';
+  return layout(title, `
+    <h1>${escapeHtml(title)}</h1>
+    <form method="POST">
+${fields}
+      ${actions}
+    </form>`, { script });
+}
+
+// ==================== Pre-checkout pages ====================
+
+export function renderHome() {
+  return layout('Start your LLC', `
+    <h1>Start your LLC today</h1>
+    <p>Form your business in minutes.</p>
+    <button class="primary" onclick="location.href='/shop/llc/business-state'">Get started</button>`);
+}
+
+export function renderBusinessState() {
+  const options = US_STATES.map(({ name }) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+  // County options depend on the chosen state, like the real site
+  const countiesByState = Object.fromEntries(US_STATES.map(({ name, locations }) => [
+    name,
+    [...new Set(locations.map(location => location.county))].sort()
+  ]));
+  return formPage('Where will your business be located?', `
+      <label for="state">State</label>
+      <select id="state" name="state" required>
+        <option value="">Select state</option>
+        ${options}
+      </select>
+      <label for="county">County</label>
+      <select id="county" name="county">
+        <option value="">Select county</option>
+      </select>`, {
+    script: `
+    const countiesByState = ${JSON.stringify(countiesByState).replace(/</g, '\\u003c')};
+    const county = document.getElementById('county');
+    document.getElementById('state').addEventListener('change', (event) => {
+      county.length = 1;
+      (countiesByState[event.target.value] || []).forEach(name => county.add(new Option(name, name)));
+    });`
+  });
+}
+
+export function renderBusinessName() {
+  return formPage('What is the name of your business?', `
+      <label for="businessName">Business name</label>
+      <input id="businessName" name="businessName" placeholder="Business name" required>`);
+}
+
+export function renderContactInfo() {
+  return formPage('Your contact information', `
+      <label for="firstName">First name</label>
+      <input id="firstName" name="firstName" required>
+      <label for="lastName">Last name</label>
+      <input id="lastName" name="lastName" required>
+      <label for="email">Email</label>
+      <input id="email" name="email" type="email" required>
+      <label for="phone">Phone</label>
+      <input id="phone" name="phone" type="tel">`);
+}
+
+export function renderExistingBusiness() {
+  return formPage('Is this an existing business?', `
+      <label class="option-card"><input type="radio" name="existing" value="no"> No, this is a new business</label>
+      <label class="option-card"><input type="radio" name="existing" value="yes"> Yes, I already operate this business</label>`);
+}
+
+export function renderBusinessExperience() {
+  return formPage('How much business experience do you have?', `
+      <label class="option-card"><input type="radio" name="experience" value="beginner"> Just getting started</label>
+      <label class="option-card"><input type="radio" name="experience" value="some"> I've run a business before</label>
+      <label class="option-card"><input type="radio" name="experience" value="expert"> I'm a serial entrepreneur</label>`);
+}
+
+export function renderIndustry(nextPath) {
+  return formPage('What industry is your business in?', `
+      <label for="industry">Industry</label>
+      <input id="industry" name="industry">
+      <p><a href="${escapeHtml(nextPath)}">Skip for now</a></p>`);
+}
+
+export function renderPackageSelection() {
+  const packages = ['Starter', 'Pro', 'Premium'];
+  const cards = packages.map(pkg => `
+      <div class="option-card package-card" data-package="${pkg.toLowerCase()}">
+        <h2>${pkg}</h2>
+        <button type="button" class="secondary" onclick="document.getElementById('package').value='${pkg.toLowerCase()}'">${pkg.toUpperCase()}</button>
+      </div>`).join('');
+  return formPage('Choose your package', `
+      <input type="hidden" id="package" name="package" value="">
+${cards}`);
+}
+
+// ==================== Entity-specific pages ====================
+
+/**
+ * Page of repeatable person rows ("Add another director") - fields are numbered per row on submit
+ * @param {string} title - Page heading
+ * @param {string} label - Row label, e.g. 'Director'
+ * @param {string} rowFields - HTML for one row's fields (unnumbered names)
+ */
+function personRowsPage(title, label, rowFields) {
+  const row = `
+      <fieldset class="option-card person-row">
+        <legend>${escapeHtml(label)}</legend>
+${rowFields}
+      </fieldset>`;
+  return formPage(title, `
+      <div id="people">${row}
+      </div>
+      <button type="button" class="secondary" id="add-person">Add another ${escapeHtml(label.toLowerCase())}</button>`, {
+    script: `
+    const people = document.getElementById('people');
+    const template = people.querySelector('.person-row');
+    // Number every row so each person submits as its own fields
+    function renumber() {
+      people.querySelectorAll('.person-row').forEach((row, i) => {
+        row.querySelector('legend').textContent = ${JSON.stringify(label)} + ' ' + (i + 1);
+        row.querySelectorAll('[name]').forEach(field => {
+          field.name = field.name.replace(/_\\d+$/, '') + '_' + (i + 1);
+        });
+      });
+    }
+    document.getElementById('add-person').addEventListener('click', () => {
+      const row = template.cloneNode(true);
+      row.querySelectorAll('input, select').forEach(field => { field.value = ''; });
+      people.appendChild(row);
+      renumber();
+    });
+    renumber();`
+  });
+}
+
+/**
+ * Directors / officers page
+ * @param {string[]} titles - Officer titles offered in each row's dropdown
+ */
+export function renderDirectors(titles) {
+  const titleOptions = titles.map(title => `<option value="${escapeHtml(title)}">${escapeHtml(title)}</option>`).join('');
+  return personRowsPage('Who are the directors and officers?', 'Director', `
+        <label>First name</label>
+        <input name="first_name" required>
+        <label>Last name</label>
+        <input name="last_name" required>
+        <label>Title</label>
+        <select name="title">
+          <option value="">Select title</option>
+          ${titleOptions}
+        </select>`);
+}
+
+/**
+ * LLC members page - name, address and ownership percentage per member
+ */
+export function renderMembers() {
+  return personRowsPage('Who are the members of your LLC?', 'Member', `
+        <label>First name</label>
+        <input name="first_name" required>
+        <label>Last name</label>
+        <input name="last_name" required>
+        <label>Street address</label>
+        <input name="address" required>
+        <label>City</label>
+        <input name="city" required>
+        <label>ZIP code</label>
+        <input name="zip" required>
+        <label>Ownership %</label>
+        <input name="ownership" type="number" min="0" max="100" step="0.01" placeholder="Ownership %" required>`);
+}
+
+/**
+ * Order review page listing members and ownership as submitted on the members page
+ * @param {Object[]} members - [{ name, ownership }]
+ */
+export function renderReview(members) {
+  const total = members.reduce((sum, member) => sum + (parseFloat(member.ownership) || 0), 0);
+  const rows = members.map(member => `
+        <tr><td>${escapeHtml(member.name)}</td><td>${escapeHtml(member.ownership)}%</td></tr>`).join('');
+  return formPage('Review your order', `
+      <h2>Members</h2>
+      <table>
+        <tr><th>Member</th><th>Ownership</th></tr>${rows}
+      </table>
+      <p>Total ownership: ${total}%</p>`);
+}
+
+export function renderShareStructure() {
+  return formPage('Set up your share structure', `
+      <label for="authorized_shares">Number of authorized shares</label>
+      <input id="authorized_shares" name="authorized_shares" type="number" min="1" placeholder="Authorized shares" required>
+      <label for="par_value">Par value per share</label>
+      <input id="par_value" name="par_value" placeholder="Par value" required>`);
+}
+
+export function renderNonprofitPurpose() {
+  return formPage("What is your nonprofit's purpose?", `
+      <label for="purpose">Purpose statement</label>
+      <textarea id="purpose" name="purpose" rows="5" placeholder="Describe your purpose" required></textarea>
+      <label class="option-card"><input type="checkbox" name="exempt_501c3" value="yes" required> Apply for 501(c)(3) tax-exempt status</label>`);
+}
+
+/**
+ * Generic accept/decline upsell page
+ * @param {Object} upsell - { title, acceptText, declineText }
+ */
+export function renderUpsell({ title, acceptText, declineText }) {
+  return formPage(title, `
+      <p>Add this service to your order?</p>`, {
+    buttons: `
+      <button type="submit" name="choice" value="accept" class="primary">${escapeHtml(acceptText)}</button>
+      <button type="submit" name="choice" value="decline" class="secondary">${escapeHtml(declineText)}</button>`
+  });
+}
+
+/**
+ * A page no PAGE_HANDLERS entry matches, so runs reaching it go through the AI fallback
+ * (not part of any flow - tests open it directly)
+ */
+export function renderReferralSurvey() {
+  const sources = ['Search engine', 'Friend or colleague', 'Podcast', 'Social media'];
+  return formPage('How did you hear about us?', `
+      <label for="referral">Where did you hear about ZenBusiness?</label>
+      <select id="referral" name="referral" required>
+        <option value="">Please select</option>
+        ${sources.map(source => `<option value="${escapeHtml(source)}">${escapeHtml(source)}</option>`).join('')}
+      </select>`);
+}
+
+// ==================== Checkout ====================
+
+/**
+ * Single-page checkout with account, summary and payment sections.
+ * Sections are toggled client-side like the real SPA, so the URL stays the same.
+ */
+export function renderCheckout(nextPath) {
+  const script = `
+    function show(id) {
+      for (const s of document.querySelectorAll('section')) s.style.display = s.id === id ? 'block' : 'none';
+    }
+    document.getElementById('save-account').addEventListener('click', () => {
+      if (document.getElementById('password').value) show('summary');
+    });
+    document.getElementById('to-payment').addEventListener('click', () => show('payment'));
+    document.getElementById('place-order').addEventListener('click', async () => {
+      const frame = document.querySelector('iframe[name^="__privateStripeFrame"]').contentDocument;
+      const card = frame.querySelector('[placeholder="Card number"]').value.replace(/\\s/g, '');
+      const error = document.getElementById('payment-error');
+      if (card !== '4242424242424242') {
+        error.textContent = 'Invalid card number';
+        return;
+      }
+      error.textContent = '';
+      await fetch(location.pathname, {
+        method: 'POST',
+        body: new URLSearchParams({
+          cardNumber: card,
+          expiry: frame.querySelector('[placeholder="MM / YY"]').value,
+          cvc: frame.querySelector('[placeholder="CVC"]').value,
+          zip: frame.querySelector('[placeholder="ZIP"]').value
+        })
+      });
+      location.href = ${JSON.stringify(nextPath)};
+    });
+    show('account');`;
+
+  return layout('Checkout', `
+    <h1>Checkout</h1>
+    <section id="account">
+      <h2>Create your account</h2>
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password">
+      <button type="button" id="save-account" class="primary">Save and continue</button>
+    </section>
+    <section id="summary">
+      <h2>Order summary</h2>
+      <p>LLC formation + selected services</p>
+      <button type="button" id="to-payment" class="primary">Continue to payment</button>
+    </section>
+    <section id="payment">
+      <h2>Payment method</h2>
+      <p>Add card details</p>
+      <iframe name="__privateStripeFrame5171" title="Secure card payment input frame" src="/stripe/card-frame" style="width: 100%; height: 220px; border: 0;"></iframe>
+      <p id="payment-error" class="text-red-600"></p>
+      <button type="button" id="place-order" class="primary">Place order</button>
+    </section>`, { script });
+}
+
+/**
+ * Fake Stripe Elements frame - same placeholders as the real card element
+ */
+export function renderStripeFrame() {
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif;">
+  <input placeholder="Card number" name="cardnumber" autocomplete="cc-number" style="width: 100%; padding: 8px;">
+  <input placeholder="MM / YY" name="exp-date" autocomplete="cc-exp" style="width: 100%; padding: 8px;">
+  <input placeholder="CVC" name="cvc" autocomplete="cc-csc" style="width: 100%; padding: 8px;">
+  <input placeholder="ZIP" name="postal" autocomplete="postal-code" style="width: 100%; padding: 8px;">
+</body>
+</html>`;
+}
+
+// ==================== Post-checkout pages ====================
+
+export function renderConfirmation() {
+  return formPage('Congratulations!', `
+      <p>Your order has been placed. Welcome to the club!</p>`, {
+    buttons: '<button type="submit" class="primary">Next</button>'
+  });
+}
+
+export function renderPostCheckoutProduct(nextPath) {
+  return layout('Business License Report', `
+    <h1>Get your Business License Report</h1>
+    <p>Find out which licenses your business needs.</p>
+    <form method="POST">
+      <button type="submit" name="choice" value="accept" class="primary">Purchase report</button>
+    </form>
+    <p><a href="${escapeHtml(nextPath)}">No thanks</a></p>`);
+}
+
+export function renderConclusion() {
+  return formPage("You're all set", `
+      <p>Next, tell us a little more about your business.</p>`, {
+    buttons: '<button type="submit" class="primary">Continue</button>'
+  });
+}
+
+/**
+ * Journey steps cover each input style handlePostCheckoutJourney has to deal with
+ */
+export const JOURNEY_STEPS = [
+  {
+    question: 'What name will you do business as?',
+    body: `
+      <label for="dbaName">Business name</label>
+      <input id="dbaName" name="dbaName" type="text" placeholder="Business name">`
+  },
+  {
+    question: 'How many employees do you plan to have?',
+    body: `
+      <label class="option-card"><input type="radio" name="employees" value="1"> Just me</label>
+      <label class="option-card"><input type="radio" name="employees" value="2-10"> 2-10</label>
+      <label class="option-card"><input type="radio" name="employees" value="11+"> More than 10</label>`
+  },
+  {
+    question: 'What industry best describes your business?',
+    body: `
+      <p>1. Industry?</p>
+      <div class="MuiAutocomplete-root">
+        <span>Please select</span>
+        <input role="combobox" name="industry" aria-autocomplete="list" placeholder="Please select" list="industries">
+        <datalist id="industries">
+          <option value="Agriculture"></option>
+          <option value="Construction"></option>
+          <option value="Professional Services"></option>
+          <option value="Retail"></option>
+        </datalist>
+      </div>`
+  },
+  {
+    question: 'Do you already have an EIN?',
+    body: `
+      <input type="hidden" name="hasEIN" id="hasEIN" value="">
+      <button type="button" class="secondary" onclick="document.getElementById('hasEIN').value='yes'; document.getElementById('next').disabled = false;">Yes</button>
+      <button type="button" class="secondary" onclick="document.getElementById('hasEIN').value='no'; document.getElementById('next').disabled = false;">No</button>`
+  }
+];
+
+export function renderJourneyStep(stepIndex) {
+  const step = JOURNEY_STEPS[stepIndex];
+  // Next stays disabled until something is answered, mirroring the real journey pages
+  const script = `
+    const next = document.getElementById('next');
+    const form = document.querySelector('form');
+    form.addEventListener('input', () => { next.disabled = false; });
+    form.addEventListener('change', () => { next.disabled = false; });`;
+
+  return layout(step.question, `
+    <p>Step ${stepIndex + 1} of ${JOURNEY_STEPS.length}</p>
+    <h1>${escapeHtml(step.question)}</h1>
+    <form method="POST">
+${step.body}
+      <button type="submit" id="next" class="primary" disabled>Next</button>
+    </form>`, { script });
+}
+
+export function renderDashboard() {
+  return layout('Dashboard', `
+    <h1>Welcome to your dashboard</h1>
+    <p>Your business formation is in progress.</p>`);
+}
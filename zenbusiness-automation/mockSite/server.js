@@ -0,0 +1,273 @@
+/**
+ * Mock ZenBusiness Server
+ * Serves the stand-in onboarding flow from pages.js so FastAgent runs can be
+ * exercised offline and deterministically (handlers, checkout, stuck detection)
+ *
+ * Usage:
+ *   npm run mock:serve                  # http://127.0.0.1:4321
+ *   MOCK_PORT=5000 npm run mock:serve
+ *   node zenbusiness-automation/fastTest.js --env=local-mock
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+import {
+  renderHome,
+  renderBusinessState,
+  renderBusinessName,
+  renderContactInfo,
+  renderExistingBusiness,
+  renderBusinessExperience,
+  renderIndustry,
+  renderPackageSelection,
+  renderDirectors,
+  renderMembers,
+  renderReview,
+  renderShareStructure,
+  renderNonprofitPurpose,
+  renderUpsell,
+  renderCheckout,
+  renderStripeFrame,
+  renderConfirmation,
+  renderPostCheckoutProduct,
+  renderConclusion,
+  renderJourneyStep,
+  renderDashboard,
+  renderReferralSurvey,
+  JOURNEY_STEPS
+} from './pages.js';
+
+export const DEFAULT_MOCK_PORT = 4321;
+
+const DASHBOARD_PATH = '/velo/dashboard';
+
+/**
+ * Post-checkout steps shared by every entity flow (confirmation, add-ons, journey, dashboard)
+ */
+const POST_CHECKOUT_FLOW = [
+  { path: '/llc-addons/confirmation', render: renderConfirmation },
+  {
+    path: '/llc-addons/business-kit',
+    render: () => renderUpsell({ title: 'Business Kit', acceptText: 'Yes, add business kit', declineText: 'No thanks' })
+  },
+  { path: '/llc-addons/checkout', render: renderPostCheckoutProduct },
+  { path: '/llc-addons/conclusion', render: renderConclusion },
+  ...JOURNEY_STEPS.map((_, i) => ({ path: `/f/journey?step=${i + 1}`, render: () => renderJourneyStep(i) })),
+  { path: DASHBOARD_PATH, render: renderDashboard }
+];
+
+const registeredAgentStep = entity => ({
+  path: `/shop/${entity}/registered-agent`,
+  render: () => renderUpsell({ title: 'Registered Agent', acceptText: 'Yes, appoint ZenBusiness', declineText: "No, I'll appoint someone else" })
+});
+
+/**
+ * Members from the most recent members-page submission (fields are numbered per row)
+ * @param {Object[]} submissions - Recorded form submissions
+ * @returns {Object[]} - [{ name, ownership }]
+ */
+function latestMembers(submissions) {
+  const fields = submissions.filter(submission => submission.path === '/shop/llc/members').at(-1)?.fields || {};
+  const members = [];
+  for (let i = 1; fields[`first_name_${i}`] !== undefined; i++) {
+    members.push({
+      name: `${fields[`first_name_${i}`]} ${fields[`last_name_${i}`]}`.trim(),
+      ownership: fields[`ownership_${i}`]
+    });
+  }
+  return members;
+}
+
+/**
+ * Ordered LLC flow - each step POSTs to itself and is redirected to the next entry
+ * The members page takes one row per member; single-member runs enter just the persona
+ */
+export const LLC_FLOW = [
+  { path: '/shop/llc/business-state', render: renderBusinessState },
+  { path: '/shop/llc/business-name', render: renderBusinessName },
+  { path: '/shop/llc/contact-info', render: renderContactInfo },
+  { path: '/shop/llc/members', render: renderMembers },
+  { path: '/shop/llc/existing-business', render: renderExistingBusiness },
+  { path: '/shop/llc/business-experience', render: renderBusinessExperience },
+  { path: '/shop/llc/industry', render: renderIndustry },
+  { path: '/shop/llc/package-selection', render: renderPackageSelection },
+  registeredAgentStep('llc'),
+  {
+    path: '/shop/llc/worry-free-compliance',
+    render: () => renderUpsell({ title: 'Worry-Free Compliance', acceptText: 'Yes, add compliance', declineText: 'No thanks' })
+  },
+  {
+    path: '/shop/llc/employer-identification-number',
+    render: () => renderUpsell({ title: 'Get your EIN', acceptText: 'Yes, add EIN', declineText: 'No thanks' })
+  },
+  {
+    path: '/shop/llc/operating-agreement',
+    render: () => renderUpsell({ title: 'Operating Agreement', acceptText: 'Yes, add it', declineText: 'No thanks' })
+  },
+  {
+    path: '/shop/llc/rush-filing',
+    render: () => renderUpsell({ title: 'Rush Filing', acceptText: 'Yes, add rush filing', declineText: 'No thanks' })
+  },
+  {
+    path: '/shop/llc/money-pro',
+    render: () => renderUpsell({ title: 'Money Pro', acceptText: 'Yes, add Money Pro', declineText: 'No thanks' })
+  },
+  {
+    path: '/shop/llc/banking',
+    render: () => renderUpsell({ title: 'ZenBusiness Banking', acceptText: 'Yes, add banking', declineText: 'No thanks' })
+  },
+  { path: '/shop/llc/review', render: (next, { submissions }) => renderReview(latestMembers(submissions)) },
+  { path: '/shop/llc/checkout', render: renderCheckout },
+  ...POST_CHECKOUT_FLOW
+];
+
+/**
+ * DBA flow - trade name registration, no entity-specific pages
+ */
+export const DBA_FLOW = [
+  { path: '/shop/dba/business-state', render: renderBusinessState },
+  { path: '/shop/dba/business-name', render: renderBusinessName },
+  { path: '/shop/dba/contact-info', render: renderContactInfo },
+  { path: '/shop/dba/package-selection', render: renderPackageSelection },
+  { path: '/shop/dba/checkout', render: renderCheckout },
+  ...POST_CHECKOUT_FLOW
+];
+
+/**
+ * Corporation flow - adds directors/officers and share structure
+ */
+export const CORPORATION_FLOW = [
+  { path: '/shop/corporation/business-state', render: renderBusinessState },
+  { path: '/shop/corporation/business-name', render: renderBusinessName },
+  { path: '/shop/corporation/contact-info', render: renderContactInfo },
+  { path: '/shop/corporation/directors', render: () => renderDirectors(['CEO', 'CTO', 'COO', 'CFO', 'Secretary']) },
+  { path: '/shop/corporation/share-structure', render: renderShareStructure },
+  { path: '/shop/corporation/package-selection', render: renderPackageSelection },
+  registeredAgentStep('corporation'),
+  { path: '/shop/corporation/checkout', render: renderCheckout },
+  ...POST_CHECKOUT_FLOW
+];
+
+/**
+ * Nonprofit flow - adds the board of directors and the 501(c)(3) purpose statement
+ */
+export const NONPROFIT_FLOW = [
+  { path: '/shop/nonprofit/business-state', render: renderBusinessState },
+  { path: '/shop/nonprofit/business-name', render: renderBusinessName },
+  { path: '/shop/nonprofit/contact-info', render: renderContactInfo },
+  { path: '/shop/nonprofit/directors', render: () => renderDirectors(['President', 'Secretary', 'Treasurer', 'Director']) },
+  { path: '/shop/nonprofit/nonprofit-purpose', render: renderNonprofitPurpose },
+  { path: '/shop/nonprofit/package-selection', render: renderPackageSelection },
+  registeredAgentStep('nonprofit'),
+  { path: '/shop/nonprofit/checkout', render: renderCheckout },
+  ...POST_CHECKOUT_FLOW
+];
+
+// Entity flows by shop slug - /shop/<entity> redirects to the flow's first step
+export const FLOWS = {
+  llc: LLC_FLOW,
+  dba: DBA_FLOW,
+  corporation: CORPORATION_FLOW,
+  nonprofit: NONPROFIT_FLOW
+};
+
+// Pages outside every flow, opened directly by tests - the survey has no handler
+export const UNMAPPED_PAGES = [
+  { path: '/shop/llc/referral-survey', render: renderReferralSurvey, next: DASHBOARD_PATH }
+];
+
+/**
+ * Create (but do not start) the mock server
+ * Every form submission is kept in memory and exposed at /__mock/submissions
+ * so a run can assert what the agent actually entered.
+ * @returns {http.Server}
+ */
+export function createMockServer() {
+  const submissions = [];
+
+  // Flows share their post-checkout tail, so a path maps to the same next step in every flow
+  const routes = new Map();
+  for (const [entity, flow] of Object.entries(FLOWS)) {
+    routes.set(`/shop/${entity}`, { redirect: flow[0].path });
+    flow.forEach((step, i) => {
+      if (routes.has(step.path)) return;
+      const next = flow[i + 1]?.path || DASHBOARD_PATH;
+      routes.set(step.path, { ...step, next });
+    });
+  }
+  for (const page of UNMAPPED_PAGES) {
+    routes.set(page.path, page);
+  }
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    // Journey steps are distinguished by query, everything else by pathname
+    const key = url.pathname === '/f/journey'
+      ? `/f/journey?step=${url.searchParams.get('step') || '1'}`
+      : url.pathname.replace(/\/$/, '') || '/';
+
+    const send = (status, body, type = 'text/html; charset=utf-8') => {
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(body);
+    };
+
+    if (key === '/') return send(200, renderHome());
+    if (key === '/stripe/card-frame') return send(200, renderStripeFrame());
+    if (key === '/__mock/submissions') return send(200, JSON.stringify(submissions, null, 2), 'application/json');
+    if (key === '/favicon.ico') return send(204, '');
+
+    const route = routes.get(key);
+    if (!route) return send(404, `<h1>Not found</h1><p>${key}</p>`);
+    if (route.redirect) {
+      res.writeHead(302, { Location: route.redirect });
+      res.end();
+      return;
+    }
+
+    if (req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        submissions.push({
+          path: key,
+          fields: Object.fromEntries(new URLSearchParams(body)),
+          timestamp: new Date().toISOString()
+        });
+        res.writeHead(303, { Location: route.next });
+        res.end();
+      });
+      return;
+    }
+
+    send(200, route.render(route.next, { submissions }));
+  });
+}
+
+/**
+ * Start the mock server
+ * @param {number} port - Port to listen on (0 for a random free port)
+ * @returns {Promise<{server: http.Server, baseUrl: string}>}
+ */
+export async function startMockServer(port = DEFAULT_MOCK_PORT) {
+  const server = createMockServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return { server, baseUrl };
+}
+
+// Run standalone: node zenbusiness-automation/mockSite/server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.MOCK_PORT, 10) || DEFAULT_MOCK_PORT;
+  startMockServer(port)
+    .then(({ baseUrl }) => {
+      console.log(`🧪 Mock ZenBusiness site running at ${baseUrl}`);
+    })
+    .catch(error => {
+      console.error(`❌ Could not start mock site on port ${port}: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
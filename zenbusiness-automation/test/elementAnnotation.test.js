@@ -0,0 +1,75 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { getSelectorCandidates, isGeneratedId, isHashedToken } from '../utils/elementAnnotation.js';
+
+/**
+ * getSelectorCandidates() evaluated inside a jsdom window, the way annotatePage() sends it
+ * @param {string} html - Body markup
+ * @returns {Function} - selector -> candidates for the element it matches
+ */
+function candidatesIn(html) {
+  const { window } = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { runScripts: 'outside-only' });
+  // jsdom has no CSS.escape; the ids used here only need identifier escaping
+  window.CSS = { escape: value => String(value).replace(/[^\w-]/g, '\\$&') };
+  const candidates = window.eval(`(() => {
+    ${isHashedToken.toString()}
+    ${isGeneratedId.toString()}
+    return ${getSelectorCandidates.toString()};
+  })()`);
+  return selector => candidates(window.document.querySelector(selector));
+}
+
+describe('isGeneratedId', () => {
+  const handWritten = ['email', 'address1', 'addressLine1', 'address-line1', 'phone10', 'member3Name', 'firstNameID', 'userIdInput', 'getAQuote', 'business_name', 'state-select'];
+  for (const id of handWritten) {
+    test(`${id} is hand-written`, () => assert.equal(isGeneratedId(id), false));
+  }
+
+  const generated = [':r1:', 'mui-123', '123-field', 'radix-:R2:', 'css-1x2y3z', 'sc-bdVaJa', 'kFjWvz', 'field-a3f9c2', 'Button_primary__3Xk9a', 'jss42', 'row-123456'];
+  for (const id of generated) {
+    test(`${id} is generated`, () => assert.equal(isGeneratedId(id), true));
+  }
+});
+
+describe('getSelectorCandidates', () => {
+  const strategies = candidates => candidates.filter(candidate => candidate.unique).map(({ strategy, selector }) => [strategy, selector]);
+
+  test('keeps the #id of a hand-written id', () => {
+    const candidates = candidatesIn('<input id="addressLine1" name="street">')('input');
+    assert.deepEqual(strategies(candidates)[0], ['id', '#addressLine1']);
+  });
+
+  test('drops a hashed id but still finds the input through its label text', () => {
+    const candidates = candidatesIn(`
+      <label for="kFjWvz">Email</label><input id="kFjWvz">
+      <label for="x7Gh2k">Phone</label><input id="x7Gh2k">`)('#kFjWvz');
+    assert.equal(candidates.some(candidate => candidate.strategy === 'id'), false);
+    assert.deepEqual(strategies(candidates)[0], ['label', 'xpath=//input[@id=//label[normalize-space()="Email"]/@for]']);
+  });
+
+  test('finds an input inside a wrapping label', () => {
+    const candidates = candidatesIn(`
+      <label>Remember me <input type="checkbox"></label>
+      <label>Subscribe <input type="checkbox"></label>`)('label:last-of-type input');
+    assert.deepEqual(strategies(candidates).find(([strategy]) => strategy === 'label'), ['label', 'xpath=//label[normalize-space()="Subscribe"]//input']);
+  });
+
+  test('a label shared by two inputs is not unique', () => {
+    const candidates = candidatesIn(`
+      <label for="a1">Name</label><input id="a1">
+      <label for="b1">Name</label><input id="b1">`)('#a1');
+    assert.equal(candidates.find(candidate => candidate.strategy === 'label').unique, false);
+  });
+
+  test('ranks test ids first and leaves hashed classes out of the path', () => {
+    const candidates = candidatesIn(`
+      <div class="css-1x2y3z checkout"><button data-testid="place-order" class="sc-bdVaJa primary">Place order</button></div>
+      <div class="checkout"><button class="primary">Place order</button></div>`)('[data-testid]');
+    assert.deepEqual(strategies(candidates)[0], ['test-id', '[data-testid="place-order"]']);
+    const path = candidates.find(candidate => candidate.strategy === 'path').selector;
+    assert.doesNotMatch(path, /css-1x2y3z|sc-bdVaJa/);
+    assert.match(path, /div\.checkout:nth-of-type\(1\) > button\.primary/);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRange, pickOption, journeyAnswer, industrySearchTerm } from '../utils/journeyAnswers.js';
+
+const PERSONA = {
+  hasEIN: false,
+  operationalStatus: 'just-started',
+  employees: 3,
+  revenue: 2500000,
+  industry: 'Food & Beverage',
+  businessIdea: 'Mobile coffee catering'
+};
+
+describe('parseRange', () => {
+  const cases = [
+    ['Just me', { min: 0, max: 0 }],
+    ['1-5', { min: 1, max: 5 }],
+    ['6 to 10', { min: 6, max: 10 }],
+    ['50+', { min: 50, max: Infinity }],
+    ['More than 50', { min: 50, max: Infinity }],
+    ['Under $10k', { min: 0, max: 10000 }],
+    ['$50,000 - $100,000', { min: 50000, max: 100000 }],
+    ['$1M+', { min: 1000000, max: Infinity }],
+    ['1 million+', { min: 1000000, max: Infinity }],
+    ['$250 thousand or less', { min: 0, max: 250000 }],
+    ['$100K - $1.5 million', { min: 100000, max: 1500000 }],
+    ['Not sure yet', null]
+  ];
+  for (const [label, expected] of cases) {
+    test(`${label} -> ${JSON.stringify(expected)}`, () => assert.deepEqual(parseRange(label), expected));
+  }
+});
+
+describe('pickOption', () => {
+  test('tries preferences in order and returns the first that matches an option', () => {
+    assert.equal(pickOption(['Retail', 'Restaurant', 'Other'], [/^other$/i, 'Restaurant']), 2);
+    assert.equal(pickOption(['Retail', 'Restaurant', 'Other'], ['Restaurant', /^other$/i]), 1);
+  });
+
+  test('matches strings as substrings either way, ignoring case', () => {
+    assert.equal(pickOption(['Food services', 'Retail'], ['food']), 0);
+    assert.equal(pickOption(['Cafe', 'Coffee'], ['Mobile coffee catering']), 1);
+  });
+
+  test('does not match option labels of three letters or fewer inside the preference', () => {
+    assert.equal(pickOption(['Yes', 'No'], ['Not yet']), -1);
+  });
+
+  test('calls function preferences with the label and skips empty options', () => {
+    assert.equal(pickOption(['', 'Select one', '10-20'], [label => label.startsWith('10')]), 2);
+  });
+
+  test('-1 when nothing matches', () => {
+    assert.equal(pickOption(['A', 'B'], [/c/]), -1);
+    assert.equal(pickOption(['A', 'B']), -1);
+  });
+});
+
+describe('journeyAnswer', () => {
+  const fields = [
+    ['Do you already have an EIN?', 'hasEIN'],
+    ['Do you have a federal tax ID?', 'hasEIN'],
+    ['What stage is your business in?', 'operationalStatus'],
+    ['Is your business already operating?', 'operationalStatus'],
+    ['How many employees do you plan to have?', 'employees'],
+    ['What is your team size?', 'employees'],
+    ['What annual revenue do you expect?', 'revenue'],
+    ['How much money do you expect to make this year?', 'revenue'],
+    ['What industry is your business in?', 'industry'],
+    ['Search for your NAICS code', 'industry'],
+    ['Describe your business', 'businessIdea'],
+    ['What products or services will you offer?', 'businessIdea'],
+    ['What is your favorite color?', null]
+  ];
+  for (const [question, field] of fields) {
+    test(`"${question}" -> ${field || 'no mapping'}`, () => assert.equal(journeyAnswer(question, PERSONA)?.field ?? null, field));
+  }
+
+  test('null when the persona lacks the field', () => {
+    assert.equal(journeyAnswer('How many employees?', { ...PERSONA, employees: undefined }), null);
+    assert.equal(journeyAnswer('How many employees?', null), null);
+  });
+
+  const picks = [
+    ['How many employees?', ['Just me', '1-5', '6-10', '11+'], '1-5'],
+    ['How many employees?', ['Just me', '1-5'], 'Just me', { employees: 0 }],
+    ['Expected annual revenue', ['Under $100k', '$100k - $1M', '1 million+'], '1 million+'],
+    ['Expected annual revenue', ['Under $100k', '$100k - $1M', '1 million+'], 'Under $100k', { revenue: 40000 }],
+    ['Do you have an EIN?', ['Yes, I have one', 'No, not yet'], 'No, not yet'],
+    ['Do you have an EIN?', ['Yes, I have one', 'No, not yet'], 'Yes, I have one', { hasEIN: true }],
+    ['What stage is your business in?', ['Still planning', 'Just started', 'Up and running'], 'Just started'],
+    ['What industry?', ['Construction', 'Food services', 'Retail trade'], 'Food services']
+  ];
+  for (const [question, options, expected, overrides] of picks) {
+    test(`"${question}" with ${JSON.stringify(overrides || {})} picks ${expected}`, () => {
+      const answer = journeyAnswer(question, { ...PERSONA, ...overrides });
+      assert.equal(options[pickOption(options, answer.preferences)], expected);
+    });
+  }
+
+  test('free-text answers come from the persona', () => {
+    assert.equal(journeyAnswer('How many employees?', PERSONA).text, '3');
+    assert.equal(journeyAnswer('Describe your business', PERSONA).text, 'Mobile coffee catering');
+  });
+});
+
+describe('industrySearchTerm', () => {
+  test('the first option wording, the industry itself, or a default', () => {
+    assert.equal(industrySearchTerm(PERSONA), 'Restaurant');
+    assert.equal(industrySearchTerm({ industry: 'Farming' }), 'Farming');
+    assert.equal(industrySearchTerm(null), 'Agriculture');
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_CUSTOM_PRIORITY, instructionStrategy, resolveJourneyStrategies, runJourneyStrategies } from '../utils/journeyStrategies.js';
+import { BudgetExceededError } from '../utils/usageTracker.js';
+
+/**
+ * FastAgent stand-in: records act() instructions, failing the ones fail() picks
+ * @param {Function} fail - instruction => error to throw, or null
+ */
+function stubAgent(fail = () => null) {
+  const acted = [];
+  return {
+    acted,
+    act: async instruction => {
+      acted.push(instruction);
+      const error = fail(instruction);
+      if (error) throw error;
+    },
+    wait: async () => {}
+  };
+}
+
+// Strategy whose detect() and apply() results are given up front
+const strategy = (name, priority, { matched = true, applied = true, detectError, applyError } = {}) => ({
+  name,
+  description: name,
+  priority,
+  enabled: true,
+  detect: async () => {
+    if (detectError) throw detectError;
+    return { matched };
+  },
+  apply: async () => {
+    if (applyError) throw applyError;
+    return applied;
+  }
+});
+
+const names = strategies => strategies.map(({ name }) => name);
+
+describe('resolveJourneyStrategies', () => {
+  const builtIn = [strategy('first', 10), strategy('second', 20), strategy('third', 30)];
+
+  test('runs the built-ins by priority without overrides', () => {
+    assert.deepEqual(names(resolveJourneyStrategies({}, [builtIn[2], builtIn[0], builtIn[1]])), ['first', 'second', 'third']);
+    assert.deepEqual(names(resolveJourneyStrategies()), ['textInput', 'cascadingDropdown', 'emptyDropdown', 'directSelectors', 'vision', 'genericAi']);
+  });
+
+  test('a priority override moves a strategy; ties keep list order', () => {
+    assert.deepEqual(names(resolveJourneyStrategies({ third: { priority: 5 } }, builtIn)), ['third', 'first', 'second']);
+    assert.deepEqual(names(resolveJourneyStrategies({ third: { priority: 10 } }, builtIn)), ['first', 'third', 'second']);
+  });
+
+  test('configured strategies run after built-ins with the same priority', () => {
+    const resolved = resolveJourneyStrategies({ skipTour: { instructions: ['Click "Skip tour"'], priority: 20 } }, builtIn);
+    assert.deepEqual(names(resolved), ['first', 'second', 'skipTour', 'third']);
+  });
+
+  test(`configured strategies without a priority get ${DEFAULT_CUSTOM_PRIORITY}`, () => {
+    const resolved = resolveJourneyStrategies({ skipTour: { instructions: ['Click "Skip tour"'] } });
+    assert.deepEqual(names(resolved).slice(3, 6), ['directSelectors', 'skipTour', 'vision']);
+  });
+
+  test('leaves out disabled built-in and configured strategies', () => {
+    const resolved = resolveJourneyStrategies({
+      second: { enabled: false },
+      skipTour: { instructions: ['Click "Skip tour"'], enabled: false }
+    }, builtIn);
+    assert.deepEqual(names(resolved), ['first', 'third']);
+  });
+
+  test('a disabled built-in can be switched back on', () => {
+    const off = { ...strategy('off', 15), enabled: false };
+    assert.deepEqual(names(resolveJourneyStrategies({}, [...builtIn, off])), ['first', 'second', 'third']);
+    assert.deepEqual(names(resolveJourneyStrategies({ off: { enabled: true } }, [...builtIn, off])), ['first', 'off', 'second', 'third']);
+  });
+
+  test('rejects an unknown name without instructions', () => {
+    assert.throws(() => resolveJourneyStrategies({ typo: { priority: 1 } }, builtIn), /"typo" is not built in and has no instructions\. Built-in: first, second, third/);
+  });
+});
+
+describe('instructionStrategy', () => {
+  test('without when, it matches every question', async () => {
+    const detection = await instructionStrategy('skipTour', { instruction: 'Click "Skip"' }).detect(stubAgent(), { question: 'Anything' });
+    assert.equal(detection.matched, true);
+  });
+
+  test('when filters on the question text, ignoring case', async () => {
+    const skipTour = instructionStrategy('skipTour', { when: 'take a tour', instructions: ['Click "Skip tour"'] });
+    assert.equal((await skipTour.detect(stubAgent(), { question: 'Want to TAKE A TOUR?' })).matched, true);
+    assert.equal((await skipTour.detect(stubAgent(), { question: 'How many employees?' })).matched, false);
+    assert.match(skipTour.description, /when the question matches \/take a tour\//);
+  });
+
+  test('tries instructions in order until one succeeds', async () => {
+    const agent = stubAgent(instruction => (instruction === 'first' ? new Error('not found') : null));
+    const handled = await instructionStrategy('custom', { instructions: ['first', 'second', 'third'] }).apply(agent);
+    assert.equal(handled, true);
+    assert.deepEqual(agent.acted, ['first', 'second']);
+  });
+
+  test('fails when every instruction fails', async () => {
+    const agent = stubAgent(() => new Error('not found'));
+    assert.equal(await instructionStrategy('custom', { instructions: ['first', 'second'] }).apply(agent), false);
+    assert.deepEqual(agent.acted, ['first', 'second']);
+  });
+
+  test('stops at BUDGET_EXCEEDED instead of trying the next instruction', async () => {
+    const agent = stubAgent(() => new BudgetExceededError('run', 'calls', 10, 10));
+    await assert.rejects(instructionStrategy('custom', { instructions: ['first', 'second'] }).apply(agent), { code: 'BUDGET_EXCEEDED' });
+    assert.deepEqual(agent.acted, ['first']);
+  });
+});
+
+describe('runJourneyStrategies', () => {
+  const outcomes = result => result.outcomes.map(({ name, outcome, error }) => [name, outcome, error]);
+
+  test('records every strategy tried and stops at the one that handles the page', async () => {
+    const result = await runJourneyStrategies(stubAgent(), [
+      strategy('skipped', 10, { matched: false }),
+      strategy('detectError', 20, { detectError: new Error('page gone') }),
+      strategy('returnsFalse', 30, { applied: false }),
+      strategy('applyThrows', 40, { applyError: new Error('no such element') }),
+      strategy('handles', 50),
+      strategy('neverTried', 60)
+    ], { question: 'How many employees?' });
+
+    assert.equal(result.handledBy, 'handles');
+    assert.deepEqual(outcomes(result), [
+      ['skipped', 'skipped', null],
+      ['detectError', 'error', 'page gone'],
+      ['returnsFalse', 'failed', null],
+      ['applyThrows', 'failed', 'no such element'],
+      ['handles', 'handled', null]
+    ]);
+    assert.deepEqual(result.outcomes.map(({ priority }) => priority), [10, 20, 30, 40, 50]);
+  });
+
+  test('handledBy is null when no strategy handles the page', async () => {
+    const result = await runJourneyStrategies(stubAgent(), [strategy('skipped', 10, { matched: false }), strategy('returnsFalse', 20, { applied: false })], {});
+    assert.equal(result.handledBy, null);
+    assert.deepEqual(outcomes(result), [['skipped', 'skipped', null], ['returnsFalse', 'failed', null]]);
+  });
+
+  test('passes the context and detection to apply', async () => {
+    let seen;
+    const detecting = {
+      ...strategy('detecting', 10),
+      detect: async (agent, context) => ({ matched: true, selector: '#option', question: context.question }),
+      apply: async (agent, context, detection) => {
+        seen = [context.searchTerm, detection.selector, detection.question];
+        return true;
+      }
+    };
+    await runJourneyStrategies(stubAgent(), [detecting], { question: 'Industry?', searchTerm: 'Software' });
+    assert.deepEqual(seen, ['Software', '#option', 'Industry?']);
+  });
+
+  for (const [where, options] of [['detect', 'detectError'], ['apply', 'applyError']]) {
+    test(`rethrows BUDGET_EXCEEDED from ${where} without trying later strategies`, async () => {
+      const later = { ...strategy('later', 20), detect: async () => assert.fail('later strategy ran') };
+      await assert.rejects(
+        runJourneyStrategies(stubAgent(), [strategy('paid', 10, { [options]: new BudgetExceededError('page', 'tokens', 5000, 4000) }), later], {}),
+        error => error instanceof BudgetExceededError && error.scope === 'page'
+      );
+    });
+  }
+
+  test('runs configured strategies only for matching questions', async () => {
+    const agent = stubAgent();
+    const strategies = resolveJourneyStrategies({ skipTour: { when: 'tour', instructions: ['Click "Skip tour"'] } }, [strategy('fallback', 90)]);
+
+    const tour = await runJourneyStrategies(agent, strategies, { question: 'Take a quick tour?' });
+    const other = await runJourneyStrategies(agent, strategies, { question: 'How many employees?' });
+
+    assert.equal(tour.handledBy, 'skipTour');
+    assert.deepEqual(outcomes(other), [['skipTour', 'skipped', null], ['fallback', 'handled', null]]);
+    assert.deepEqual(agent.acted, ['Click "Skip tour"']);
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildMatrix } from '../utils/matrixRunner.js';
+
+const AXES = { goals: ['minimal', 'standard', 'premium'], states: ['CA', 'TX', 'NY', 'OH'], packages: ['starter', 'pro'] };
+
+// Every value pair across two dimensions that the combos cover
+const pairs = (combos, a, b) => new Set(combos.map(combo => `${combo[a]}|${combo[b]}`));
+
+describe('buildMatrix', () => {
+  test('is pairwise unless the full product is asked for', () => {
+    assert.ok(buildMatrix(AXES).length < 24);
+    assert.deepEqual(buildMatrix(AXES), buildMatrix(AXES, { pairwise: true }));
+    assert.equal(buildMatrix(AXES, { pairwise: false }).length, 24);
+  });
+
+  test('the pairwise subset still covers every pair of values', () => {
+    const combos = buildMatrix(AXES);
+    assert.equal(pairs(combos, 'goal', 'state').size, 12);
+    assert.equal(pairs(combos, 'goal', 'packagePreference').size, 6);
+    assert.equal(pairs(combos, 'state', 'packagePreference').size, 8);
+  });
+});
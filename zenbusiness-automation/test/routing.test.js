@@ -0,0 +1,177 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PAGE_HANDLERS, findHandler, isEndState } from '../utils/pageHandlers.js';
+import { identifyPage, scoreDomSignature, signatureSelectors } from '../utils/pageIdentifier.js';
+import { ROUTE_EXPECTATIONS, findBareWords, findBroadSubstrings } from '../utils/routeCheck.js';
+
+const DEV = 'https://www.dev.zenbusiness.com';
+
+describe('PAGE_HANDLERS routing', () => {
+  for (const [url, expected] of ROUTE_EXPECTATIONS) {
+    test(`${url} -> ${expected || 'no handler'}`, () => {
+      assert.equal(findHandler(url)?.name || null, expected);
+    });
+  }
+});
+
+describe('bare-word lint', () => {
+  test('no PAGE_HANDLERS substring is a single word', () => {
+    assert.deepEqual(findBareWords(), []);
+  });
+
+  test('flags single words and leaves slugs, path pieces and templates alone', () => {
+    const handlers = [
+      { name: 'banking', urlPatterns: ['bank', 'Banking2', 'bank-account', '/bank/', { path: '/shop/:entity/bank' }, /^\/bank$/] },
+      { name: 'rushFiling', urlPatterns: ['rush'] }
+    ];
+    assert.deepEqual(findBareWords(handlers), [
+      { pattern: "'bank'", handler: 'banking' },
+      { pattern: "'Banking2'", handler: 'banking' },
+      { pattern: "'rush'", handler: 'rushFiling' }
+    ]);
+  });
+});
+
+describe('broad substring lint', () => {
+  test('no PAGE_HANDLERS substring matches another handler\'s table URL', () => {
+    assert.deepEqual(findBroadSubstrings(), []);
+  });
+
+  const cases = [
+    {
+      name: 'flags a substring matching a URL no handler owns',
+      handlers: [{ name: 'ein', urlPatterns: ['ein'] }],
+      expectations: [[`${DEV}/shop/llc/being-your-own-boss`, null]],
+      flagged: [{ pattern: "'ein'", handler: 'ein', url: `${DEV}/shop/llc/being-your-own-boss`, expected: null }]
+    },
+    {
+      name: 'flags a substring that only loses on specificity',
+      handlers: [
+        { name: 'postCheckoutUpsell', urlPatterns: ['llc-addons/business-kit'] },
+        { name: 'ein', urlPatterns: ['ein'] }
+      ],
+      expectations: [[`${DEV}/shop/llc-addons/business-kit-lein`, 'postCheckoutUpsell']],
+      flagged: [{ pattern: "'ein'", handler: 'ein', url: `${DEV}/shop/llc-addons/business-kit-lein`, expected: 'postCheckoutUpsell' }]
+    },
+    {
+      name: 'skips URLs the handler excludes',
+      handlers: [{ name: 'checkout', urlPatterns: ['checkout'], excludePatterns: ['llc-addons/'] }],
+      expectations: [[`${DEV}/shop/llc-addons/checkout`, 'postCheckoutCheckout']],
+      flagged: []
+    },
+    {
+      name: 'skips the handler\'s own URLs',
+      handlers: [{ name: 'review', urlPatterns: ['order-summary'] }],
+      expectations: [[`${DEV}/shop/llc/order-summary`, 'review']],
+      flagged: []
+    },
+    {
+      name: 'leaves path templates to the overlap warning',
+      handlers: [{ name: 'ein', urlPatterns: [{ path: '/shop/:entity/ein' }] }],
+      expectations: [[`${DEV}/shop/llc/ein`, 'other']],
+      flagged: []
+    }
+  ];
+
+  for (const { name, handlers, expectations, flagged } of cases) {
+    test(name, () => {
+      assert.deepEqual(findBroadSubstrings(handlers, expectations), flagged);
+    });
+  }
+});
+
+/**
+ * snapshotPage()-shaped page description
+ * @param {Object} page - { headings, text, fields } - fields lists the selectors present
+ */
+function snapshot({ headings = [], text = '', fields = [] } = {}) {
+  return {
+    headings: headings.map(heading => heading.toLowerCase()),
+    text: [...headings, text].join('\n').toLowerCase(),
+    fields: Object.fromEntries(signatureSelectors().map(selector => [selector, fields.includes(selector)]))
+  };
+}
+
+describe('scoreDomSignature', () => {
+  const signature = { headings: ['package'], text: ['starter', 'pro', 'premium'] };
+  const cases = [
+    ['every heading and phrase found', { headings: ['Choose your package'], text: 'Starter Pro Premium' }, 1],
+    ['a plural heading', { headings: ['Compare packages'], text: 'Starter Pro Premium' }, 1],
+    ['phrases match whole words only', { headings: ['Choose your package'], text: 'We provide the process' }, 0.25],
+    ['phrases without a heading or field', { headings: ['Business details'], text: 'Starter Pro Premium' }, 0]
+  ];
+  for (const [name, page, expected] of cases) {
+    test(name, () => assert.equal(scoreDomSignature(signature, snapshot(page)), expected));
+  }
+
+  test('null without a signature or snapshot', () => {
+    assert.equal(scoreDomSignature(undefined, snapshot()), null);
+    assert.equal(scoreDomSignature(signature, null), null);
+  });
+
+  test('every PAGE_HANDLERS signature has a heading or field', () => {
+    const textOnly = PAGE_HANDLERS.filter(({ domSignature }) => domSignature && !domSignature.headings?.length && !domSignature.fields?.length);
+    assert.deepEqual(textOnly.map(({ name }) => name), []);
+  });
+});
+
+describe('identifyPage', () => {
+  const identify = (url, page) => {
+    const { pageConfig, source } = identifyPage(url, page && snapshot(page));
+    return [pageConfig?.name || null, source];
+  };
+
+  test('an unambiguous URL decides on its own', () => {
+    assert.deepEqual(identify(`${DEV}/shop/llc/registered-agent`, { headings: ['Something else'] }), ['registeredAgent', 'url']);
+  });
+
+  test('a page that only mentions "registered agent" stays unknown', () => {
+    const page = { headings: ['How did you hear about us?'], text: 'Your registered agent receives legal mail.' };
+    assert.deepEqual(identify(`${DEV}/shop/llc/referral-survey`, page), [null, null]);
+  });
+
+  test('a registered agent heading identifies the page without a URL match', () => {
+    const page = { headings: ['Registered Agent'], text: 'Add this service to your order?' };
+    assert.deepEqual(identify(`${DEV}/shop/llc/step-7`, page), ['registeredAgent', 'dom']);
+  });
+
+  test('"pro" inside other words does not make a package page', () => {
+    const page = { headings: ['Tell us about your business'], text: 'Provide details so we can process your premium filing' };
+    assert.deepEqual(identify(`${DEV}/shop/llc/step-3`, page), [null, null]);
+  });
+
+  test('package cards under a package heading do', () => {
+    const page = { headings: ['Choose your package', 'Starter', 'Pro', 'Premium'] };
+    assert.deepEqual(identify(`${DEV}/shop/llc/step-3`, page), ['packageSelection', 'dom']);
+  });
+
+  test('"ein" inside other words does not make an EIN page', () => {
+    const page = { headings: ['Being your own boss'] };
+    assert.deepEqual(identify(`${DEV}/shop/llc/step-9`, page), [null, null]);
+  });
+
+  test('the checkout card frame identifies checkout sections without a checkout heading', () => {
+    const page = { headings: ['Payment method'], text: 'Card number Place order', fields: ['iframe[name^="__privateStripeFrame"], input[autocomplete="cc-number"]'] };
+    assert.deepEqual(identify(`${DEV}/shop/llc/step-12`, page), ['checkout', 'dom']);
+  });
+});
+
+describe('isEndState', () => {
+  const ENV_PATTERNS = ['velo', '/app/', '/dashboard'];
+  const cases = [
+    [`${DEV}/velo/dashboard`, null, true],
+    [`${DEV}/app/home`, ENV_PATTERNS, true],
+    [`${DEV}/app/dashboard/banking-application`, ENV_PATTERNS, false],
+    [`${DEV}/app/dashboard/banking-application`, null, false],
+    [`${DEV}/shop/llc/checkout?next=/dashboard`, ENV_PATTERNS, false],
+    [`${DEV}/shop/llc/business-name`, ENV_PATTERNS, false],
+    ['http://127.0.0.1:4321/velo/dashboard', ['/velo/dashboard'], true]
+  ];
+
+  for (const [url, patterns, expected] of cases) {
+    test(`${url}${patterns ? ` with [${patterns.join(', ')}]` : ''} -> ${expected}`, () => {
+      assert.equal(isEndState(url, patterns), expected);
+    });
+  }
+});
@@ -0,0 +1,229 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { FastAgent } from '../utils/fastAgent.js';
+import { CheckoutHandler } from '../utils/checkoutHandler.js';
+import { loadEnvironment } from '../utils/environments.js';
+import { ScriptedProvider, StubProvider } from '../utils/llmProviders.js';
+import { generatePersona, generateBusinessDetails } from '../utils/personaGenerator.js';
+import { startMockServer } from '../mockSite/server.js';
+import { JsdomStagehand } from '../mockSite/jsdomBrowser.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'mockSite', 'scriptedRun.json');
+
+/**
+ * FastAgent on the mock site with every role answered from the fixture - no model anywhere
+ * @param {string} baseUrl - Mock server URL
+ */
+function scriptedAgent(baseUrl, options = {}) {
+  const scripted = { provider: 'scripted', fixture: FIXTURE };
+  const environment = {
+    ...loadEnvironment('local-mock'),
+    baseUrl,
+    llm: { act: scripted, decide: scripted, vision: scripted }
+  };
+  const persona = generatePersona('llc', 'minimal', { seed: 'scripted-run', testCount: 1 });
+  return new FastAgent(persona, generateBusinessDetails('llc', persona), { environment, ...options });
+}
+
+describe('ScriptedProvider', () => {
+  const fixture = {
+    responses: [
+      { role: 'decide', url: '/checkout', response: { action: 'fill', target: 'card number' }, times: 1 },
+      { role: 'decide', prompt: 'Place order', response: 'plain text' },
+      { role: 'act', response: { selector: '#next', method: 'click' } }
+    ],
+    fallback: { decide: { action: 'done' } }
+  };
+
+  test('answers the first matching entry until its uses run out, then the fallback', async () => {
+    const provider = new ScriptedProvider({ role: 'decide', fixture });
+    const first = await provider.complete({ prompt: 'next action?', url: 'http://mock/shop/llc/checkout' });
+    const second = await provider.complete({ prompt: 'next action?', url: 'http://mock/shop/llc/checkout' });
+    const third = await provider.complete({ prompt: 'Click "Place order"', url: 'http://mock/shop/llc/checkout' });
+
+    assert.deepEqual(JSON.parse(first.text), { action: 'fill', target: 'card number' });
+    assert.deepEqual(JSON.parse(second.text), { action: 'done' });
+    assert.equal(third.text, 'plain text');
+    assert.deepEqual(provider.transcript.map(({ entry }) => entry), [0, null, 1]);
+    assert.equal(provider.transcript[0].url, 'http://mock/shop/llc/checkout');
+  });
+
+  test('only answers entries for its own role', async () => {
+    const provider = new ScriptedProvider({ role: 'act', fixture });
+    const response = await provider.complete({ prompt: 'Click "Place order"' });
+    assert.deepEqual(JSON.parse(response.text), { selector: '#next', method: 'click' });
+    assert.equal(provider.transcript[0].entry, 2);
+  });
+
+  test('reads a fixture file', async () => {
+    const provider = new ScriptedProvider({ role: 'vision', fixture: FIXTURE });
+    const response = await provider.complete({ prompt: 'journey page', url: 'http://mock/f/journey?step=2' });
+    assert.equal(JSON.parse(response.text).recommendation, 'Click the "2-10" option card');
+  });
+
+  test('offline providers drive Stagehand without a model', () => {
+    assert.deepEqual(new ScriptedProvider({ role: 'act', fixture }).stagehandOptions(), { offline: true });
+    assert.deepEqual(new StubProvider({ role: 'act' }).stagehandOptions(), { offline: true });
+  });
+});
+
+describe('FastAgent.offlineAct', () => {
+  // Stagehand stand-in: records the actions it is given instead of running them in a browser
+  function agentWithActions(fixture) {
+    const agent = new FastAgent(generatePersona('llc', 'minimal', { seed: 'offline-act', testCount: 1 }), {}, {
+      environment: { ...loadEnvironment('local-mock'), llm: { act: { provider: 'scripted', fixture }, decide: { provider: 'stub' }, vision: { provider: 'stub' } } }
+    });
+    const actions = [];
+    agent.actOffline = true;
+    agent.page = { url: () => 'http://mock/shop/llc/checkout' };
+    agent.stagehand = { act: async action => { actions.push(action); return { success: true, actions: [action] }; } };
+    return { agent, actions };
+  }
+
+  test('runs the answered actions, passing the value to those without arguments', async () => {
+    const { agent, actions } = agentWithActions({
+      responses: [{ role: 'act', response: [{ selector: '#a', method: 'fill' }, { selector: '#b', method: 'press', arguments: ['Enter'] }] }]
+    });
+    const strategy = await agent.stagehandAct('Type "x" into the field', { recordAs: 'fill: field', value: 'x' });
+
+    assert.equal(strategy, 'offline');
+    assert.deepEqual(actions.map(({ selector, arguments: args }) => [selector, args]), [['#a', ['x']], ['#b', ['Enter']]]);
+    assert.deepEqual(agent.providers.act.transcript.map(({ entry }) => entry), [0]);
+  });
+
+  test('fails like Stagehand when the answer holds no action', async () => {
+    const { agent, actions } = agentWithActions({ responses: [] });
+    await assert.rejects(agent.offlineAct('Click "Nowhere"'), /No scripted action for "Click "Nowhere""/);
+    assert.equal(actions.length, 0);
+  });
+});
+
+describe('FastAgent.applyDecision', () => {
+  // Records the calls each branch makes; marked elements succeed unless their index is 99
+  function recordingAgent() {
+    const agent = new FastAgent(generatePersona('llc', 'minimal', { seed: 'apply-decision', testCount: 1 }), {}, { environment: loadEnvironment('local-mock') });
+    const calls = [];
+    agent.actOnMarkedElement = async ({ action, marked }) => {
+      calls.push(['marked', action, marked.index]);
+      return marked.index !== 99;
+    };
+    agent.fill = async (target, value) => calls.push(['fill', target, value]);
+    agent.select = async (target, value) => calls.push(['select', target, value]);
+    agent.act = async instruction => calls.push(['act', instruction]);
+    const submit = async () => calls.push(['submit']);
+    return { agent, calls, submit };
+  }
+
+  const cases = [
+    ['a marked fill, then submit', { action: 'fill', element: 3, target: 'email', value: 'a@b.c', marked: { index: 3 } }, true,
+      [['marked', 'fill', 3], ['submit']]],
+    ['a marked click, without submit', { action: 'click', element: 4, target: 'Next', marked: { index: 4 } }, true,
+      [['marked', 'click', 4]]],
+    ['the target when the marked element fails', { action: 'select', element: 99, target: 'state', value: 'Ohio', marked: { index: 99 } }, true,
+      [['marked', 'select', 99], ['select', 'state', 'Ohio'], ['submit']]],
+    ['an unmarked fill, then submit', { action: 'fill', target: 'email', value: 'a@b.c' }, true,
+      [['fill', 'email', 'a@b.c'], ['submit']]],
+    ['an unmarked click', { action: 'click', target: 'Continue' }, true,
+      [['act', 'Click "Continue"']]],
+    ['nothing for a decision without a target', { action: 'wait' }, false, []]
+  ];
+  for (const [name, decision, expected, expectedCalls] of cases) {
+    test(name, async () => {
+      const { agent, calls, submit } = recordingAgent();
+      assert.equal(await agent.applyDecision(decision, { submit }), expected);
+      assert.deepEqual(calls, expectedCalls);
+    });
+  }
+});
+
+describe('scripted AI fallbacks on the mock site', () => {
+  let mock;
+  let agent;
+  let runDir;
+
+  before(async () => {
+    mock = await startMockServer(0);
+    runDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scripted-run-'));
+    agent = scriptedAgent(mock.baseUrl, {
+      unknownPagesDir: path.join(runDir, 'unknown-pages'),
+      // Vision only, so the journey page reaches the vision strategy
+      journeyStrategies: {
+        textInput: { enabled: false },
+        cascadingDropdown: { enabled: false },
+        emptyDropdown: { enabled: false },
+        directSelectors: { enabled: false },
+        genericAi: { enabled: false }
+      }
+    });
+    // What init() sets up, on jsdom instead of Chrome
+    agent.stagehand = new JsdomStagehand();
+    agent.page = agent.stagehand.page;
+    agent.actOffline = true;
+    agent.startTime = Date.now();
+    agent.testRunDir = runDir;
+    fs.mkdirSync(path.join(runDir, 'screenshots'));
+  });
+
+  after(async () => {
+    await agent.close().catch(() => {});
+    await new Promise(resolve => mock.server.close(resolve));
+    fs.rmSync(runDir, { recursive: true, force: true });
+  });
+
+  const submissions = async () => (await fetch(`${mock.baseUrl}/__mock/submissions`)).json();
+  const answered = role => agent.providers[role].transcript.filter(({ entry }) => entry !== null);
+
+  test('runStepByStep answers a page without a handler through decide and act', { timeout: 120000 }, async () => {
+    await agent.goto(`${mock.baseUrl}/shop/llc/referral-survey`);
+    const screenshot = agent.page.screenshot;
+    const shots = [];
+    agent.page.screenshot = options => {
+      shots.push(options);
+      return screenshot.call(agent.page, options);
+    };
+
+    const result = await agent.runStepByStep({ clickGetStarted: false });
+    agent.page.screenshot = screenshot;
+
+    assert.equal(result.success, true);
+    assert.match(result.finalUrl, /\/velo\/dashboard$/);
+    assert.deepEqual(answered('decide').map(({ url, entry }) => [new URL(url).pathname, entry]), [['/shop/llc/referral-survey', 0]]);
+    assert.match(answered('act')[0].text, /#referral/);
+    // The decide step reuses the unknown-page capture's marked screenshot instead of taking its own
+    assert.equal(shots.filter(options => options.fullPage && !options.path).length, 0);
+    assert.equal(fs.readFileSync(path.join(runDir, 'unknown-pages', 'pages.jsonl'), 'utf8').trim().split('\n').length, 1);
+    const survey = (await submissions()).filter(({ path: page }) => page === '/shop/llc/referral-survey');
+    assert.deepEqual(survey.map(({ fields }) => fields), [{ referral: 'Podcast' }]);
+  });
+
+  test('the journey vision strategy acts on the recommendation', { timeout: 120000 }, async () => {
+    await agent.goto(`${mock.baseUrl}/f/journey?step=2`);
+
+    await agent.handlePostCheckoutJourney();
+
+    assert.deepEqual(answered('vision').map(({ entry }) => entry), [6]);
+    assert.deepEqual(answered('act').slice(-2).map(({ text }) => JSON.parse(text).selector), ['input[name="employees"][value="2-10"]', '#next']);
+    const journey = (await submissions()).filter(({ path: page }) => page === '/f/journey?step=2');
+    assert.deepEqual(journey.map(({ fields }) => fields), [{ employees: '2-10' }]);
+  });
+
+  test('CheckoutHandler.handleWithAI completes checkout from decide answers', { timeout: 120000 }, async () => {
+    await agent.goto(`${mock.baseUrl}/shop/llc/checkout`);
+    const checkout = new CheckoutHandler(agent);
+    const decided = answered('decide').length;
+
+    for (let i = 0; i < 5; i++) {
+      await checkout.handleWithAI();
+    }
+
+    assert.deepEqual(answered('decide').slice(decided).map(({ entry }) => entry), [1, 2, 3, 4, 5]);
+    const orders = (await submissions()).filter(({ path: page }) => page === '/shop/llc/checkout');
+    assert.equal(orders.length, 1);
+    assert.equal(orders[0].fields.cardNumber, '4242424242424242');
+  });
+});
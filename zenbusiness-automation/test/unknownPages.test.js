@@ -0,0 +1,46 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { draftPageHandler, summarizeUnknownPages } from '../utils/unknownPages.js';
+
+/**
+ * One-capture group, as summarizeUnknownPages() builds it
+ * @param {string} url
+ * @param {Object[]} elements - Capture elements
+ */
+function group(url, elements = []) {
+  const [summary] = summarizeUnknownPages([{
+    timestamp: '2026-10-19T10:00:00.000Z',
+    url,
+    template: new URL(url).pathname,
+    headings: ['Tell us more'],
+    elements: elements.map((element, index) => ({ index, tag: 'input', type: 'text', text: '', label: null, ...element }))
+  }]);
+  return summary;
+}
+
+describe('draftPageHandler', () => {
+  test('fills inputs a persona field fits and leaves the others out', () => {
+    const { method } = draftPageHandler(group('https://www.dev.zenbusiness.com/shop/llc/owner-details', [
+      { label: 'First name', selector: '#first' },
+      { label: 'Work e-mail', selector: '#contact' },
+      { selector: 'xpath=//input[@id=//label[normalize-space()="ZIP code"]/@for]' },
+      { label: 'How many employees will you have?', selector: '#staff' },
+      { label: 'Favorite color', selector: '#color' }
+    ]));
+    const fills = method.split('\n').filter(line => line.includes('this.fill('));
+
+    assert.deepEqual(fills.map(line => line.trim()), [
+      "await this.fill('First name', this.persona.firstName);",
+      "await this.fill('Work e-mail', this.persona.email);",
+      'await this.fill(\'xpath=//input[@id=//label[normalize-space()="ZIP code"]/@for]\', this.persona.address.zip);',
+      "await this.fill('How many employees will you have?', String(this.persona.employees));"
+    ]);
+    assert.doesNotMatch(method, /TODO/);
+  });
+
+  test('matches a slug as a substring and a single word as a path template', () => {
+    assert.match(draftPageHandler(group('https://www.dev.zenbusiness.com/shop/llc/referral-survey')).entry, /urlPatterns: \['referral-survey'\]/);
+    assert.match(draftPageHandler(group('https://www.dev.zenbusiness.com/shop/llc/survey')).entry, /urlPatterns: \[\{ path: '\/shop\/llc\/survey' \}\]/);
+  });
+});
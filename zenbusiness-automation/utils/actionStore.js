@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import { pathTemplate } from './runHistory.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Action Store
+ * Record/replay of the concrete actions Stagehand resolved act(), fill() and select() to.
+ * Entries are keyed by handler + page fingerprint, then by instruction, so a replay only
+ * reuses an action on the same kind of page it was recorded on
+ *
+ * Modes:
+ *   off    - Stagehand only (default)
+ *   record - Stagehand resolves every action and the result is stored
+ *   replay - Stored actions run without an LLM call; Stagehand is the fallback when a
+ *            recorded selector no longer matches (and the fresh result replaces the entry)
+ *
+ * Each action also keeps ranked stable selector candidates (test id, name, role + label, text;
+ * see getSelectorCandidates), tried in order when Stagehand's recorded xpath stops matching
+ */
+
+export const ACTION_MODES = ['off', 'record', 'replay'];
+
+export const RECORDINGS_DIR = path.join(__dirname, '..', 'recordings');
+
+/**
+ * Recording file for an environment profile (recordings/<env>.json)
+ * @param {string} environmentName
+ * @returns {string}
+ */
+export function recordingPath(environmentName) {
+  return path.join(RECORDINGS_DIR, `${environmentName}.json`);
+}
+
+/**
+ * Fingerprint a page: URL path template plus a hash of its form controls
+ * Text inputs are described by name/id only, so typed values don't change the fingerprint
+ * @param {Object} page - Stagehand page
+ * @returns {Promise<string>} - e.g. "/shop/llc/contact-info#3f9a0c1d"
+ */
+export async function pageFingerprint(page) {
+  let controls = [];
+  try {
+    controls = await page.evaluate(() => {
+      const describe = el => {
+        const tag = el.tagName.toLowerCase();
+        const id = el.getAttribute('name') || el.id || (tag === 'button' ? el.textContent.trim().slice(0, 40) : '');
+        return `${tag}:${el.getAttribute('type') || ''}:${id}`;
+      };
+      return [...document.querySelectorAll('input:not([type=hidden]), select, textarea, button')].map(describe);
+    });
+  } catch (e) {
+    // Page mid-navigation - fall back to the URL alone
+  }
+  const hash = crypto.createHash('sha1').update([...new Set(controls)].sort().join('|')).digest('hex').slice(0, 8);
+  return `${pathTemplate(page.url())}#${hash}`;
+}
+
+export class ActionStore {
+  /**
+   * @param {string} filePath - JSON file holding the recordings
+   * @param {Object} options - { mode } one of ACTION_MODES
+   */
+  constructor(filePath, { mode = 'off' } = {}) {
+    if (!ACTION_MODES.includes(mode)) {
+      throw new Error(`Unknown action mode "${mode}". Available: ${ACTION_MODES.join(', ')}`);
+    }
+    this.filePath = filePath;
+    this.mode = mode;
+    this.entries = this.load();
+    this.dirty = false;
+    this.stats = { recorded: 0, replayed: 0, misses: 0 };
+  }
+
+  get recording() {
+    return this.mode === 'record' || this.mode === 'replay';
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).entries || {};
+    } catch (e) {
+      console.log(`   Could not read recordings ${this.filePath}: ${e.message}`);
+      return {};
+    }
+  }
+
+  static key(handler, fingerprint) {
+    return `${handler || 'unknown'} ${fingerprint}`;
+  }
+
+  /**
+   * Recorded actions for an instruction on a page
+   * @returns {Object[]|null} - Stagehand Action objects ({ selector, method, arguments, description, candidates })
+   */
+  get(handler, fingerprint, instruction) {
+    return this.entries[ActionStore.key(handler, fingerprint)]?.[instruction]?.actions || null;
+  }
+
+  /**
+   * Store what Stagehand resolved an instruction to
+   * @param {Object[]} actions - ActResult.actions, optionally with selector candidates
+   */
+  record(handler, fingerprint, instruction, actions) {
+    if (!this.recording || !actions?.length) return;
+    const key = ActionStore.key(handler, fingerprint);
+    this.entries[key] = this.entries[key] || {};
+    this.entries[key][instruction] = {
+      actions: actions.map(({ selector, method, arguments: args, description, candidates = [] }) => ({ selector, method, arguments: args, description, candidates })),
+      recordedAt: new Date().toISOString()
+    };
+    this.stats.recorded++;
+    this.dirty = true;
+  }
+
+  /**
+   * Write recordings back, merged over what is on disk so parallel matrix runs don't drop each other's entries
+   */
+  save() {
+    if (!this.dirty) return;
+    const onDisk = this.load();
+    for (const [key, instructions] of Object.entries(this.entries)) {
+      onDisk[key] = { ...onDisk[key], ...instructions };
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, entries: onDisk }, null, 2));
+      this.dirty = false;
+    } catch (e) {
+      console.log(`   Could not write recordings: ${e.message}`);
+    }
+  }
+}
@@ -3,7 +3,7 @@
  * Extracted from fastAgent.js for clarity and maintainability
  */
 
-import { PAYMENT_DATA, CHECKOUT_SELECTORS, STRIPE_SELECTORS, WAIT_TIMES } from './config.js';
+import { CHECKOUT_SELECTORS, STRIPE_SELECTORS, WAIT_TIMES } from './config.js';
 
 export class CheckoutHandler {
   constructor(agent) {
@@ -11,6 +11,9 @@ export class CheckoutHandler {
     this.page = agent.page;
     // Access the Stagehand instance for keyboard operations
     this.stagehand = agent.stagehand;
+    // Test card and credentials come from the agent's environment profile
+    this.payment = agent.payment;
+    this.credentials = agent.credentials;
     this.lastSection = null;
     this.sectionAttempts = 0;
   }
@@ -129,17 +132,17 @@ export class CheckoutHandler {
 
       // Fill card number
       console.log('   Filling card number...');
-      await stripeFrame.locator('[placeholder="Card number"], [name="cardnumber"], input[autocomplete="cc-number"]').first().fill(PAYMENT_DATA.cardNumber);
+      await stripeFrame.locator('[placeholder="Card number"], [name="cardnumber"], input[autocomplete="cc-number"]').first().fill(this.payment.cardNumber);
       await this.agent.wait(WAIT_TIMES.medium);
 
       // Fill expiration (MM / YY format)
       console.log('   Filling expiration...');
-      await stripeFrame.locator('[placeholder="MM / YY"], [placeholder="MM/YY"], [name="exp-date"], input[autocomplete="cc-exp"]').first().fill('12/28');
+      await stripeFrame.locator('[placeholder="MM / YY"], [placeholder="MM/YY"], [name="exp-date"], input[autocomplete="cc-exp"]').first().fill(this.payment.expiry);
       await this.agent.wait(WAIT_TIMES.medium);
 
       // Fill CVC
       console.log('   Filling CVC...');
-      await stripeFrame.locator('[placeholder="CVC"], [placeholder="CVV"], [name="cvc"], input[autocomplete="cc-csc"]').first().fill(PAYMENT_DATA.cvv);
+      await stripeFrame.locator('[placeholder="CVC"], [placeholder="CVV"], [name="cvc"], input[autocomplete="cc-csc"]').first().fill(this.payment.cvv);
       await this.agent.wait(WAIT_TIMES.medium);
 
       // Fill ZIP if in same iframe (some Stripe configs include it)
@@ -147,7 +150,7 @@ export class CheckoutHandler {
         const zipField = stripeFrame.locator('[placeholder="ZIP"], [placeholder*="Postal"], [name="postal"], input[autocomplete="postal-code"]');
         if (await zipField.count() > 0) {
           console.log('   Filling ZIP in Stripe frame...');
-          await zipField.first().fill(PAYMENT_DATA.zipCode);
+          await zipField.first().fill(this.payment.zipCode);
           await this.agent.wait(WAIT_TIMES.medium);
         }
       } catch (e) {
@@ -159,12 +162,12 @@ export class CheckoutHandler {
         const mainZipField = playwrightPage.locator('input[placeholder*="ZIP"], input[placeholder*="Postal"], input[autocomplete="postal-code"]').first();
         if (await mainZipField.count() > 0) {
           console.log('   Filling ZIP outside iframe...');
-          await mainZipField.fill(PAYMENT_DATA.zipCode);
+          await mainZipField.fill(this.payment.zipCode);
           await this.agent.wait(WAIT_TIMES.medium);
         }
       } catch (e) {
         // Try with Stagehand
-        await this.agent.act('Click on ZIP code field and type 78701');
+        await this.agent.act(`Click on ZIP code field and type ${this.payment.zipCode}`);
         await this.agent.wait(WAIT_TIMES.medium);
       }
 
@@ -288,15 +291,10 @@ export class CheckoutHandler {
   async handleWithAI() {
     console.log('   AI analyzing checkout page...');
     const decision = await this.agent.decideNextAction();
-    console.log(`   AI Decision: ${JSON.stringify(decision)}`);
-
-    if (decision.action === 'fill' && decision.target && decision.value) {
-      await this.agent.fill(decision.target, decision.value);
-    } else if (decision.action === 'select' && decision.target && decision.value) {
-      await this.agent.select(decision.target, decision.value);
-    } else if (decision.action === 'click' && decision.target) {
-      await this.agent.act(`Click "${decision.target}"`);
-    } else {
+    const { marked, ...decisionFields } = decision;
+    console.log(`   AI Decision: ${JSON.stringify(decisionFields)}`);
+
+    if (!await this.agent.applyDecision(decision)) {
       // Try scrolling and clicking any visible submit button
       await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
       await this.agent.wait(WAIT_TIMES.medium);
@@ -317,7 +315,7 @@ export class CheckoutHandler {
     console.log('   Account section - filling password only (email is pre-filled)...');
 
     // Only fill the password field - email should already be populated
-    await this.agent.act('Click on the password input field and type cakeroofQ1!');
+    await this.agent.act(`Click on the password input field and type ${this.credentials.password}`);
     await this.agent.wait(WAIT_TIMES.medium);
 
     // Click Save and continue button
@@ -395,14 +393,10 @@ export class CheckoutHandler {
 
     // Use Claude Haiku to decide
     const decision = await this.agent.decideNextAction();
-    console.log(`   AI Decision: ${JSON.stringify(decision)}`);
+    const { marked, ...decisionFields } = decision;
+    console.log(`   AI Decision: ${JSON.stringify(decisionFields)}`);
 
-    if (decision.action === 'fill' && decision.target && decision.value) {
-      await this.agent.fill(decision.target, decision.value);
-      await this.trySubmit();
-    } else if (decision.action === 'click' && decision.target) {
-      await this.agent.act(`Click "${decision.target}"`);
-    } else {
+    if (!await this.agent.applyDecision(decision, { submit: () => this.trySubmit() })) {
       // Try scrolling and looking for actionable elements
       await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
       await this.trySubmit();
@@ -461,12 +455,12 @@ export class CheckoutHandler {
 
       // Strategy 1: Use placeholder-based selectors (most reliable)
       const fieldConfigs = [
-        { placeholder: 'Card number', value: PAYMENT_DATA.cardNumber, name: 'card number' },
-        { placeholder: 'MM / YY', value: PAYMENT_DATA.expiry, name: 'expiry' },
-        { placeholder: 'MM/YY', value: PAYMENT_DATA.expiry, name: 'expiry' },
-        { placeholder: 'CVC', value: PAYMENT_DATA.cvv, name: 'CVC' },
-        { placeholder: 'CVV', value: PAYMENT_DATA.cvv, name: 'CVV' },
-        { placeholder: 'ZIP', value: PAYMENT_DATA.zipCode, name: 'ZIP' },
+        { placeholder: 'Card number', value: this.payment.cardNumber, name: 'card number' },
+        { placeholder: 'MM / YY', value: this.payment.expiry, name: 'expiry' },
+        { placeholder: 'MM/YY', value: this.payment.expiry, name: 'expiry' },
+        { placeholder: 'CVC', value: this.payment.cvv, name: 'CVC' },
+        { placeholder: 'CVV', value: this.payment.cvv, name: 'CVV' },
+        { placeholder: 'ZIP', value: this.payment.zipCode, name: 'ZIP' },
       ];
 
       // Try each field config across all iframes
@@ -489,10 +483,10 @@ export class CheckoutHandler {
       // Strategy 2: Use data-elements-stable-field-name attribute (Stripe Elements)
       if (filledFields === 0) {
         const dataFieldConfigs = [
-          { attr: 'cardNumber', value: PAYMENT_DATA.cardNumber, name: 'card number' },
-          { attr: 'cardExpiry', value: PAYMENT_DATA.expiry, name: 'expiry' },
-          { attr: 'cardCvc', value: PAYMENT_DATA.cvv, name: 'CVC' },
-          { attr: 'postalCode', value: PAYMENT_DATA.zipCode, name: 'ZIP' },
+          { attr: 'cardNumber', value: this.payment.cardNumber, name: 'card number' },
+          { attr: 'cardExpiry', value: this.payment.expiry, name: 'expiry' },
+          { attr: 'cardCvc', value: this.payment.cvv, name: 'CVC' },
+          { attr: 'postalCode', value: this.payment.zipCode, name: 'ZIP' },
         ];
 
         for (const config of dataFieldConfigs) {
@@ -526,16 +520,16 @@ export class CheckoutHandler {
               let fieldName = 'unknown';
 
               if (placeholder?.includes('Card') || placeholder?.includes('card')) {
-                value = PAYMENT_DATA.cardNumber;
+                value = this.payment.cardNumber;
                 fieldName = 'card number';
               } else if (placeholder?.includes('MM') || placeholder?.includes('exp')) {
-                value = PAYMENT_DATA.expiry;
+                value = this.payment.expiry;
                 fieldName = 'expiry';
               } else if (placeholder?.includes('CVC') || placeholder?.includes('CVV')) {
-                value = PAYMENT_DATA.cvv;
+                value = this.payment.cvv;
                 fieldName = 'CVC';
               } else if (placeholder?.includes('ZIP') || placeholder?.includes('Postal')) {
-                value = PAYMENT_DATA.zipCode;
+                value = this.payment.zipCode;
                 fieldName = 'ZIP';
               }
 
@@ -601,31 +595,31 @@ export class CheckoutHandler {
       // Step 2: Clear and type card number (16 digits, no spaces)
       await keyboard.press('Control+a');
       await this.agent.wait(WAIT_TIMES.brief);
-      await keyboard.type(PAYMENT_DATA.cardNumber, { delay: 30 });
+      await keyboard.type(this.payment.cardNumber, { delay: 30 });
       await this.agent.wait(WAIT_TIMES.medium);
 
       // Step 3: Tab to MM, type month
       await keyboard.press('Tab');
       await this.agent.wait(WAIT_TIMES.brief);
-      await keyboard.type('12', { delay: 30 });
+      await keyboard.type(this.payment.expiry.split('/')[0], { delay: 30 });
       await this.agent.wait(WAIT_TIMES.medium);
 
       // Step 4: Tab to YY, type year
       await keyboard.press('Tab');
       await this.agent.wait(WAIT_TIMES.brief);
-      await keyboard.type('28', { delay: 30 });
+      await keyboard.type(this.payment.expiry.split('/')[1], { delay: 30 });
       await this.agent.wait(WAIT_TIMES.medium);
 
       // Step 5: Tab to CVV, type CVV
       await keyboard.press('Tab');
       await this.agent.wait(WAIT_TIMES.brief);
-      await keyboard.type(PAYMENT_DATA.cvv, { delay: 30 });
+      await keyboard.type(this.payment.cvv, { delay: 30 });
       await this.agent.wait(WAIT_TIMES.medium);
 
       // Step 6: Tab to Zip, type zip code
       await keyboard.press('Tab');
       await this.agent.wait(WAIT_TIMES.brief);
-      await keyboard.type(PAYMENT_DATA.zipCode, { delay: 30 });
+      await keyboard.type(this.payment.zipCode, { delay: 30 });
       await this.agent.wait(WAIT_TIMES.payment);
 
       // Step 7: Try to click Place Order
@@ -687,30 +681,27 @@ export class CheckoutHandler {
 
       // STEP 1: Click on card number field and type card number (combined action)
       console.log('     1. Click card field and type card number...');
-      await this.agent.act('Click on the card number input field and type 4242424242424242');
+      await this.agent.act(`Click on the card number input field and type ${this.payment.cardNumber}`);
       await this.agent.wait(WAIT_TIMES.payment);
 
       // STEP 2: Click on expiration field and type digits one at a time
       console.log('     2. Click expiration field, type digits slowly...');
       await this.agent.act('Click on the expiration date field showing MM / YY');
       await this.agent.wait(WAIT_TIMES.short);
-      await this.agent.act('Press key 1');
-      await this.agent.wait(WAIT_TIMES.brief);
-      await this.agent.act('Press key 2');
-      await this.agent.wait(WAIT_TIMES.short);
-      await this.agent.act('Press key 2');
-      await this.agent.wait(WAIT_TIMES.brief);
-      await this.agent.act('Press key 8');
+      for (const digit of this.payment.expiryStripe) {
+        await this.agent.act(`Press key ${digit}`);
+        await this.agent.wait(WAIT_TIMES.brief);
+      }
       await this.agent.wait(WAIT_TIMES.medium);
 
       // STEP 3: Click on CVV field and type CVV (combined action)
-      console.log('     3. Click CVV field and type 123...');
-      await this.agent.act('Click on the CVV field and type 123');
+      console.log(`     3. Click CVV field and type ${this.payment.cvv}...`);
+      await this.agent.act(`Click on the CVV field and type ${this.payment.cvv}`);
       await this.agent.wait(WAIT_TIMES.medium);
 
       // STEP 4: Click on Zip field and type zip code (combined action)
-      console.log('     4. Click Zip field and type 78701...');
-      await this.agent.act('Click on the Zip code field and type 78701');
+      console.log(`     4. Click Zip field and type ${this.payment.zipCode}...`);
+      await this.agent.act(`Click on the Zip code field and type ${this.payment.zipCode}`);
       await this.agent.wait(WAIT_TIMES.payment);
 
       // Take screenshot before clicking Place Order
@@ -786,16 +777,16 @@ export class CheckoutHandler {
       await this.agent.wait(WAIT_TIMES.brief);
       await this.agent.act('Select all text (Ctrl+A)');
       await this.agent.wait(WAIT_TIMES.brief);
-      await this.agent.act('Type: 4242424242424242');
+      await this.agent.act(`Type: ${this.payment.cardNumber}`);
       await this.agent.wait(WAIT_TIMES.payment);
     } else if (errorLower.includes('expir')) {
-      console.log('   Re-entering expiration as 1228...');
+      console.log(`   Re-entering expiration as ${this.payment.expiryStripe}...`);
       // Click on the expiration field and type MMYY as single value
       await this.agent.act('Click on the expiration field (MM / YY)');
       await this.agent.wait(WAIT_TIMES.medium);
       await this.agent.act('Select all text (Ctrl+A)');
       await this.agent.wait(WAIT_TIMES.brief);
-      await this.agent.act('Type: 1228');
+      await this.agent.act(`Type: ${this.payment.expiryStripe}`);
       await this.agent.wait(WAIT_TIMES.payment);
     } else if (errorLower.includes('cvv') || errorLower.includes('cvc')) {
       console.log('   Re-entering CVV...');
@@ -803,7 +794,7 @@ export class CheckoutHandler {
       await this.agent.wait(WAIT_TIMES.brief);
       await this.agent.act('Select all text (Ctrl+A)');
       await this.agent.wait(WAIT_TIMES.brief);
-      await this.agent.act('Type: 123');
+      await this.agent.act(`Type: ${this.payment.cvv}`);
       await this.agent.wait(WAIT_TIMES.payment);
     } else if (errorLower.includes('zip') || errorLower.includes('postal')) {
       console.log('   Re-entering zip code...');
@@ -811,7 +802,7 @@ export class CheckoutHandler {
       await this.agent.wait(WAIT_TIMES.brief);
       await this.agent.act('Select all text (Ctrl+A)');
       await this.agent.wait(WAIT_TIMES.brief);
-      await this.agent.act('Type: 78701');
+      await this.agent.act(`Type: ${this.payment.zipCode}`);
       await this.agent.wait(WAIT_TIMES.payment);
     }
   }
@@ -935,29 +926,29 @@ export class CheckoutHandler {
       await this.agent.act('Click on the card number field');
       await this.agent.wait(WAIT_TIMES.short);
       await keyboard.press('Control+a');
-      await keyboard.type(PAYMENT_DATA.cardNumber, { delay: 50 });
+      await keyboard.type(this.payment.cardNumber, { delay: 50 });
       await this.agent.wait(WAIT_TIMES.payment);
     } else if (errorLower.includes('expir')) {
       console.log('   Re-entering expiration...');
       await this.agent.act('Click on the expiration month field');
       await this.agent.wait(WAIT_TIMES.short);
-      await keyboard.type('12', { delay: 50 });
+      await keyboard.type(this.payment.expiry.split('/')[0], { delay: 50 });
       await keyboard.press('Tab');
-      await keyboard.type('28', { delay: 50 });
+      await keyboard.type(this.payment.expiry.split('/')[1], { delay: 50 });
       await this.agent.wait(WAIT_TIMES.payment);
     } else if (errorLower.includes('cvv') || errorLower.includes('cvc')) {
       console.log('   Re-entering CVV...');
       await this.agent.act('Click on the CVV field');
       await this.agent.wait(WAIT_TIMES.short);
       await keyboard.press('Control+a');
-      await keyboard.type(PAYMENT_DATA.cvv, { delay: 50 });
+      await keyboard.type(this.payment.cvv, { delay: 50 });
       await this.agent.wait(WAIT_TIMES.payment);
     } else if (errorLower.includes('zip') || errorLower.includes('postal')) {
       console.log('   Re-entering zip code...');
       await this.agent.act('Click on the Zip code field');
       await this.agent.wait(WAIT_TIMES.short);
       await keyboard.press('Control+a');
-      await keyboard.type(PAYMENT_DATA.zipCode, { delay: 50 });
+      await keyboard.type(this.payment.zipCode, { delay: 50 });
       await this.agent.wait(WAIT_TIMES.payment);
     }
   }
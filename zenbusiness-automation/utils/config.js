@@ -2,7 +2,20 @@
  * Centralized configuration constants for ZenBusiness automation
  */
 
-// Test payment data
+// Default site to run against (environment profiles in environments.json override this)
+export const DEFAULT_BASE_URL = 'https://www.dev.zenbusiness.com';
+
+// Formation scenarios - entry path on the shop site and the FastAgent flow that runs it
+// LLC starts from the home page "Get started" button, the others deep-link into their shop flow
+export const SCENARIOS = {
+  llc: { label: 'LLC Formation', entryPath: null, runMethod: 'runLLCFormation' },
+  'multi-member-llc': { label: 'Multi-Member LLC Formation', entryPath: null, runMethod: 'runMultiMemberLLCFormation' },
+  dba: { label: 'DBA Registration', entryPath: '/shop/dba/', runMethod: 'runDBARegistration' },
+  corporation: { label: 'Corporation Formation', entryPath: '/shop/corporation/', runMethod: 'runCorporationFormation' },
+  nonprofit: { label: 'Nonprofit Formation', entryPath: '/shop/nonprofit/', runMethod: 'runNonprofitFormation' }
+};
+
+// Test payment data (defaults - environment profiles override)
 export const PAYMENT_DATA = {
   cardNumber: '4242424242424242',
   expiry: '12/28',
@@ -11,7 +24,7 @@ export const PAYMENT_DATA = {
   zipCode: '78701'
 };
 
-// Test credentials
+// Test credentials (defaults - environment profiles override)
 export const TEST_CREDENTIALS = {
   password: 'cakeroofQ1!'
 };
@@ -71,6 +84,7 @@ export const CHECKOUT_SELECTORS = [
 ];
 
 // Field configuration - unified selector and value mapping
+// getValue(persona, businessDetails, environment) - environment profile overrides test card/credential constants
 export const FIELD_CONFIG = {
   email: {
     selectors: ['input[type="email"]', 'input[name*="email"]', '[placeholder*="email" i]'],
@@ -78,7 +92,7 @@ export const FIELD_CONFIG = {
   },
   password: {
     selectors: ['input[type="password"]', 'input[name*="password"]'],
-    getValue: () => TEST_CREDENTIALS.password
+    getValue: (_, __, environment) => environment?.credentials?.password || TEST_CREDENTIALS.password
   },
   firstName: {
     selectors: ['input[name*="first"]', '[placeholder*="first" i]'],
@@ -116,17 +130,37 @@ export const FIELD_CONFIG = {
     selectors: ['select[name*="state"]', '[aria-label*="state" i]'],
     getValue: (persona) => persona.state
   },
+  officerTitle: {
+    selectors: ['input[name*="title" i]', '[placeholder*="title" i]'],
+    getValue: (persona) => persona.founders?.[0]?.title
+  },
+  ownership: {
+    selectors: ['input[name*="ownership" i]', '[placeholder*="ownership" i]', 'input[name*="percent" i]'],
+    getValue: (persona) => persona.founders?.[0]?.ownership && String(persona.founders[0].ownership)
+  },
+  authorizedShares: {
+    selectors: ['input[name*="shares" i]', '[placeholder*="shares" i]', 'input[aria-label*="shares" i]'],
+    getValue: (_, businessDetails) => businessDetails?.shares?.authorized && String(businessDetails.shares.authorized)
+  },
+  parValue: {
+    selectors: ['input[name*="par" i]', '[placeholder*="par value" i]', 'input[aria-label*="par value" i]'],
+    getValue: (_, businessDetails) => businessDetails?.shares?.parValue
+  },
+  purposeStatement: {
+    selectors: ['textarea[name*="purpose" i]', 'textarea[placeholder*="purpose" i]', 'textarea[aria-label*="purpose" i]', 'textarea'],
+    getValue: (_, businessDetails) => businessDetails?.purposeStatement
+  },
   cardNumber: {
     selectors: ['input[name*="card"]', 'input[name*="number"]', '[placeholder*="card" i]'],
-    getValue: () => PAYMENT_DATA.cardNumber
+    getValue: (_, __, environment) => environment?.payment?.cardNumber || PAYMENT_DATA.cardNumber
   },
   cvv: {
     selectors: ['input[name*="cvv"]', 'input[name*="cvc"]', '[placeholder*="cvv" i]'],
-    getValue: () => PAYMENT_DATA.cvv
+    getValue: (_, __, environment) => environment?.payment?.cvv || PAYMENT_DATA.cvv
   },
   expiry: {
     selectors: ['input[name*="exp"]', '[placeholder*="exp" i]', '[placeholder*="mm" i]'],
-    getValue: () => PAYMENT_DATA.expiry
+    getValue: (_, __, environment) => environment?.payment?.expiry || PAYMENT_DATA.expiry
   }
 };
 
@@ -158,7 +192,7 @@ export const STRIPE_SELECTORS = [
 /**
  * Get field value from persona based on field description
  */
-export function getFieldValue(fieldDescription, persona, businessDetails) {
+export function getFieldValue(fieldDescription, persona, businessDetails, environment = null) {
   const d = fieldDescription.toLowerCase();
 
   // Check each field config for a match
@@ -168,10 +202,13 @@ export function getFieldValue(fieldDescription, persona, businessDetails) {
         (key === 'lastName' && d.includes('last name')) ||
         (key === 'fullName' && d.includes('full name')) ||
         (key === 'businessName' && (d.includes('business') || d.includes('company'))) ||
+        (key === 'authorizedShares' && d.includes('shares')) ||
+        (key === 'parValue' && d.includes('par value')) ||
+        (key === 'purposeStatement' && d.includes('purpose')) ||
         (key === 'cardNumber' && d.includes('card') && d.includes('number')) ||
         (key === 'expiry' && (d.includes('expir') || d.includes('mm/yy'))) ||
         (key === 'cvv' && (d.includes('cvv') || d.includes('cvc') || d.includes('security')))) {
-      return config.getValue(persona, businessDetails);
+      return config.getValue(persona, businessDetails, environment);
     }
   }
 
@@ -191,6 +228,9 @@ export function getFieldSelectors(fieldDescription) {
         (key === 'firstName' && d.includes('first')) ||
         (key === 'lastName' && d.includes('last')) ||
         (key === 'businessName' && (d.includes('business') || d.includes('company'))) ||
+        (key === 'authorizedShares' && d.includes('shares')) ||
+        (key === 'parValue' && d.includes('par value')) ||
+        (key === 'purposeStatement' && d.includes('purpose')) ||
         (key === 'cardNumber' && d.includes('card')) ||
         (key === 'cvv' && (d.includes('cvv') || d.includes('cvc')))) {
       selectors.push(...config.selectors);
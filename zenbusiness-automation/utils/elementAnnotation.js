@@ -2,60 +2,226 @@
  * Element Annotation System
  * Overlays numbered markers on interactive elements for AI-guided selection
  * Eliminates ambiguity: "click button 5" vs "click the first button on the left"
+ *
+ * Covers open shadow roots and same-origin frames (frame elements get Stagehand
+ * "iframe >> selector" hop selectors); cross-origin frames such as Stripe's card fields
+ * are marked as opaque regions
  */
 
 /**
- * Generate a unique CSS selector for an element
- * @param {Element} element - DOM element
- * @returns {string} - Unique selector
+ * Visit the top document, every open shadow root and every same-origin frame document
+ * Cross-origin frames can't be entered and are handed to onOpaqueFrame instead
+ * @param {Function} visit - (root, context) context = { frames, offset, inShadow }
+ *   frames are the iframe elements leading to root, offset is its position in the top viewport
+ * @param {Function} onOpaqueFrame - (iframe, context)
  */
-function getUniqueSelector(element) {
-  // Try ID first
-  if (element.id) {
-    return `#${element.id}`;
+export function walkDocumentRoots(visit, onOpaqueFrame = () => {}) {
+  const queue = [{ root: document, frames: [], offset: { x: 0, y: 0 }, inShadow: false }];
+  while (queue.length > 0) {
+    const context = queue.shift();
+    visit(context.root, context);
+    for (const el of context.root.querySelectorAll('*')) {
+      if (el.shadowRoot) {
+        queue.push({ ...context, root: el.shadowRoot, inShadow: true });
+      }
+      if (el.tagName !== 'IFRAME' && el.tagName !== 'FRAME') continue;
+      let frameDocument = null;
+      try {
+        frameDocument = el.contentDocument;
+      } catch (e) {
+        // Cross-origin
+      }
+      if (frameDocument?.documentElement) {
+        const rect = el.getBoundingClientRect();
+        queue.push({
+          root: frameDocument,
+          frames: [...context.frames, el],
+          offset: { x: context.offset.x + rect.left + el.clientLeft, y: context.offset.y + rect.top + el.clientTop },
+          inShadow: false
+        });
+      } else {
+        onOpaqueFrame(el, context);
+      }
+    }
   }
+}
 
-  // Build path from element to root
-  const path = [];
-  let current = element;
+/**
+ * Whether a class or id looks generated by a build rather than written by hand
+ * Known CSS-in-JS prefixes (css-1x2y3z, sc-bdVaJa, jss12), CSS-module suffixes (Button__3Xk9a),
+ * and hash-shaped parts of 6+ characters: mostly one- and two-letter chunks ("kFjWvz", "a3f9c2")
+ * or all digits. Hand-written camelCase and numbered names (addressLine1, member3Name) are kept
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isHashedToken(value) {
+  const text = String(value);
+  if (/^(css|jss|sc|emotion|styled|makeStyles|tw)-|^jss\d+$|__[\w-]{5,}$/i.test(text)) return true;
+  return text.split(/[-_]/).some(part => {
+    if (part.length < 6 || !/^[a-z0-9]+$/i.test(part)) return false;
+    const words = part.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g) || [];
+    if (words.length === 0) return true;
+    return words.reduce((total, word) => total + word.length, 0) / words.length < 3;
+  });
+}
 
-  while (current && current.nodeType === Node.ELEMENT_NODE) {
-    let selector = current.nodeName.toLowerCase();
+/**
+ * Whether an id is generated (React useId ":r1:", "mui-123", numeric, hashed) and so changes
+ * between renders or deploys
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isGeneratedId(value) {
+  return /^[\d:]|:r[0-9a-z]+:|^(mui|radix|headlessui|react-select|downshift)-/i.test(value) || isHashedToken(value);
+}
 
-    // Add classes if present
-    if (current.className && typeof current.className === 'string') {
-      const classes = current.className.trim().split(/\s+/).filter(c => c && !c.match(/^[0-9]/));
-      if (classes.length > 0) {
-        selector += '.' + classes.slice(0, 2).join('.');
-      }
+/**
+ * Ranked selector candidates for an element, most stable first
+ * Every candidate is checked against the live DOM: unique = it matches exactly this element.
+ * Stability scores (0-100) favour what survives redeploys:
+ *   100 test-id     [data-testid="..."] and friends
+ *    90 id          #id, skipped when it looks generated (":r1:", "mui-123", hashed)
+ *    85 name        input[name="email"] (+ value for radios)
+ *    85 role-name   button[aria-label="Close"] / [role="radio"][aria-label="..."]
+ *    80 label       xpath through the label text: the input its <label for> points at, or the
+ *                   one inside a wrapping <label>
+ *    70 placeholder input[placeholder="..."]
+ *    65 text        text=Continue (Stagehand text selector: deepest element containing it)
+ *    60 href        a[href="/pricing"]
+ *    20 path        tag/class/nth-of-type path, hashed CSS-in-JS classes (css-1x2y3z) dropped
+ * Sent to page.evaluate() together with isHashedToken() and isGeneratedId(); uniqueness is within
+ * the element's document or shadow root (Stagehand CSS selectors pierce open shadow roots)
+ * @param {Element} element - DOM element
+ * @returns {Array} - { selector, strategy, score, unique, matches }, unique candidates first
+ */
+export function getSelectorCandidates(element) {
+  // Uniqueness is checked within the element's own document or shadow root
+  const root = element.getRootNode();
+  const tag = element.tagName.toLowerCase();
+  const quote = value => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+  // XPath 1.0 has no escapes: pick the quote the text doesn't contain
+  const xpathQuote = value => (value.includes('"') ? (value.includes("'") ? null : `'${value}'`) : `"${value}"`);
+  const visibleText = el => (el.innerText || el.textContent || '').trim().replace(/\s+/g, ' ');
+
+  const cssMatches = selector => {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return { matches: matches.length, unique: matches.length === 1 && matches[0] === element };
+    } catch (e) {
+      return { matches: 0, unique: false };
     }
+  };
 
-    // Add nth-child if needed for uniqueness
-    if (current.parentNode) {
-      const siblings = Array.from(current.parentNode.children).filter(
-        el => el.nodeName === current.nodeName
-      );
-      if (siblings.length > 1) {
-        const index = siblings.indexOf(current) + 1;
-        selector += `:nth-child(${index})`;
-      }
+  // Mirrors Stagehand's text= resolution: deepest elements whose text contains the phrase
+  const textMatches = phrase => {
+    const needle = phrase.toLowerCase();
+    const containing = [...(root.body || root).querySelectorAll('*')]
+      .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName) && visibleText(el).toLowerCase().includes(needle));
+    const deepest = containing.filter(el => !containing.some(other => other !== el && el.contains(other)));
+    return { matches: deepest.length, unique: deepest.length === 1 && (deepest[0] === element || element.contains(deepest[0])) };
+  };
+
+  // XPath is evaluated in the element's document, so it can't reach into shadow roots
+  const xpathMatches = selector => {
+    if (root.nodeType !== Node.DOCUMENT_NODE) return { matches: 0, unique: false };
+    try {
+      const result = root.evaluate(selector.replace(/^xpath=/, ''), root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      return { matches: result.snapshotLength, unique: result.snapshotLength === 1 && result.snapshotItem(0) === element };
+    } catch (e) {
+      return { matches: 0, unique: false };
     }
+  };
 
-    path.unshift(selector);
-    current = current.parentNode;
+  const candidates = [];
+  const add = (strategy, score, selector, check = cssMatches) => {
+    if (!selector || candidates.some(candidate => candidate.selector === selector)) return;
+    candidates.push({ selector, strategy, score, ...check(selector.replace(/^text=/, '')) });
+  };
+
+  for (const attr of ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy']) {
+    const value = element.getAttribute(attr);
+    if (value) add('test-id', 100, `[${attr}=${quote(value)}]`);
+  }
 
-    // Stop at body or after 4 levels (keep selector reasonable)
-    if (!current || current.nodeName === 'BODY' || path.length >= 4) {
+  if (element.id && !isGeneratedId(element.id)) {
+    add('id', 90, `#${CSS.escape(element.id)}`);
+  }
+
+  const name = element.getAttribute('name');
+  if (name && ['input', 'select', 'textarea', 'button'].includes(tag)) {
+    const value = element.getAttribute('value');
+    const byValue = ['radio', 'checkbox'].includes(element.type) && value;
+    add('name', 85, `${tag}[name=${quote(name)}]${byValue ? `[value=${quote(value)}]` : ''}`);
+  }
+
+  const ariaLabel = element.getAttribute('aria-label');
+  if (ariaLabel) {
+    const role = element.getAttribute('role');
+    add('role-name', 85, `${role ? `[role=${quote(role)}]` : tag}[aria-label=${quote(ariaLabel)}]`);
+  }
+
+  // By label text, so it survives a generated or renamed id
+  const label = element.labels?.[0];
+  const labelText = label && xpathQuote((label.textContent || '').trim().replace(/\s+/g, ' '));
+  if (labelText && labelText.length <= 62) {
+    add('label', 80, label.htmlFor
+      ? `xpath=//${tag}[@id=//label[normalize-space()=${labelText}]/@for]`
+      : `xpath=//label[normalize-space()=${labelText}]//${tag}`, xpathMatches);
+  }
+
+  const placeholder = element.getAttribute('placeholder');
+  if (placeholder) add('placeholder', 70, `${tag}[placeholder=${quote(placeholder)}]`);
+
+  const text = visibleText(element);
+  if (text && text.length <= 50 && !['input', 'select', 'textarea'].includes(tag)) {
+    add('text', 65, `text=${text}`, textMatches);
+  }
+
+  const href = tag === 'a' && element.getAttribute('href');
+  if (href && !href.startsWith('javascript:')) add('href', 60, `a[href=${quote(href)}]`);
+
+  // Structural path as the last resort
+  const path = [];
+  let current = element;
+  while (current && current.nodeType === Node.ELEMENT_NODE && current.nodeName !== 'BODY') {
+    let step = current.nodeName.toLowerCase();
+    if (current !== element && current.id && !isGeneratedId(current.id)) {
+      path.unshift(`#${CSS.escape(current.id)}`);
       break;
     }
+    if (typeof current.className === 'string') {
+      const classes = current.className.trim().split(/\s+/).filter(c => c && !/^[0-9]/.test(c) && !isHashedToken(c));
+      if (classes.length > 0) step += '.' + classes.slice(0, 2).map(c => CSS.escape(c)).join('.');
+    }
+    const sameTag = current.parentNode ? [...current.parentNode.children].filter(el => el.nodeName === current.nodeName) : [];
+    if (sameTag.length > 1) step += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+    path.unshift(step);
+    current = current.parentNode;
+    if (path.length >= 5) break;
   }
+  add('path', 20, path.join(' > '));
+
+  return candidates.sort((a, b) => b.unique - a.unique || b.score - a.score);
+}
 
-  return path.join(' > ');
+/**
+ * Most stable selector that matches only this element
+ * @param {Element} element - DOM element
+ * @returns {string} - Unique selector (the structural path if nothing else is unique)
+ */
+function getUniqueSelector(element) {
+  const candidates = getSelectorCandidates(element);
+  return (candidates.find(candidate => candidate.unique) || candidates[candidates.length - 1]).selector;
 }
 
 /**
  * Annotate all interactive elements on the page with numbered markers
- * @returns {Array} - List of annotated elements with metadata
+ * Markers are absolutely positioned in the top document at page coordinates, so they stay on
+ * their element when the page is scrolled and show up in full-page screenshots
+ * Needs walkDocumentRoots() and getSelectorCandidates() (with its helpers) in scope (see annotatePage)
+ * @returns {Array} - List of annotated elements with metadata; bounds are page coordinates,
+ *   frame is the "iframe >> iframe" hop path (null in the top document), opaque marks a
+ *   cross-origin frame whose contents can't be read
  */
 export function annotateInteractiveElements() {
   const interactives = [];
@@ -86,91 +252,172 @@ export function annotateInteractiveElements() {
   // Track used positions to avoid overlap
   const usedPositions = new Set();
 
-  selectors.forEach(selector => {
-    try {
-      document.querySelectorAll(selector).forEach(el => {
-        // Skip if not visible
-        if (el.offsetParent === null) return;
+  // offsetParent is null for position: fixed elements, so visibility comes from layout boxes
+  // and computed style instead
+  const isVisible = el => {
+    if (typeof el.checkVisibility === 'function') {
+      return el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+    }
+    const style = el.ownerDocument.defaultView.getComputedStyle(el);
+    return el.getClientRects().length > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
 
-        // Skip if already annotated
-        if (el.dataset.annotationIndex) return;
+  const bestSelector = el => {
+    const candidates = getSelectorCandidates(el);
+    return { candidates, best: candidates.find(candidate => candidate.unique) || candidates[candidates.length - 1] };
+  };
 
-        // Get bounding box
-        const rect = el.getBoundingClientRect();
+  // Stagehand hop selector for the frames leading to an element ("iframe#a >> iframe.b")
+  const framePath = frames => (frames.length ? frames.map(frame => bestSelector(frame).best.selector).join(' >> ') : null);
+  const inFrame = (frame, selector) => (frame ? `${frame} >> ${selector}` : selector);
+
+  // Page-coordinate box for an element, or null when it is too small to be real
+  const pageBounds = (el, offset) => {
+    const rect = el.getBoundingClientRect();
+    if (rect.width < 10 || rect.height < 10) return null;
+    return {
+      x: rect.left + offset.x + window.scrollX,
+      y: rect.top + offset.y + window.scrollY,
+      width: rect.width,
+      height: rect.height
+    };
+  };
+
+  const inViewport = bounds => bounds.y + bounds.height > window.scrollY && bounds.y < window.scrollY + window.innerHeight &&
+    bounds.x + bounds.width > window.scrollX && bounds.x < window.scrollX + window.innerWidth;
+
+  const addMarker = bounds => {
+    // Create unique position key to avoid marker overlap
+    const posKey = `${Math.round(bounds.x / 10)}_${Math.round(bounds.y / 10)}`;
+    if (usedPositions.has(posKey)) return false;
+    usedPositions.add(posKey);
+
+    // Create marker element
+    const marker = document.createElement('div');
+    marker.className = 'ai-annotation-marker';
+    marker.textContent = index;
+    marker.dataset.annotationFor = index;
+
+    marker.style.cssText = `
+      position: absolute;
+      top: ${bounds.y}px;
+      left: ${bounds.x}px;
+      background: #FF0000;
+      color: #FFFFFF;
+      font-weight: bold;
+      font-family: Arial, sans-serif;
+      padding: 4px 8px;
+      border-radius: 12px;
+      z-index: 2147483647;
+      font-size: 14px;
+      border: 2px solid #FFFFFF;
+      box-shadow: 0 2px 6px rgba(0,0,0,0.3);
+      pointer-events: none;
+      line-height: 1;
+    `;
+
+    // documentElement rather than body, so a positioned or transformed body doesn't shift markers
+    document.documentElement.appendChild(marker);
+    return true;
+  };
+
+  const annotateRoot = (root, { frames, offset, inShadow }) => {
+    const frame = framePath(frames);
+    selectors.forEach(selector => {
+      try {
+        root.querySelectorAll(selector).forEach(el => {
+          // Skip if already annotated or not visible
+          if (el.dataset.annotationIndex || !isVisible(el)) return;
+
+          // Skip tiny elements (likely invisible or decorative)
+          const bounds = pageBounds(el, offset);
+          if (!bounds || !addMarker(bounds)) return;
+
+          // Store element metadata
+          el.dataset.annotationIndex = index;
+
+          const { candidates, best } = bestSelector(el);
+
+          interactives.push({
+            index: index,
+            tag: el.tagName.toLowerCase(),
+            text: el.textContent?.trim().slice(0, 100) || el.getAttribute('aria-label') || '',
+            label: el.labels?.[0]?.textContent.trim().slice(0, 100) || el.getAttribute('placeholder') || el.getAttribute('name') || '',
+            type: el.type || el.getAttribute('role') || el.tagName.toLowerCase(),
+            value: el.value || '',
+            href: el.href || '',
+            selector: inFrame(frame, best.selector),
+            selectorScore: best.unique ? best.score : 0,
+            selectors: candidates.filter(candidate => candidate.unique).slice(0, 3)
+              .map(candidate => ({ selector: inFrame(frame, candidate.selector), strategy: candidate.strategy, score: candidate.score })),
+            frame,
+            inShadow,
+            inViewport: inViewport(bounds),
+            bounds
+          });
 
-        // Skip tiny elements (likely invisible or decorative)
-        if (rect.width < 10 || rect.height < 10) return;
-
-        // Create unique position key to avoid marker overlap
-        const posKey = `${Math.round(rect.left / 10)}_${Math.round(rect.top / 10)}`;
-        if (usedPositions.has(posKey)) return;
-        usedPositions.add(posKey);
-
-        // Create marker element
-        const marker = document.createElement('div');
-        marker.className = 'ai-annotation-marker';
-        marker.textContent = index;
-        marker.dataset.annotationFor = index;
-
-        marker.style.cssText = `
-          position: fixed;
-          top: ${rect.top + window.scrollY}px;
-          left: ${rect.left + window.scrollX}px;
-          background: #FF0000;
-          color: #FFFFFF;
-          font-weight: bold;
-          font-family: Arial, sans-serif;
-          padding: 4px 8px;
-          border-radius: 12px;
-          z-index: 999999;
-          font-size: 14px;
-          border: 2px solid #FFFFFF;
-          box-shadow: 0 2px 6px rgba(0,0,0,0.3);
-          pointer-events: none;
-          line-height: 1;
-        `;
-
-        document.body.appendChild(marker);
-
-        // Store element metadata
-        el.dataset.annotationIndex = index;
-
-        interactives.push({
-          index: index,
-          tag: el.tagName.toLowerCase(),
-          text: el.textContent?.trim().slice(0, 100) || el.getAttribute('aria-label') || '',
-          type: el.type || el.getAttribute('role') || el.tagName.toLowerCase(),
-          value: el.value || '',
-          href: el.href || '',
-          selector: getUniqueSelector(el),
-          bounds: {
-            x: rect.left,
-            y: rect.top,
-            width: rect.width,
-            height: rect.height
-          }
+          index++;
         });
+      } catch (e) {
+        console.warn(`Failed to annotate selector ${selector}:`, e);
+      }
+    });
+  };
+
+  // Cross-origin frames (Stripe card fields, embedded widgets): one opaque region each
+  const annotateOpaqueFrame = (iframe, { frames, offset, inShadow }) => {
+    if (iframe.dataset.annotationIndex || !isVisible(iframe)) return;
+    const bounds = pageBounds(iframe, offset);
+    if (!bounds || !addMarker(bounds)) return;
+    iframe.dataset.annotationIndex = index;
 
-        index++;
-      });
+    let origin = '';
+    try {
+      origin = new URL(iframe.src, location.href).origin;
     } catch (e) {
-      console.warn(`Failed to annotate selector ${selector}:`, e);
+      // No or invalid src
     }
-  });
+    const frame = framePath(frames);
+    const { best } = bestSelector(iframe);
+    interactives.push({
+      index: index,
+      tag: 'iframe',
+      text: iframe.title || iframe.name || '',
+      label: origin,
+      type: 'frame',
+      value: '',
+      href: iframe.src || '',
+      selector: inFrame(frame, best.selector),
+      selectorScore: best.unique ? best.score : 0,
+      selectors: [],
+      frame,
+      inShadow,
+      inViewport: inViewport(bounds),
+      opaque: true,
+      bounds
+    });
+
+    index++;
+  };
+
+  walkDocumentRoots(annotateRoot, annotateOpaqueFrame);
 
   return interactives;
 }
 
 /**
  * Remove all annotation markers from the page
+ * Needs walkDocumentRoots() in scope (see clearAnnotations)
  */
 export function removeAnnotations() {
   // Remove marker elements
   document.querySelectorAll('.ai-annotation-marker').forEach(el => el.remove());
 
-  // Remove data attributes
-  document.querySelectorAll('[data-annotation-index]').forEach(el => {
-    delete el.dataset.annotationIndex;
+  // Remove data attributes - in shadow roots and frames too, and on opaque iframes
+  walkDocumentRoots(root => {
+    root.querySelectorAll('[data-annotation-index]').forEach(el => {
+      delete el.dataset.annotationIndex;
+    });
   });
 }
 
@@ -203,12 +450,74 @@ export function highlightElements(elementIndices) {
 }
 
 /**
- * Get element by annotation index
+ * Get element by annotation index, searching shadow roots and same-origin frames
+ * Needs walkDocumentRoots() in scope
  * @param {number} index - Annotation index
  * @returns {Element|null} - The annotated element
  */
 export function getElementByIndex(index) {
-  return document.querySelector(`[data-annotation-index="${index}"]`);
+  let found = null;
+  walkDocumentRoots(root => {
+    found = found || root.querySelector(`[data-annotation-index="${index}"]`);
+  });
+  return found;
+}
+
+/**
+ * Annotate a page from Node
+ * annotateInteractiveElements() calls walkDocumentRoots() and getSelectorCandidates() (which calls
+ * isHashedToken() and isGeneratedId()), none of which a function passed to page.evaluate() can
+ * see, so they are sent together as one expression
+ * @param {Object} page - Stagehand page
+ * @returns {Promise<Array>} - Annotated elements (see annotateInteractiveElements)
+ */
+export async function annotatePage(page) {
+  return page.evaluate(`(() => {
+    ${walkDocumentRoots.toString()}
+    ${isHashedToken.toString()}
+    ${isGeneratedId.toString()}
+    ${getSelectorCandidates.toString()}
+    return (${annotateInteractiveElements.toString()})();
+  })()`);
+}
+
+/**
+ * Stable selector candidates for the element a selector (CSS or xpath=, as Stagehand records
+ * them) currently points at - only the ones unique in the live DOM
+ * @param {Object} page - Stagehand page
+ * @param {string} selector
+ * @returns {Promise<Array>} - { selector, strategy, score }, most stable first; [] if nothing matches
+ */
+export async function selectorCandidates(page, selector) {
+  return page.evaluate(`(() => {
+    ${isHashedToken.toString()}
+    ${isGeneratedId.toString()}
+    ${getSelectorCandidates.toString()}
+    const selector = ${JSON.stringify(selector)};
+    let element = null;
+    try {
+      element = /^xpath=|^\\//i.test(selector)
+        ? document.evaluate(selector.replace(/^xpath=/i, ''), document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue
+        : document.querySelector(selector);
+    } catch (e) {
+      // Selector this browser can't parse
+    }
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return [];
+    return getSelectorCandidates(element)
+      .filter(candidate => candidate.unique && candidate.strategy !== 'path')
+      .map(({ selector, strategy, score }) => ({ selector, strategy, score }));
+  })()`);
+}
+
+/**
+ * Remove the markers annotatePage() added
+ * @param {Object} page - Stagehand page
+ */
+export async function clearAnnotations(page) {
+  await page.evaluate(`(() => {
+    ${walkDocumentRoots.toString()}
+    return (${removeAnnotations.toString()})();
+  })()`);
 }
 
 /**
@@ -219,5 +528,9 @@ export const AnnotationSystem = {
   removeAnnotations,
   highlightElements,
   getElementByIndex,
-  getUniqueSelector
+  getUniqueSelector,
+  getSelectorCandidates,
+  isHashedToken,
+  isGeneratedId,
+  walkDocumentRoots
 };
@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { DEFAULT_BASE_URL, PAYMENT_DATA, TEST_CREDENTIALS } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Environment Profiles
+ * Named target environments (dev, staging, local-mock) loaded from environments.json
+ * Each profile carries its base URL, end-state URL patterns, test card data, credentials
+ * the LLM provider per role (see llmProviders.js), the LLM budget (see UsageTracker) and
+ * post-checkout journey strategy overrides (see journeyStrategies.js)
+ */
+
+export const ENVIRONMENTS_FILE = path.join(__dirname, '..', 'environments.json');
+
+// Fallback values for anything a profile leaves out
+export const DEFAULT_ENVIRONMENT = {
+  name: 'default',
+  baseUrl: DEFAULT_BASE_URL,
+  endStatePatterns: ['velo', '/app/', '/dashboard'],
+  payment: PAYMENT_DATA,
+  credentials: TEST_CREDENTIALS,
+  browser: { env: 'LOCAL', headless: false },
+  model: 'gpt-4o-mini',
+  // Provider + model per role; `model` above is the legacy name for llm.act.model
+  llm: {
+    act: { provider: 'openai', model: 'gpt-4o-mini' },
+    decide: { provider: 'anthropic', model: 'claude-3-5-haiku-latest' },
+    vision: { provider: 'anthropic', model: 'claude-3-5-haiku-latest' }
+  },
+  // Per-run and per-page LLM caps ({ calls, tokens, costUsd }, null = no limit)
+  // The page cap stops stuck loops, which can spend vision + several act() calls per iteration.
+  // A "page" is URL + form controls, so each checkout section and journey question counts separately
+  budget: {
+    run: { calls: 250, tokens: null, costUsd: null },
+    page: { calls: 40, tokens: null, costUsd: null }
+  },
+  // Journey strategy name -> { enabled, priority }, or a configured instruction strategy
+  journeyStrategies: {}
+};
+
+/**
+ * Read all profiles from the environments file
+ * @param {string} filePath - Path to the JSON profiles file
+ * @returns {Object} - Map of profile name to raw profile
+ */
+export function loadEnvironmentProfiles(filePath = ENVIRONMENTS_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Environment profiles file not found: ${filePath}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Merge a role's provider config over the default
+ * Switching provider without naming a model drops the default model (it belongs to the other provider)
+ */
+function mergeRole(defaults, override = {}) {
+  if (override.provider && override.provider !== defaults.provider && !override.model) {
+    return { ...defaults, ...override, model: null };
+  }
+  return { ...defaults, ...override };
+}
+
+/**
+ * Resolve a per-role LLM config: defaults, then the profile's legacy `model`, then its `llm` section
+ * @param {Object} profile - Raw profile
+ * @param {Object} overrides - { role: { provider, model } } applied last (e.g. from --llm)
+ * @returns {Object} - { act, decide, vision }
+ */
+export function resolveLlmConfig(profile = {}, overrides = {}) {
+  const defaults = DEFAULT_ENVIRONMENT.llm;
+  const act = mergeRole({ ...defaults.act, model: profile.model || defaults.act.model }, profile.llm?.act);
+  const llm = {
+    act,
+    decide: mergeRole(defaults.decide, profile.llm?.decide),
+    vision: mergeRole(defaults.vision, profile.llm?.vision)
+  };
+  for (const [role, override] of Object.entries(overrides)) {
+    llm[role] = mergeRole(llm[role], override);
+  }
+  return llm;
+}
+
+/**
+ * Resolve a named environment profile, filling gaps from DEFAULT_ENVIRONMENT
+ * @param {string} name - Profile name (e.g. 'dev', 'staging', 'local-mock')
+ * @param {string} filePath - Path to the JSON profiles file
+ * @returns {Object} - Complete environment profile
+ */
+export function loadEnvironment(name = 'dev', filePath = ENVIRONMENTS_FILE) {
+  const profiles = loadEnvironmentProfiles(filePath);
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown environment "${name}". Available: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  const llm = resolveLlmConfig(profile);
+  return {
+    ...DEFAULT_ENVIRONMENT,
+    ...profile,
+    name,
+    llm,
+    model: llm.act.model,
+    payment: { ...DEFAULT_ENVIRONMENT.payment, ...profile.payment },
+    credentials: { ...DEFAULT_ENVIRONMENT.credentials, ...profile.credentials },
+    browser: { ...DEFAULT_ENVIRONMENT.browser, ...profile.browser },
+    budget: {
+      run: { ...DEFAULT_ENVIRONMENT.budget.run, ...profile.budget?.run },
+      page: { ...DEFAULT_ENVIRONMENT.budget.page, ...profile.budget?.page }
+    },
+    journeyStrategies: { ...DEFAULT_ENVIRONMENT.journeyStrategies, ...profile.journeyStrategies }
+  };
+}
@@ -4,13 +4,10 @@
  */
 
 import { Stagehand } from '@browserbasehq/stagehand';
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
 import path from 'path';
 
 import {
-  PAYMENT_DATA,
-  TEST_CREDENTIALS,
   WAIT_TIMES,
   DEFAULT_TEST_GOALS,
   CTA_SELECTORS,
@@ -18,25 +15,57 @@ import {
   COUNTY_SELECTORS,
   FIELD_CONFIG,
   getFieldValue,
-  getFieldSelectors
+  getFieldSelectors,
+  SCENARIOS
 } from './config.js';
 
-import { findHandler, isEndState } from './pageHandlers.js';
+import { isEndState } from './pageHandlers.js';
+import { identifyPage, snapshotPage } from './pageIdentifier.js';
 import { CheckoutHandler } from './checkoutHandler.js';
+import { DEFAULT_ENVIRONMENT } from './environments.js';
+import { normalizeCountyName } from './stateData.js';
+import { TraceRecorder } from './traceRecorder.js';
+import { ActionStore, pageFingerprint, recordingPath } from './actionStore.js';
+import { UsageTracker, rethrowIfBudgetExceeded } from './usageTracker.js';
+import { createProvider } from './llmProviders.js';
+import { annotatePage, clearAnnotations, selectorCandidates } from './elementAnnotation.js';
+import { journeyAnswer, industrySearchTerm } from './journeyAnswers.js';
+import { resolveJourneyStrategies, runJourneyStrategies } from './journeyStrategies.js';
+import { captureUnknownPage, appendUnknownPage, UNKNOWN_PAGES_DIR } from './unknownPages.js';
 
 export class FastAgent {
   constructor(persona, businessDetails, options = {}) {
     this.persona = persona;
     this.businessDetails = businessDetails;
     this.options = options;
+    // Environment profile (see environments.js) - base URL, end states, test card, credentials
+    this.environment = options.environment || DEFAULT_ENVIRONMENT;
+    this.baseUrl = options.baseUrl || this.environment.baseUrl;
+    this.payment = this.environment.payment;
+    this.credentials = this.environment.credentials;
     this.stagehand = null;
     this.page = null;
     this.agent = null;
-    this.anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    // LLM provider per role (see llmProviders.js): act drives Stagehand, decide/vision answer prompts
+    const llm = this.environment.llm || DEFAULT_ENVIRONMENT.llm;
+    this.providers = {
+      act: createProvider('act', llm.act),
+      decide: createProvider('decide', llm.decide),
+      vision: createProvider('vision', llm.vision)
+    };
+    this.actOffline = false; // Set in init() when the act provider has no model (see offlineAct)
     this.stepLog = [];
+    this.assertions = []; // Page checks made during the run (see recordAssertion)
     this.startTime = null;
     this.captchaTime = 0; // Track time spent waiting for CAPTCHA
     this.testRunDir = null;
+    this.trace = null; // TraceRecorder, created in init() once the run folder exists
+    this.actionStore = null; // ActionStore for --record / --replay, created in init()
+    this.currentHandler = null; // PAGE_HANDLERS entry of the current step, keys recorded actions and usage
+    this.usage = new UsageTracker(this.environment.budget); // Tokens, cost and budget of every model call
+    this.unknownPagesLogged = new Set(); // URLs already captured this run, so stuck loops log once
+    // Post-checkout journey strategies in run order (see journeyStrategies.js), tuned per environment
+    this.journeyStrategies = resolveJourneyStrategies(options.journeyStrategies || this.environment.journeyStrategies);
     this.testGoals = { ...DEFAULT_TEST_GOALS, ...persona.testGoals };
   }
 
@@ -44,14 +73,19 @@ export class FastAgent {
    * Initialize the browser and tools
    */
   async init() {
-    console.log('Initializing FastAgent...');
+    console.log(`Initializing FastAgent (${this.environment.name} environment)...`);
 
+    const { modelName, modelClientOptions, offline = false } = this.providers.act.stagehandOptions();
+    // Offline act provider (stub/scripted): Stagehand only runs the actions it answers with,
+    // and must not self-heal a failed one through a model
+    this.actOffline = offline;
     this.stagehand = new Stagehand({
-      env: 'LOCAL',
-      modelName: 'gpt-4o-mini',
-      modelClientOptions: { apiKey: process.env.OPENAI_API_KEY },
+      env: this.environment.browser.env,
+      modelName,
+      modelClientOptions,
       enableCaching: true,
-      headless: false,
+      selfHeal: !offline,
+      headless: this.environment.browser.headless,
       verbose: 0,
     });
 
@@ -60,27 +94,263 @@ export class FastAgent {
     const pages = this.stagehand.context.pages();
     this.page = pages[0] || await this.stagehand.context.newPage();
 
-    try {
-      this.agent = this.stagehand.agent({
-        modelName: 'gpt-4o-mini',
-        modelClientOptions: { apiKey: process.env.OPENAI_API_KEY }
-      });
-      console.log('   Stagehand agent mode enabled (GPT-4o-mini)');
-    } catch (e) {
+    if (offline) {
       this.agent = null;
-      console.log(`   Agent mode not available: ${e.message}`);
+      console.log(`   Act: ${this.providers.act.name} actions, no model behind Stagehand`);
+    } else {
+      try {
+        this.agent = this.stagehand.agent({ modelName, modelClientOptions });
+        console.log(`   Stagehand agent mode enabled (${modelName})`);
+      } catch (e) {
+        this.agent = null;
+        console.log(`   Agent mode not available: ${e.message}`);
+      }
     }
 
+    console.log(`   Decide: ${this.providers.decide.name} (${this.providers.decide.model}), vision: ${this.providers.vision.name} (${this.providers.vision.model})`);
     console.log('   FastAgent ready\n');
     this.startTime = Date.now();
 
     // Create test run folder
+    // Matrix runs pass a runName so concurrent agents never share a folder
     const timestamp = Date.now();
-    const runName = `fast_llc_${timestamp}`;
+    const runName = this.options.runName || `fast_${this.persona.scenarioType || 'llc'}_${timestamp}`;
     this.testRunDir = path.join(process.cwd(), 'zenbusiness-automation', 'test-runs', runName);
     fs.mkdirSync(this.testRunDir, { recursive: true });
     fs.mkdirSync(path.join(this.testRunDir, 'screenshots'), { recursive: true });
     console.log(`Test run folder: ${this.testRunDir}\n`);
+
+    this.trace = new TraceRecorder(path.join(this.testRunDir, 'trace.json'), {
+      runName,
+      scenario: this.persona.scenarioType || 'llc',
+      seed: this.persona.seed,
+      environment: this.environment.name,
+      baseUrl: this.baseUrl,
+      actionMode: this.options.actionMode || 'off'
+    });
+
+    this.actionStore = new ActionStore(this.options.recordingPath || recordingPath(this.environment.name), {
+      mode: this.options.actionMode || 'off'
+    });
+    if (this.actionStore.mode !== 'off') {
+      console.log(`Action ${this.actionStore.mode} mode: ${this.actionStore.filePath}\n`);
+    }
+  }
+
+  /**
+   * Add a sub-action to the current trace step
+   * @param {string} type - Method that ran (fillDirect, clickDirect, act, ...)
+   * @param {Object} fields - { target, strategy, selector, success, startedAt, error }
+   */
+  traceAction(type, { startedAt, ...fields }) {
+    this.trace?.recordAction({
+      type,
+      ...fields,
+      durationMs: startedAt ? Date.now() - startedAt : null
+    });
+  }
+
+  /**
+   * Stagehand's cumulative token counters (null if unavailable)
+   */
+  async stagehandMetrics() {
+    try {
+      return await this.stagehand.metrics;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Run a Stagehand call and record the tokens it used against the current handler
+   * Stagehand only exposes cumulative counters, so usage is the before/after difference
+   * @param {string} purpose - What the call was for (instruction or field)
+   * @param {Function} fn - Async function making the Stagehand call
+   */
+  async trackStagehand(purpose, fn) {
+    this.usage.assertWithinBudget();
+    const before = await this.stagehandMetrics();
+    const startedAt = Date.now();
+    try {
+      return await fn();
+    } finally {
+      const after = await this.stagehandMetrics();
+      if (before && after) {
+        const inputTokens = after.totalPromptTokens - before.totalPromptTokens;
+        const outputTokens = after.totalCompletionTokens - before.totalCompletionTokens;
+        if (inputTokens > 0 || outputTokens > 0) {
+          this.usage.record({
+            provider: 'stagehand',
+            model: this.providers.act.model,
+            handler: this.currentHandler,
+            purpose,
+            inputTokens,
+            outputTokens,
+            latencyMs: Date.now() - startedAt
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Prompt the provider configured for a role, recording usage against the current handler
+   * @param {string} role - 'decide' or 'vision'
+   * @param {string} purpose - e.g. 'decideNextAction'
+   * @param {Object} request - { prompt, image (base64 PNG), maxTokens }
+   * @returns {Promise<Object>} - { text, model, inputTokens, outputTokens }
+   */
+  async complete(role, purpose, request) {
+    this.usage.assertWithinBudget();
+    const provider = this.providers[role];
+    const startedAt = Date.now();
+    // The page URL lets the scripted provider match fixture entries by page
+    const response = await provider.complete({ ...request, url: this.page?.url() });
+    this.usage.record({
+      provider: provider.name,
+      model: response.model,
+      handler: this.currentHandler,
+      purpose,
+      inputTokens: response.inputTokens,
+      outputTokens: response.outputTokens,
+      latencyMs: Date.now() - startedAt
+    });
+    return response;
+  }
+
+  /**
+   * Run a Stagehand act() through the action store
+   * Replay mode reuses the recorded actions when every recorded selector still matches;
+   * otherwise Stagehand resolves the instruction and (in record/replay mode) the result is stored
+   * @param {string} instruction - Natural-language instruction for Stagehand
+   * @param {Object} options - { recordAs } stable key when the instruction embeds persona values,
+   *                           { value } argument substituted into replayed actions
+   * @returns {Promise<string>} - Strategy that ran: 'replay', 'stagehand' or 'offline' (see offlineAct())
+   */
+  async stagehandAct(instruction, { recordAs = instruction, value = null } = {}) {
+    const store = this.actionStore;
+    const fingerprint = store?.recording ? await pageFingerprint(this.page) : null;
+
+    if (store?.replaying) {
+      const recorded = store.get(this.currentHandler, fingerprint, recordAs);
+      const resolved = recorded ? await this.resolveRecordedSelectors(recorded) : null;
+      if (resolved) {
+        try {
+          for (const { candidates, ...action } of resolved) {
+            await this.stagehand.act(value === null ? action : { ...action, arguments: [value] });
+          }
+          store.stats.replayed++;
+          console.log(`   Replayed ${recorded.length} recorded action(s)`);
+          return 'replay';
+        } catch (e) {
+          console.log(`   Recorded action failed (${e.message}) - falling back to Stagehand`);
+        }
+      } else if (recorded) {
+        console.log('   Recorded selector no longer matches - falling back to Stagehand');
+      }
+      if (recorded) store.stats.misses++;
+    }
+
+    const result = await this.actInstruction(instruction, { purpose: recordAs, value });
+    if (store?.recording && result?.success !== false && result?.actions?.length) {
+      store.record(this.currentHandler, fingerprint, recordAs, await this.withSelectorCandidates(result.actions));
+    }
+    return this.actOffline ? 'offline' : 'stagehand';
+  }
+
+  /**
+   * Stagehand act() on a natural-language instruction, or offlineAct() when the act provider
+   * has no model behind it
+   * @param {Object} options - { purpose } usage key, { value } for offline actions without arguments
+   * @returns {Promise<Object>} - Stagehand's act result ({ success, actions, ... })
+   */
+  async actInstruction(instruction, { purpose = instruction, value = null } = {}) {
+    if (this.actOffline) {
+      return this.offlineAct(instruction, { purpose, value });
+    }
+    return this.trackStagehand(purpose, () => this.stagehand.act(instruction));
+  }
+
+  /**
+   * act() without a model: the act provider (stub/scripted) answers the instruction with Stagehand
+   * actions - { selector, method, arguments, description }, or a list of them - which Stagehand
+   * runs deterministically. An action without arguments gets the value being entered, if any
+   * @throws {Error} - When the answer holds no action, as Stagehand would for an element it can't find
+   */
+  async offlineAct(instruction, { purpose = instruction, value = null } = {}) {
+    const response = await this.complete('act', purpose, { prompt: instruction });
+    let answer;
+    try {
+      answer = JSON.parse(response.text || '[]');
+    } catch {
+      answer = [];
+    }
+    const actions = [].concat(answer).filter(action => action?.selector && action.method);
+    if (actions.length === 0) {
+      throw new Error(`No ${this.providers.act.name} action for "${instruction}"`);
+    }
+    const results = [];
+    for (const action of actions) {
+      const result = await this.stagehand.act({
+        description: instruction,
+        ...action,
+        arguments: action.arguments ?? (value === null ? [] : [String(value)])
+      });
+      if (result?.success === false) {
+        throw new Error(result.message || `Action on ${action.selector} failed`);
+      }
+      results.push(...(result?.actions || []));
+    }
+    return { success: true, actions: results };
+  }
+
+  /**
+   * Recorded actions with selectors that match the current page
+   * A recorded selector that no longer matches is swapped for its first stable candidate
+   * that matches exactly one element
+   * @returns {Promise<Object[]|null>} - null when some action has nothing left that matches
+   */
+  async resolveRecordedSelectors(actions) {
+    const count = async selector => {
+      try {
+        return await this.page.locator(selector).count();
+      } catch (e) {
+        return 0;
+      }
+    };
+    const resolved = [];
+    for (const action of actions) {
+      if (await count(action.selector) > 0) {
+        resolved.push(action);
+        continue;
+      }
+      let replacement = null;
+      for (const candidate of action.candidates || []) {
+        if (await count(candidate.selector) === 1) {
+          replacement = candidate;
+          break;
+        }
+      }
+      if (!replacement) return null;
+      console.log(`   Recorded selector moved - using ${replacement.strategy} candidate ${replacement.selector}`);
+      resolved.push({ ...action, selector: replacement.selector });
+    }
+    return resolved;
+  }
+
+  /**
+   * Attach stable selector candidates to the actions Stagehand resolved, while the elements are
+   * still on the page (none for a click that navigated away), so a replay survives Stagehand's
+   * xpath changing between deploys
+   */
+  async withSelectorCandidates(actions) {
+    return Promise.all(actions.map(async action => {
+      try {
+        return { ...action, candidates: (await selectorCandidates(this.page, action.selector)).slice(0, 3) };
+      } catch (e) {
+        return action;
+      }
+    }));
   }
 
   // ==================== Core Actions ====================
@@ -229,19 +499,22 @@ export class FastAgent {
    * Fill a field using direct Playwright selectors (no AI)
    * @param {string} fieldName - Field name from FIELD_CONFIG (e.g., 'firstName', 'businessName')
    * @param {*} customValue - Optional custom value (otherwise uses persona/business data)
+   * @param {number} nth - Which matching field to fill, for repeated rows (e.g. the second director)
    * @returns {boolean} - Success status
    */
-  async fillDirect(fieldName, customValue = null) {
+  async fillDirect(fieldName, customValue = null, nth = 0) {
     // Look up field config by exact key match
     const fieldConfig = FIELD_CONFIG[fieldName];
     if (!fieldConfig) {
       console.log(`   fillDirect: No config found for "${fieldName}"`);
+      this.traceAction('fillDirect', { target: fieldName, success: false, error: 'no field config' });
       return false;
     }
 
-    const value = customValue || fieldConfig.getValue(this.persona, this.businessDetails);
+    const value = customValue || fieldConfig.getValue(this.persona, this.businessDetails, this.environment);
     if (!value) {
       console.log(`   fillDirect: No value for "${fieldName}"`);
+      this.traceAction('fillDirect', { target: fieldName, success: false, error: 'no value' });
       return false;
     }
 
@@ -251,7 +524,7 @@ export class FastAgent {
     // Try each selector until one works
     for (const selector of fieldConfig.selectors) {
       try {
-        const element = this.page.locator(selector).first();
+        const element = this.page.locator(selector).nth(nth);
         const count = await element.count();
         if (count === 0) continue;
 
@@ -265,6 +538,7 @@ export class FastAgent {
         await element.fill(value);
         await this.wait(WAIT_TIMES.brief);
         console.log(`   ✅ Filled via direct selector (${Date.now() - stepStart}ms): ${selector}`);
+        this.traceAction('fillDirect', { target: fieldName, strategy: 'direct', selector, success: true, startedAt: stepStart });
         return true;
       } catch (e) {
         // Try next selector
@@ -273,6 +547,7 @@ export class FastAgent {
     }
 
     console.log(`   ❌ fillDirect failed - no selector worked (${Date.now() - stepStart}ms)`);
+    this.traceAction('fillDirect', { target: fieldName, success: false, startedAt: stepStart, error: 'no selector worked' });
     return false;
   }
 
@@ -302,6 +577,7 @@ export class FastAgent {
         await element.click(options);
         await this.wait(WAIT_TIMES.brief);
         console.log(`   ✅ Clicked via direct selector (${Date.now() - stepStart}ms): ${selector}`);
+        this.traceAction('clickDirect', { target: selector, strategy: 'direct', selector, success: true, startedAt: stepStart });
         return true;
       } catch (e) {
         // Try next selector
@@ -310,6 +586,7 @@ export class FastAgent {
     }
 
     console.log(`   ❌ clickDirect failed - no selector worked (${Date.now() - stepStart}ms)`);
+    this.traceAction('clickDirect', { target: selectorArray[0], success: false, startedAt: stepStart, error: `none of ${selectorArray.length} selectors worked` });
     return false;
   }
 
@@ -341,6 +618,7 @@ export class FastAgent {
 
         await this.wait(WAIT_TIMES.brief);
         console.log(`   ✅ Selected via direct selector (${Date.now() - stepStart}ms): ${selector}`);
+        this.traceAction('selectDirect', { target: value, strategy: 'direct', selector, success: true, startedAt: stepStart });
         return true;
       } catch (e) {
         // Try next selector
@@ -349,6 +627,7 @@ export class FastAgent {
     }
 
     console.log(`   ❌ selectDirect failed - no selector worked (${Date.now() - stepStart}ms)`);
+    this.traceAction('selectDirect', { target: value, success: false, startedAt: stepStart, error: 'no selector worked' });
     return false;
   }
 
@@ -361,7 +640,7 @@ export class FastAgent {
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        await this.stagehand.act(instruction);
+        const strategy = await this.stagehandAct(instruction);
         console.log(`   Done (${Date.now() - stepStart}ms)`);
 
         // Check if a new tab was opened (privacy policy, terms, etc.)
@@ -392,8 +671,10 @@ export class FastAgent {
         }
 
         this.stepLog.push({ action: instruction, success: true, duration: Date.now() - stepStart });
+        this.traceAction('act', { target: instruction, strategy, attempts: attempt, success: true, startedAt: stepStart });
         return true;
       } catch (e) {
+        rethrowIfBudgetExceeded(e);
         const isEmptyResponse = e.message.includes('No object generated') ||
                                e.message.includes('response did not match schema') ||
                                e.message.includes('empty');
@@ -406,6 +687,7 @@ export class FastAgent {
 
         console.log(`   Failed: ${e.message}`);
         this.stepLog.push({ action: instruction, success: false, error: e.message, duration: Date.now() - stepStart });
+        this.traceAction('act', { target: instruction, attempts: attempt, success: false, startedAt: stepStart, error: e.message });
         return false;
       }
     }
@@ -413,9 +695,10 @@ export class FastAgent {
   }
 
   async fill(fieldDescription, value = null) {
-    const actualValue = value || getFieldValue(fieldDescription, this.persona, this.businessDetails);
+    const actualValue = value || getFieldValue(fieldDescription, this.persona, this.businessDetails, this.environment);
     if (!actualValue) {
       console.log(`\nFill: ${fieldDescription} - No value found`);
+      this.traceAction('fill', { target: fieldDescription, success: false, error: 'no value' });
       return false;
     }
 
@@ -424,10 +707,15 @@ export class FastAgent {
 
     // Strategy 1: Stagehand act
     try {
-      await this.stagehand.act(`Type "${actualValue}" into the ${fieldDescription} field`);
-      console.log(`   Filled via Stagehand (${Date.now() - stepStart}ms)`);
+      const strategy = await this.stagehandAct(`Type "${actualValue}" into the ${fieldDescription} field`, {
+        recordAs: `fill: ${fieldDescription}`,
+        value: actualValue
+      });
+      console.log(`   Filled via ${strategy === 'replay' ? 'recorded action' : 'Stagehand'} (${Date.now() - stepStart}ms)`);
+      this.traceAction('fill', { target: fieldDescription, strategy, success: true, startedAt: stepStart });
       return true;
     } catch (e) {
+      rethrowIfBudgetExceeded(e);
       // Continue to next strategy
     }
 
@@ -437,6 +725,7 @@ export class FastAgent {
       try {
         await this.page.fill(selector, actualValue, { timeout: 2000 });
         console.log(`   Filled via selector: ${selector} (${Date.now() - stepStart}ms)`);
+        this.traceAction('fill', { target: fieldDescription, strategy: 'selector', selector, success: true, startedAt: stepStart });
         return true;
       } catch (e) {
         continue;
@@ -444,6 +733,7 @@ export class FastAgent {
     }
 
     console.log(`   Could not fill ${fieldDescription}`);
+    this.traceAction('fill', { target: fieldDescription, success: false, startedAt: stepStart, error: 'all strategies failed' });
     return false;
   }
 
@@ -452,29 +742,38 @@ export class FastAgent {
     const stepStart = Date.now();
 
     try {
-      await this.stagehand.act(`Select "${value}" from the ${fieldDescription} dropdown`);
-      console.log(`   Selected via Stagehand (${Date.now() - stepStart}ms)`);
+      const strategy = await this.stagehandAct(`Select "${value}" from the ${fieldDescription} dropdown`, {
+        recordAs: `select: ${fieldDescription}`,
+        value
+      });
+      console.log(`   Selected via ${strategy === 'replay' ? 'recorded action' : 'Stagehand'} (${Date.now() - stepStart}ms)`);
+      this.traceAction('select', { target: fieldDescription, strategy, success: true, startedAt: stepStart });
       return true;
     } catch (e) {
+      rethrowIfBudgetExceeded(e);
       // Try click sequence
     }
 
     try {
-      await this.stagehand.act(`Click on the ${fieldDescription} dropdown to open it`);
+      await this.actInstruction(`Click on the ${fieldDescription} dropdown to open it`, { purpose: `select: ${fieldDescription}` });
       await this.wait(WAIT_TIMES.medium);
-      await this.stagehand.act(`Click on the "${value}" option`);
+      await this.actInstruction(`Click on the "${value}" option`, { purpose: `select: ${fieldDescription}` });
       console.log(`   Selected via click sequence (${Date.now() - stepStart}ms)`);
+      this.traceAction('select', { target: fieldDescription, strategy: 'click-sequence', success: true, startedAt: stepStart });
       return true;
     } catch (e) {
+      rethrowIfBudgetExceeded(e);
       // Try native select
     }
 
     try {
       await this.page.selectOption('select', { label: value });
       console.log(`   Selected via native select (${Date.now() - stepStart}ms)`);
+      this.traceAction('select', { target: fieldDescription, strategy: 'native-select', success: true, startedAt: stepStart });
       return true;
     } catch (e) {
       console.log(`   Could not select ${value}`);
+      this.traceAction('select', { target: fieldDescription, success: false, startedAt: stepStart, error: e.message });
       return false;
     }
   }
@@ -489,6 +788,7 @@ export class FastAgent {
         if (btn && await btn.isVisible()) {
           await btn.click();
           console.log(`   Clicked via selector: ${selector} (${Date.now() - stepStart}ms)`);
+          this.traceAction('clickCTA', { target: 'Continue/Next', strategy: 'selector', selector, success: true, startedAt: stepStart });
           await this.wait(WAIT_TIMES.brief);
           return true;
         }
@@ -498,12 +798,15 @@ export class FastAgent {
     }
 
     try {
-      await this.stagehand.act('Click the Continue or Next button');
-      console.log(`   Clicked via Stagehand (${Date.now() - stepStart}ms)`);
+      const strategy = await this.stagehandAct('Click the Continue or Next button');
+      console.log(`   Clicked via ${strategy === 'replay' ? 'recorded action' : 'Stagehand'} (${Date.now() - stepStart}ms)`);
+      this.traceAction('clickCTA', { target: 'Continue/Next', strategy, success: true, startedAt: stepStart });
       await this.wait(WAIT_TIMES.brief);
       return true;
     } catch (e) {
+      rethrowIfBudgetExceeded(e);
       console.log(`   CTA click failed: ${e.message}`);
+      this.traceAction('clickCTA', { target: 'Continue/Next', success: false, startedAt: stepStart, error: e.message });
       return false;
     }
   }
@@ -583,12 +886,14 @@ export class FastAgent {
         }
 
         await this.page.evaluate(() => window.scrollTo(0, 0));
+        this.trace?.recordScreenshots(screenshots.map(file => path.relative(this.testRunDir, file)));
         return screenshots;
       } else {
         const filename = `${timestamp}_${baseName}.png`;
         const filepath = path.join(this.testRunDir, 'screenshots', filename);
         await this.page.screenshot({ path: filepath, fullPage: true });
         console.log(`   Screenshot saved: ${filename}`);
+        this.trace?.recordScreenshots(path.relative(this.testRunDir, filepath));
         return filepath;
       }
     } catch (e) {
@@ -599,37 +904,164 @@ export class FastAgent {
 
   // ==================== AI Decision Making ====================
 
-  async decideNextAction() {
-    const screenshot = await this.page.screenshot({ type: 'png' });
-    const base64 = screenshot.toString('base64');
+  /**
+   * Capture the current page in the unknown-pages log (once per URL per run)
+   * See utils/unknownPages.js and `npm run unknown-pages`
+   * @returns {Promise<Object|null>} - The capture's marks for decideNextAction(), null when the page
+   *   was logged before or could not be annotated
+   */
+  async logUnknownPage() {
+    const url = this.page.url();
+    if (this.unknownPagesLogged.has(url)) return null;
+    this.unknownPagesLogged.add(url);
+    // options.unknownPagesDir keeps test runs out of the shared log
+    const dir = this.options.unknownPagesDir || UNKNOWN_PAGES_DIR;
+    const logPath = path.join(dir, 'pages.jsonl');
+    try {
+      const { marks, ...capture } = await captureUnknownPage(this.page, { screenshotDir: path.join(dir, 'screenshots') });
+      appendUnknownPage({
+        ...capture,
+        runId: this.testRunDir ? path.basename(this.testRunDir) : null,
+        environment: this.environment.name,
+        scenario: this.persona.scenarioType || 'llc',
+        seed: this.persona.seed || null
+      }, logPath);
+      console.log(`   Unknown page logged: ${capture.template} (${capture.elements.length} elements) in ${logPath}`);
+      this.trace?.annotateStep({ unknownPage: { template: capture.template, screenshot: capture.screenshot } });
+      return marks;
+    } catch (e) {
+      console.log(`   Could not log unknown page: ${e.message}`);
+      return null;
+    }
+  }
 
-    const response = await this.anthropic.messages.create({
-      model: 'claude-3-5-haiku-latest',
-      max_tokens: 256,
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'image', source: { type: 'base64', media_type: 'image/png', data: base64 } },
-          {
-            type: 'text',
-            text: `ZenBusiness form automation. Analyze and return next action.
+  /**
+   * Ask the decide model for the next action on an unknown page (set-of-marks)
+   * Interactive elements are numbered on the page, and the marked screenshot plus the element
+   * list go to the model, which answers with an element index. The markers are removed before
+   * returning; the chosen element's metadata (with its stored selector) comes back as decision.marked
+   * @param {Object} marks - { elements, screenshot } already taken of this page (logUnknownPage()),
+   *   so it isn't annotated and photographed a second time
+   * @returns {Promise<Object>} - { action, element, target, value, marked }
+   */
+  async decideNextAction(marks = null) {
+    let elements = marks?.elements || [];
+    let base64 = marks?.screenshot?.toString('base64');
+    if (!marks) {
+      try {
+        elements = await annotatePage(this.page);
+      } catch (e) {
+        console.log(`   Could not annotate page: ${e.message}`);
+      }
 
-DATA: Name: ${this.persona.firstName} ${this.persona.lastName}, Email: ${this.persona.email}, Phone: ${this.persona.phone}, State: ${this.persona.state}, Business: ${this.businessDetails.businessName}, Card: ${PAYMENT_DATA.cardNumber}, Exp ${PAYMENT_DATA.expiry}, CVV ${PAYMENT_DATA.cvv}, Password: ${TEST_CREDENTIALS.password}
+      // Full page so elements marked below the fold are in the picture too
+      try {
+        const screenshot = await this.page.screenshot({ type: 'png', fullPage: true });
+        base64 = screenshot.toString('base64');
+      } finally {
+        await clearAnnotations(this.page).catch(() => {});
+      }
+    }
 
-Look for validation errors or required empty fields.
+    const elementList = elements.map(el => {
+      const label = el.label && el.label !== el.text ? ` label="${el.label}"` : '';
+      const text = el.text ? ` "${el.text.replace(/\s+/g, ' ').slice(0, 60)}"` : '';
+      const value = el.value && el.type !== 'password' ? ` value="${String(el.value).slice(0, 40)}"` : '';
+      const where = el.opaque ? ' [embedded frame, contents not visible]' : (el.frame ? ' [in frame]' : '');
+      return `[${el.index}] ${el.tag}${el.type && el.type !== el.tag ? ` (${el.type})` : ''}${text}${label}${value}${where}`;
+    }).join('\n');
+
+    const response = await this.complete('decide', 'decideNextAction', {
+      image: base64,
+      maxTokens: 256,
+      prompt: `ZenBusiness form automation. Analyze and return next action.
+
+DATA: Name: ${this.persona.firstName} ${this.persona.lastName}, Email: ${this.persona.email}, Phone: ${this.persona.phone}, State: ${this.persona.state}, Business: ${this.businessDetails.businessName}, Card: ${this.payment.cardNumber}, Exp ${this.payment.expiry}, CVV ${this.payment.cvv}, Password: ${this.credentials.password}
 
-Return JSON: {"action":"click|fill|select","target":"element","value":"data"}
+Look for validation errors or required empty fields.
+${elements.length ? `
+Interactive elements are marked with red numbers in the screenshot:
+${elementList}
+` : ''}
+Return JSON: {"action":"click|fill|select","element":<number of the marked element>,"target":"element description","value":"data"}
 Do NOT return {"action":"wait"}.`
-          }
-        ]
-      }]
     });
 
+    let decision;
     try {
-      const text = response.content[0].text;
-      return JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || text);
+      const text = response.text;
+      decision = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || text);
     } catch {
-      return { action: 'click', target: 'Continue button' };
+      decision = { action: 'click', target: 'Continue button' };
+    }
+    const marked = elements.find(el => el.index === Number(decision.element));
+    return marked ? { ...decision, marked } : decision;
+  }
+
+  /**
+   * Carry out a decideNextAction() decision - on its marked element when it has one (see
+   * actOnMarkedElement), otherwise through the free-text target
+   * @param {Object} decision - From decideNextAction()
+   * @param {Object} options - { submit } called after a fill or select, to move the form on
+   * @returns {Promise<boolean>} - false when the decision holds nothing to act on, so the caller can
+   *   push the page along its own way
+   */
+  async applyDecision(decision, { submit = null } = {}) {
+    const actedOnMark = decision.marked && ['click', 'fill', 'select'].includes(decision.action) && await this.actOnMarkedElement(decision);
+    if (actedOnMark) {
+      console.log(`   Acted on marked element [${decision.element}]`);
+    } else if (decision.action === 'fill' && decision.target && decision.value) {
+      await this.fill(decision.target, decision.value);
+    } else if (decision.action === 'select' && decision.target && decision.value) {
+      await this.select(decision.target, decision.value);
+    } else if (decision.action === 'click' && decision.target) {
+      await this.act(`Click "${decision.target}"`);
+    } else {
+      return false;
+    }
+    if (decision.action !== 'click') await submit?.();
+    return true;
+  }
+
+  /**
+   * Carry out a set-of-marks decision on the element it picked, through the element's stored
+   * selector - no second model call to find it again
+   * @param {Object} decision - From decideNextAction(), with marked element metadata
+   * @returns {Promise<boolean>} - false when the selector no longer resolves to exactly one element
+   *   or the action fails, so the caller can fall back to the decision's target description
+   */
+  async actOnMarkedElement(decision) {
+    const { marked } = decision;
+    const stepStart = Date.now();
+    const target = `[${marked.index}] ${marked.text || marked.label || marked.tag}`;
+    // Cross-origin frame: only its outline is known, Stagehand has to look inside
+    if (marked.opaque) {
+      console.log(`   Marked element ${target} is an embedded frame - falling back`);
+      return false;
+    }
+    try {
+      // Elements inside frames carry "iframe >> selector" hops, which only deepLocator follows
+      const locator = marked.frame ? this.page.deepLocator(marked.selector) : this.page.locator(marked.selector);
+      const count = await locator.count();
+      if (count !== 1) {
+        console.log(`   Marked element ${target} selector matches ${count} elements - falling back`);
+        return false;
+      }
+      if (decision.action === 'fill') {
+        await locator.fill(String(decision.value));
+      } else if (decision.action === 'select') {
+        await locator.selectOption(String(decision.value));
+      } else {
+        await locator.click();
+      }
+      console.log(`   ${decision.action} on marked element ${target} via ${marked.selector} (${Date.now() - stepStart}ms)`);
+      this.traceAction(decision.action, { target, strategy: 'set-of-marks', selector: marked.selector, success: true, startedAt: stepStart });
+      await this.wait(WAIT_TIMES.brief);
+      return true;
+    } catch (e) {
+      console.log(`   Marked element ${target} failed: ${e.message}`);
+      this.traceAction(decision.action, { target, strategy: 'set-of-marks', selector: marked.selector, success: false, error: e.message, startedAt: stepStart });
+      return false;
     }
   }
 
@@ -645,16 +1077,10 @@ Do NOT return {"action":"wait"}.`
     const screenshot = await this.page.screenshot({ type: 'png', fullPage: true });
     const base64 = screenshot.toString('base64');
 
-    const response = await this.anthropic.messages.create({
-      model: 'claude-3-5-haiku-latest',
-      max_tokens: 512,
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'image', source: { type: 'base64', media_type: 'image/png', data: base64 } },
-          {
-            type: 'text',
-            text: `You are analyzing a ZenBusiness onboarding journey page.
+    const response = await this.complete('vision', 'analyzeJourneyPageWithVision', {
+      image: base64,
+      maxTokens: 512,
+      prompt: `You are analyzing a ZenBusiness onboarding journey page.
 
 CRITICAL: Check for UNFILLED REQUIRED FIELDS first!
 - Look for dropdowns that say "Please select"
@@ -679,13 +1105,15 @@ IDENTIFY:
 
 4. Provide action for the NEXT UNFILLED FIELD:
    - If dropdown says "Please select", recommend:
-     * For NAICS/industry dropdowns: "Click the dropdown that says 'Please select', type 'Agriculture' to filter, then click the first result"
-     * For other dropdowns: "Click dropdown and select first option"
+     * For NAICS/industry dropdowns: "Click the dropdown that says 'Please select', type '${industrySearchTerm(this.persona)}' to filter, then click the first result"
+     * For other dropdowns, cards and lists: the option that fits the BUSINESS PROFILE below, otherwise the first option
    - If text input empty, recommend "Fill the [field name] with [value]"
    - If all fields filled, recommend "Click Next button"
 
 5. Is the Next button disabled/greyed out? (this means required fields are missing)
 
+BUSINESS PROFILE (answer as this business): industry ${this.persona.industry}, "${this.persona.businessIdea}", ${this.persona.employees ?? 'unknown'} employees, status ${this.persona.operationalStatus || 'unknown'}, ${this.persona.hasEIN ? 'already has an EIN' : 'no EIN yet'}, expected revenue ${this.persona.revenue ?? 'unknown'}
+
 Return JSON: {
   "inputType": "text|cards|list|buttons|dropdown",
   "question": "the question text",
@@ -696,13 +1124,10 @@ Return JSON: {
 }
 
 Be concise. Focus on the NEXT action needed.`
-          }
-        ]
-      }]
     });
 
     try {
-      const text = response.content[0].text;
+      const text = response.text;
       const parsed = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || text);
       console.log(`   🎯 Vision analysis: ${parsed.inputType} - ${parsed.question}`);
 
@@ -745,9 +1170,12 @@ Be concise. Focus on the NEXT action needed.`
     await this.wait(WAIT_TIMES.long);
 
     // Check for county requirement (already uses direct selectors)
-    const countySelected = await this.trySelectCounty();
+    const county = this.persona.address?.county;
+    const countySelected = await this.trySelectCounty(county);
     if (!countySelected) {
-      await this.act('If there is a county dropdown visible, select the first available option');
+      await this.act(county
+        ? `If there is a county dropdown visible, select "${county}" (or the first available option if it is not listed)`
+        : 'If there is a county dropdown visible, select the first available option');
       await this.wait(WAIT_TIMES.medium);
     }
 
@@ -816,6 +1244,143 @@ Be concise. Focus on the NEXT action needed.`
     await this.waitForNavigation();
   }
 
+  /**
+   * Directors / officers (corporation, nonprofit) and members / managers (LLC) pages
+   * Fills one row per persona founder, adding rows as needed
+   * @param {Object} config - { label, withTitle, withAddress, withOwnership }
+   *   label is used for logging and AI instructions (e.g. 'Director', 'Member')
+   */
+  async handleFounders(config = {}) {
+    const { label = 'Director', withTitle = true, withAddress = false, withOwnership = false } = config;
+    // Single-member LLCs have no founders list - the persona owns everything
+    const founders = this.persona.founders || [{ ...this.persona, title: null, ownership: 100 }];
+    console.log(`   ${label}s page - entering ${founders.length}...`);
+
+    const addSelectors = [
+      `button:has-text("Add another ${label.toLowerCase()}")`,
+      'button:has-text("Add another")',
+      `button:has-text("Add ${label.toLowerCase()}")`,
+      'button:has-text("Add person")'
+    ];
+
+    for (let i = 0; i < founders.length; i++) {
+      const founder = founders[i];
+      const ordinal = `${label.toLowerCase()} #${i + 1}`;
+
+      // Rows after the first have to be added before they can be filled
+      if (i > 0 && !await this.clickDirect(addSelectors)) {
+        await this.act(`Click the button to add another ${label.toLowerCase()}`);
+      }
+      await this.wait(WAIT_TIMES.short);
+
+      const firstOk = await this.fillDirect('firstName', founder.firstName, i);
+      const lastOk = await this.fillDirect('lastName', founder.lastName, i);
+      if (!firstOk || !lastOk) {
+        console.log(`   Falling back to AI for ${ordinal}...`);
+        await this.fill(`${ordinal} first name`, founder.firstName);
+        await this.fill(`${ordinal} last name`, founder.lastName);
+      }
+
+      if (withTitle && founder.title) {
+        const titleSelect = this.page.locator('select[name*="title" i]').nth(i);
+        const hasTitleSelect = await titleSelect.count().catch(() => 0);
+        if (hasTitleSelect) {
+          // Stagehand's selectOption takes a value or label string - fall back to the first real option
+          const options = await this.page.evaluate(index => [...(document.querySelectorAll('select[name*="title" i]')[index]?.options || [])]
+            .map(option => ({ value: option.value, label: option.label.trim() })), i).catch(() => []);
+          const listed = options.some(option => option.label === founder.title || option.value === founder.title);
+          const fallback = options.find(option => option.value);
+          if (listed || fallback) {
+            await titleSelect.selectOption(listed ? founder.title : fallback.value);
+          }
+        } else {
+          await this.fillDirect('officerTitle', founder.title, i);
+        }
+      }
+
+      if (withAddress && founder.address) {
+        const { street, city, zip } = founder.address;
+        const addressOk = await this.fillDirect('address', street, i) &&
+          await this.fillDirect('city', city, i) &&
+          await this.fillDirect('zip', zip, i);
+        if (!addressOk) {
+          console.log(`   Falling back to AI for ${ordinal} address...`);
+          await this.fill(`${ordinal} street address`, street);
+          await this.fill(`${ordinal} city`, city);
+          await this.fill(`${ordinal} zip code`, zip);
+        }
+      }
+
+      if (withOwnership) {
+        const percent = String(founder.ownership);
+        if (!await this.fillDirect('ownership', percent, i)) {
+          await this.fill(`${ordinal} ownership percentage`, percent);
+        }
+      }
+    }
+
+    await this.clickCTA();
+    await this.waitForNavigation();
+  }
+
+  /**
+   * Share structure page (corporation) - authorized shares and par value
+   */
+  async handleShareStructure() {
+    const shares = this.businessDetails.shares || { authorized: 1500, parValue: '0.001' };
+    console.log(`   Share structure page - ${shares.authorized} shares at $${shares.parValue} par...`);
+
+    if (!await this.fillDirect('authorizedShares', String(shares.authorized))) {
+      await this.fill('number of authorized shares', String(shares.authorized));
+    }
+    if (!await this.fillDirect('parValue', shares.parValue)) {
+      await this.fill('par value per share', shares.parValue);
+    }
+
+    await this.clickCTA();
+    await this.waitForNavigation();
+  }
+
+  /**
+   * Nonprofit purpose page - 501(c)(3) purpose statement and tax-exempt election
+   */
+  async handleNonprofitPurpose() {
+    console.log('   Nonprofit purpose page...');
+
+    if (!await this.fillDirect('purposeStatement')) {
+      await this.fill('purpose statement', this.businessDetails.purposeStatement);
+    }
+
+    // Opt into 501(c)(3) status when the page asks
+    const exemptSelectors = [
+      'label:has-text("501(c)(3)") input[type="checkbox"]',
+      'label:has-text("501(c)(3)") input[type="radio"]',
+      'input[type="checkbox"][name*="501" i]',
+      'input[type="radio"][value*="501" i]'
+    ];
+    for (const selector of exemptSelectors) {
+      const input = this.page.locator(selector).first();
+      if (await input.count().catch(() => 0) && await input.isVisible().catch(() => false)) {
+        if (!await input.isChecked().catch(() => false)) await input.click();
+        console.log(`   Selected 501(c)(3) via: ${selector}`);
+        break;
+      }
+    }
+
+    await this.clickCTA();
+    await this.waitForNavigation();
+  }
+
+  /**
+   * Order review page - check what the site recorded before moving on to checkout
+   */
+  async handleReview() {
+    console.log('   Review page - checking ownership...');
+    await this.assertOwnershipTotal();
+    await this.clickCTA();
+    await this.waitForNavigation();
+  }
+
   async handleAccountCreation() {
     console.log('   Account creation page...');
 
@@ -830,7 +1395,7 @@ Be concise. Focus on the NEXT action needed.`
     }
     if (!passwordSuccess) {
       console.log('   Falling back to AI for password...');
-      await this.fill('password', TEST_CREDENTIALS.password);
+      await this.fill('password', this.credentials.password);
     }
 
     await this.clickCTA();
@@ -930,6 +1495,24 @@ Be concise. Focus on the NEXT action needed.`
     await this.waitForNavigation();
   }
 
+  /**
+   * Question text on a journey page - the visible headings, legends and question labels
+   * @returns {Promise<string>} - Joined with " | ", empty if the page can't be read
+   */
+  async readJourneyQuestion() {
+    try {
+      return await this.page.evaluate(() => [...document.querySelectorAll('h1, h2, h3, legend, [role="heading"], [class*="question"]')]
+        .filter(el => el.offsetParent !== null)
+        .map(el => el.textContent.trim().replace(/\s+/g, ' '))
+        .filter(Boolean)
+        .slice(0, 8)
+        .join(' | ')
+        .slice(0, 500));
+    } catch (e) {
+      return '';
+    }
+  }
+
   async handlePostCheckoutJourney() {
     console.log('   Post-checkout journey page - analyzing page type...');
 
@@ -941,448 +1524,37 @@ Be concise. Focus on the NEXT action needed.`
     // Note: Main loop also checks, but we double-check here for journey-specific modals
     await this.closeModals();
 
-    // Use vision-based AI for journey pages since they have complex visual layouts
-    const useVisionAI = true;  // Toggle to compare approaches
-
-    // Journey pages can have different input styles:
-    // 1. Text input fields (DBA name, business details, etc.)
-    // 2. Card-style multiple choice (white cards with radio circles)
-    // 3. List/menu selection (text items in a dropdown-like list)
-    // MUST fill/select before the Next button becomes enabled
+    // Answer as this persona's business where the question maps to a persona field
+    // (see journeyAnswers.js); the first option is only the fallback for unmapped questions
+    const questionText = await this.readJourneyQuestion();
+    const answer = journeyAnswer(questionText, this.persona);
+    const searchTerm = industrySearchTerm(this.persona);
+    if (answer) {
+      console.log(`   Question maps to persona ${answer.field}: ${answer.label}`);
+    } else {
+      console.log(`   No persona mapping for "${questionText.slice(0, 80)}" - first option fallback`);
+    }
+    this.trace?.annotateStep({ journeyQuestion: { question: questionText.slice(0, 200), field: answer?.field || null, answer: answer?.label || null } });
 
+    // Journey pages can have different input styles (text inputs, cards, lists, dropdowns) and
+    // MUST be filled/selected before the Next button becomes enabled - the strategies in
+    // journeyStrategies.js each detect and answer one style, in priority order
     console.log('   Decision flow order:');
-    console.log('      1. Text input detection (with combobox exclusion)');
-    console.log('      2. Cascading dropdown detection (MUI)');
-    console.log('      3. Empty dropdown detection');
-    console.log('      4. Direct selector attempts');
-    console.log('      5. Vision AI analysis (if enabled)');
-    console.log('      6. Generic AI fallback');
+    this.journeyStrategies.forEach((strategy, i) => console.log(`      ${i + 1}. ${strategy.description} (${strategy.name})`));
     console.log('');
 
-    // First, check if there's a text input field to fill
-    // IMPORTANT: Exclude combobox/autocomplete inputs (Material-UI Autocomplete uses input[role="combobox"])
-    const textInputDebugInfo = await this.page.evaluate(() => {
-      const inputs = document.querySelectorAll('input[type="text"], input:not([type]), textarea');
-      const debugLog = [];
-      debugLog.push(`Found ${inputs.length} total inputs`);
-
-      // CRITICAL: Check if page contains "Please select" text - if so, it's a dropdown page, not text input
-      const pageText = document.body.textContent;
-      const hasPleasSelect = pageText.includes('Please select') || pageText.includes('please select');
-      if (hasPleasSelect) {
-        debugLog.push('⚠️  Page contains "Please select" - this is a dropdown selection page, not text input');
-        return { hasTextInput: false, debug: debugLog, reason: 'Please select text detected' };
-      }
-
-      let foundTextInput = false;
-      for (let i = 0; i < inputs.length; i++) {
-        const input = inputs[i];
-        const role = input.getAttribute('role');
-        const ariaAuto = input.getAttribute('aria-autocomplete');
-        const inMUI = input.closest('.MuiAutocomplete-root');
-        const visible = input.offsetParent !== null;
-        const hasValue = !!input.value;
-        const isDisabled = input.disabled;
-
-        // Additional check: Is there a dropdown arrow or "Please select" near this input?
-        const parent = input.parentElement;
-        const parentText = parent?.textContent || '';
-        const hasDropdownIndicator = parentText.includes('▼') || parentText.includes('Please select');
-
-        const info = {
-          tagName: input.tagName,
-          type: input.type || 'none',
-          role: role,
-          ariaAutocomplete: ariaAuto,
-          inMuiAutocomplete: !!inMUI,
-          hasDropdownIndicator: hasDropdownIndicator,
-          visible: visible,
-          hasValue: hasValue,
-          disabled: isDisabled,
-          value: input.value.slice(0, 30)
-        };
-
-        // Skip if it's a combobox/autocomplete (dropdown, not text input)
-        if (role === 'combobox' || ariaAuto || inMUI || hasDropdownIndicator) {
-          debugLog.push(`Input ${i}: SKIPPED - ${JSON.stringify(info)}`);
-          continue;
-        }
-
-        // Check if visible, empty, and enabled
-        if (visible && !hasValue && !isDisabled) {
-          debugLog.push(`Input ${i}: MATCHES - ${JSON.stringify(info)}`);
-          foundTextInput = true;
-        } else {
-          debugLog.push(`Input ${i}: No match - ${JSON.stringify(info)}`);
-        }
-      }
-
-      return { hasTextInput: foundTextInput, debug: debugLog };
-    }).catch(() => ({ hasTextInput: false, debug: ['Error in evaluation'] }));
-
-    // Log debug info
-    if (textInputDebugInfo.debug && textInputDebugInfo.debug.length > 0) {
-      console.log('   [TEXT INPUT DEBUG]');
-      textInputDebugInfo.debug.forEach(line => console.log(`      ${line}`));
-    }
-
-    const hasTextInput = textInputDebugInfo.hasTextInput;
-    let selectionSuccess = false;  // Declare here to be accessible in both branches and result summary
-
-    if (hasTextInput) {
-      console.log('   Found text input field - filling with business name...');
-      // Try direct filling first (FAST!)
-      let success = await this.fillDirect('businessName');
-      if (!success) {
-        // Fall back to AI
-        await this.act(`Type "${this.businessDetails.businessName}" into the text input field`);
-      }
-      selectionSuccess = true;  // Mark as successful if we filled the text input
-      await this.wait(WAIT_TIMES.medium);
-    } else {
-      // Try selection strategies for multiple choice / list questions
-      console.log('   Looking for selectable options...');
-
-      // FIRST: Check for Material-UI cascading dropdowns (ZenBusiness-specific)
-      // Pattern: Multiple numbered questions (1., 2., etc.) where first is filled but second is "Please select"
-      const cascadingDropdownInfo = await this.page.evaluate(() => {
-        // Check for numbered questions
-        const pageText = document.body.textContent;
-        const hasNumberedQuestions = /\d+\.\s+.*\?/.test(pageText);
-
-        const debugLog = [];
-        debugLog.push(`Numbered questions detected: ${hasNumberedQuestions}`);
-
-        if (!hasNumberedQuestions) {
-          return { hasCascading: false, debug: debugLog };
-        }
-
-        // Check MUI Autocompletes for mixed states
-        const autocompletes = document.querySelectorAll('.MuiAutocomplete-root');
-        debugLog.push(`Found ${autocompletes.length} MUI Autocomplete components`);
-
-        let filledCount = 0;
-        let emptyIndices = [];
-        let questionNumbers = [];
-        const dropdownStates = [];
-
-        autocompletes.forEach((dropdown, idx) => {
-          const visible = dropdown.offsetParent !== null;
-
-          if (!visible) {
-            debugLog.push(`  Dropdown ${idx}: NOT VISIBLE (skipped)`);
-            return;
-          }
-
-          const input = dropdown.querySelector('input[role="combobox"]');
-          const container = dropdown.closest('[class*="question"], section, div');
-
-          // Extract question number from container text
-          const containerText = container?.textContent || dropdown.parentElement?.textContent || '';
-          const numberMatch = containerText.match(/^(\d+)\.\s+/);
-          const questionNumber = numberMatch ? numberMatch[1] : null;
-          const questionText = containerText.slice(0, 80).replace(/\n/g, ' ');
-
-          if (input) {
-            const inputValue = input.value || '';
-            const isFilled = inputValue && inputValue !== '';
-            const hasPlaceholder = containerText.includes('Please select');
-
-            const state = {
-              idx,
-              questionNumber,
-              isFilled,
-              inputValue: inputValue.slice(0, 30),
-              hasPlaceholder,
-              questionText
-            };
-
-            dropdownStates.push(state);
-
-            if (isFilled) {
-              filledCount++;
-              if (questionNumber) questionNumbers.push(parseInt(questionNumber));
-              debugLog.push(`  Dropdown ${idx}: FILLED - Q${questionNumber} = "${inputValue.slice(0, 30)}"`);
-            } else if (hasPlaceholder || !inputValue) {
-              emptyIndices.push(idx);
-              if (questionNumber) questionNumbers.push(parseInt(questionNumber));
-              debugLog.push(`  Dropdown ${idx}: EMPTY - Q${questionNumber} (Please select)`);
-            }
-          } else {
-            debugLog.push(`  Dropdown ${idx}: NO INPUT FOUND`);
-          }
-        });
-
-        debugLog.push(`Summary: ${filledCount} filled, ${emptyIndices.length} empty, question numbers: [${questionNumbers.join(', ')}]`);
-
-        // Cascading: at least one filled, at least one empty, and we have question numbers
-        if (filledCount > 0 && emptyIndices.length > 0 && questionNumbers.length > 1) {
-          // Find the highest question number (likely the cascaded one)
-          const maxQuestionNum = Math.max(...questionNumbers);
-          debugLog.push(`✅ CASCADING DETECTED - Question ${maxQuestionNum} is empty while earlier questions are filled`);
-          return {
-            hasCascading: true,
-            emptyIndex: emptyIndices[0], // First empty dropdown
-            questionNumber: maxQuestionNum,
-            message: `Found cascading dropdown - Question ${maxQuestionNum} is empty while earlier questions are filled`,
-            debug: debugLog,
-            dropdownStates
-          };
-        }
-
-        debugLog.push('❌ NOT cascading (criteria not met)');
-        return { hasCascading: false, debug: debugLog, dropdownStates };
-      }).catch(e => ({ hasCascading: false, debug: [`Error: ${e.message}`] }));
-
-      // Log cascading dropdown analysis
-      console.log('   [CASCADING DROPDOWN DEBUG]');
-      if (cascadingDropdownInfo.debug) {
-        cascadingDropdownInfo.debug.forEach(line => console.log(`      ${line}`));
-      }
-
-      if (cascadingDropdownInfo.hasCascading) {
-        console.log(`   ⚠️  ${cascadingDropdownInfo.message}`);
-        console.log('   Using Material-UI cascading dropdown strategy...');
-        try {
-          // Target the SECOND/cascaded dropdown specifically
-          await this.act(`Look for question ${cascadingDropdownInfo.questionNumber} (the second dropdown question) that says "Please select". Click its input field, type "Agriculture" or the first category, wait for options to load, then click the first option`);
-          selectionSuccess = true;
-          console.log('   ✅ Filled cascading dropdown');
-          await this.wait(WAIT_TIMES.medium);
-        } catch (e) {
-          console.log(`   ⚠️  Cascading dropdown strategy failed: ${e.message}`);
-        }
-      }
-
-      // SECOND: Check for any empty dropdown (non-cascading)
-      if (!selectionSuccess) {
-        const dropdownDebugInfo = await this.page.evaluate(() => {
-          const dropdowns = document.querySelectorAll('[role="combobox"], select, [class*="dropdown"], .MuiAutocomplete-root');
-          const debugLog = [];
-          debugLog.push(`Found ${dropdowns.length} potential dropdowns`);
-
-          let hasEmpty = false;
-          let emptyDropdownInfo = null;
-
-          dropdowns.forEach((dropdown, idx) => {
-            const visible = dropdown.offsetParent !== null;
-            const text = dropdown.textContent || dropdown.value || '';
-            const input = dropdown.querySelector ? dropdown.querySelector('input') : null;
-            const inputValue = input?.value || '';
-            const hasPlaceholder = text.toLowerCase().includes('please select');
-            const isEmpty = inputValue === '';
-
-            const info = {
-              idx,
-              tagName: dropdown.tagName,
-              role: dropdown.getAttribute('role'),
-              visible,
-              hasPlaceholder,
-              isEmpty,
-              inputValue: inputValue.slice(0, 30),
-              textPreview: text.slice(0, 50).replace(/\n/g, ' ')
-            };
-
-            if (!visible) {
-              debugLog.push(`  Dropdown ${idx}: NOT VISIBLE - ${info.tagName}`);
-            } else if (hasPlaceholder && isEmpty) {
-              debugLog.push(`  Dropdown ${idx}: ✅ MATCHES (empty with placeholder) - ${info.textPreview}`);
-              if (!hasEmpty) {
-                hasEmpty = true;
-                emptyDropdownInfo = info;
-              }
-            } else if (isEmpty) {
-              debugLog.push(`  Dropdown ${idx}: Empty but no placeholder - ${info.textPreview}`);
-            } else {
-              debugLog.push(`  Dropdown ${idx}: Has value "${info.inputValue}"`);
-            }
-          });
-
-          debugLog.push(`Result: ${hasEmpty ? 'FOUND empty dropdown' : 'NO empty dropdown'}`);
-
-          return {
-            hasEmptyDropdown: hasEmpty,
-            emptyDropdownInfo,
-            debug: debugLog
-          };
-        }).catch(e => ({ hasEmptyDropdown: false, debug: [`Error: ${e.message}`] }));
-
-        // Log dropdown detection analysis
-        console.log('   [EMPTY DROPDOWN DEBUG]');
-        if (dropdownDebugInfo.debug) {
-          dropdownDebugInfo.debug.forEach(line => console.log(`      ${line}`));
-        }
-
-        if (dropdownDebugInfo.hasEmptyDropdown) {
-          console.log('   Found empty dropdown with "Please select" - using searchable dropdown strategy...');
-          try {
-            await this.act('Click the dropdown input field that says "Please select", type "Agriculture" into it, wait for the options to load, then click the first option that appears');
-            selectionSuccess = true;
-            console.log('   ✅ Filled searchable dropdown');
-            await this.wait(WAIT_TIMES.medium);
-          } catch (e) {
-            console.log(`   ⚠️  Searchable dropdown strategy failed: ${e.message}`);
-          }
-        } else {
-          console.log('   No empty dropdown found, continuing to next strategy...');
-        }
-      }
-
-      // THIRD: Try direct selectors (FAST & RELIABLE!)
-      if (!selectionSuccess) {
-        console.log('   [DIRECT SELECTOR DEBUG]');
-        const directSelectors = [
-          // Card-style with radio buttons (most common on journey)
-          'label:has(input[type="radio"])',
-          'div[role="radio"]',
-          'button[role="radio"]',
-          // Card containers
-          '[class*="card"][class*="option"]',
-          '[class*="choice"]',
-          // List items
-          'li[role="option"]',
-          '[role="listbox"] > *',
-          // Yes/No buttons
-          'button:has-text("Yes")',
-          'button:has-text("No")'
-        ];
-
-        for (const selector of directSelectors) {
-          try {
-            const elements = await this.page.locator(selector);
-            const count = await elements.count();
-            console.log(`      Trying "${selector}" - found ${count} element(s)`);
-
-            if (count > 0) {
-              const firstElement = elements.first();
-              const isVisible = await firstElement.isVisible({ timeout: 500 }).catch(() => false);
-              console.log(`      First element visible: ${isVisible}`);
-
-              if (isVisible) {
-                await firstElement.click();
-                selectionSuccess = true;
-                console.log(`      ✅ SUCCESS - Selected via "${selector}"`);
-                break;
-              }
-            }
-          } catch (e) {
-            console.log(`      ⚠️  Error with "${selector}": ${e.message}`);
-            continue;
-          }
-        }
-
-        if (!selectionSuccess) {
-          console.log('      ❌ All direct selectors failed');
-        }
-      }
-
-      // FALLBACK: Use AI if direct selectors didn't work
-      if (!selectionSuccess) {
-        console.log('   [VISION AI DEBUG]');
-        console.log('      All previous strategies failed, trying vision-guided approach...');
-
-        // Use Claude's vision to understand what we're looking at
-        if (useVisionAI) {
-          console.log('      Capturing full-page screenshot for vision analysis...');
-          const analysis = await this.analyzeJourneyPageWithVision();
-
-          console.log('      Vision analysis result:', JSON.stringify({
-            hasBlockingModal: analysis?.hasBlockingModal || false,
-            nextButtonDisabled: analysis?.nextButtonDisabled || false,
-            unfilledFieldsCount: analysis?.unfilledFields?.length || 0,
-            hasRecommendation: !!analysis?.recommendation
-          }, null, 2));
-
-          if (analysis && analysis.hasBlockingModal) {
-            console.log('      ⚠️  Vision detected blocking modal - attempting to close...');
-            await this.closeModals();
-            await this.wait(WAIT_TIMES.medium);
-          }
-
-          // CRITICAL: If Next button is disabled, there are unfilled required fields
-          if (analysis && analysis.nextButtonDisabled && analysis.unfilledFields && analysis.unfilledFields.length > 0) {
-            console.log(`      ⚠️  Cannot proceed - ${analysis.unfilledFields.length} required fields still empty`);
-            console.log(`      🎯 Unfilled fields: ${JSON.stringify(analysis.unfilledFields)}`);
-            console.log(`      📋 Recommendation: ${analysis.recommendation}`);
-
-            // The recommendation should target the first unfilled field
-            if (analysis.recommendation) {
-              try {
-                await this.act(analysis.recommendation);
-                selectionSuccess = true;
-                console.log(`      ✅ Filled required field via vision`);
-              } catch (e) {
-                console.log(`      ❌ Failed to fill required field: ${e.message}`);
-              }
-            }
-          } else if (analysis && analysis.recommendation) {
-            // Normal case: no disabled button, proceed with recommendation
-            console.log(`      📋 Vision recommendation: ${analysis.recommendation}`);
-            try {
-              await this.act(analysis.recommendation);
-              selectionSuccess = true;
-              console.log(`      ✅ Selected via vision guidance`);
-            } catch (e) {
-              console.log(`      ❌ Vision-guided action failed: ${e.message}`);
-            }
-          } else {
-            console.log('      ⚠️  Vision analysis did not provide recommendation');
-          }
-        } else {
-          console.log('      Vision AI disabled, skipping...');
-        }
-      }
-
-      // Final fallback: Try generic AI strategies
-      if (!selectionSuccess) {
-        console.log('   [GENERIC AI FALLBACK DEBUG]');
-        console.log('      All detection strategies failed, trying generic AI actions...');
-
-        const selectionStrategies = [
-          // Searchable dropdown - NAICS industry codes
-          'Click the dropdown that says "Please select", type "Agriculture", then click the first option that appears',
-          // List/menu style - NAICS codes, industries, etc.
-          'Click the first list item option (like "Agriculture" or the topmost selectable item in the list)',
-          // Card style - white rectangular cards
-          'Click on the white card containing the first answer option',
-          // Radio button style
-          'Click the empty circle or radio button on the left side of the first answer',
-          // Direct text click
-          'Click the first selectable text option under the question'
-        ];
-
-        for (let i = 0; i < selectionStrategies.length; i++) {
-          const strategy = selectionStrategies[i];
-          console.log(`      Trying strategy ${i + 1}/${selectionStrategies.length}: "${strategy.slice(0, 60)}..."`);
-
-          try {
-            await this.act(strategy);
-            selectionSuccess = true;
-            console.log(`      ✅ SUCCESS with strategy ${i + 1}`);
-            break;
-          } catch (e) {
-            console.log(`      ❌ Strategy ${i + 1} failed: ${e.message}`);
-            continue;
-          }
-        }
-
-        if (!selectionSuccess) {
-          console.log('      All strategies exhausted - trying final generic action...');
-          try {
-            await this.act('Click any selectable option or fill any input field on this page');
-            console.log('      ✅ Generic action completed');
-          } catch (e) {
-            console.log(`      ❌ Final generic action failed: ${e.message}`);
-          }
-        }
-      }
+    const { handledBy, outcomes } = await runJourneyStrategies(this, this.journeyStrategies, { question: questionText, answer, searchTerm });
+    for (const { name, outcome, durationMs, error } of outcomes.filter(({ outcome }) => outcome !== 'skipped')) {
+      this.trace?.recordAction({ type: 'journeyStrategy', target: name, strategy: outcome, success: outcome === 'handled', durationMs, error });
     }
+    this.trace?.annotateStep({ journeyStrategy: handledBy, journeyStrategies: outcomes });
 
     await this.wait(WAIT_TIMES.medium);
 
     // Summary of decision path taken
     console.log('   ═══════════════════════════════════════════════');
-    console.log(`   📊 RESULT: ${selectionSuccess ? '✅ Successfully handled page' : '⚠️  No action taken'}`);
+    console.log(`   📊 RESULT: ${handledBy ? `✅ Handled by ${handledBy}` : '⚠️  No action taken'}`);
+    console.log(`      ${outcomes.map(({ name, outcome }) => `${name}: ${outcome}`).join(', ')}`);
     console.log('   ═══════════════════════════════════════════════');
     console.log('');
 
@@ -1467,7 +1639,54 @@ Be concise. Focus on the NEXT action needed.`
 
   // ==================== Helper Methods ====================
 
-  async trySelectCounty() {
+  /**
+   * Record a pass/fail check for the run; failed assertions fail the run result
+   * @param {string} name - Short assertion name (e.g. 'ownershipTotal')
+   * @param {boolean} passed - Outcome
+   * @param {string} message - Human readable detail
+   */
+  recordAssertion(name, passed, message) {
+    this.assertions.push({ name, passed, message, url: this.page.url() });
+    console.log(`   ${passed ? '✅' : '❌'} Assertion ${name}: ${message}`);
+  }
+
+  /**
+   * Assert the ownership percentages shown on the page add up to 100%
+   * Reads the percentage on each founder's line, so it works on any page that lists members
+   */
+  async assertOwnershipTotal() {
+    const founders = this.persona.founders || [{ fullName: this.persona.fullName }];
+    const text = await this.page.evaluate(() => document.body.innerText).catch(() => '');
+    const lines = text.split('\n');
+
+    const shares = founders.map(founder => {
+      const line = lines.find(l => l.includes(founder.fullName) && /\d+(\.\d+)?\s*%/.test(l));
+      return line ? parseFloat(line.match(/(\d+(?:\.\d+)?)\s*%/)[1]) : null;
+    });
+
+    if (shares.every(share => share === null)) {
+      console.log('   No ownership percentages on this page - skipping check');
+      return;
+    }
+
+    const missing = founders.filter((_, i) => shares[i] === null).map(f => f.fullName);
+    const total = shares.reduce((sum, share) => sum + (share || 0), 0);
+    const passed = missing.length === 0 && Math.abs(total - 100) < 0.01;
+    const detail = missing.length
+      ? `missing ownership for ${missing.join(', ')} (total ${total}%)`
+      : `${shares.map(share => `${share}%`).join(' + ')} = ${total}%`;
+    this.recordAssertion('ownershipTotal', passed, detail);
+  }
+
+  /**
+   * Select the persona's county when a county dropdown is shown
+   * Matches on the core name ("Travis" for "Travis County"), falling back to the first real option
+   * @param {string} county - Preferred county, e.g. persona.address.county
+   */
+  async trySelectCounty(county = this.persona?.address?.county) {
+    const wanted = normalizeCountyName(county);
+    const isMatch = text => wanted && normalizeCountyName(text) === wanted;
+
     for (const selector of COUNTY_SELECTORS) {
       try {
         const dropdown = await this.page.$(selector);
@@ -1477,14 +1696,22 @@ Be concise. Focus on the NEXT action needed.`
           const tagName = await dropdown.evaluate(el => el.tagName.toLowerCase());
           if (tagName === 'select') {
             const options = await dropdown.$$('option');
+            let fallback = null;
             for (const option of options) {
               const value = await option.getAttribute('value');
               const text = await option.textContent();
-              if (value && value !== '' && !text.toLowerCase().includes('select')) {
+              if (!value || value === '' || text.toLowerCase().includes('select')) continue;
+              if (isMatch(text) || isMatch(value)) {
                 await dropdown.selectOption({ value });
                 console.log(`   Selected county: ${text}`);
                 return true;
               }
+              fallback = fallback || { value, text };
+            }
+            if (fallback) {
+              await dropdown.selectOption({ value: fallback.value });
+              console.log(`   County "${county}" not listed, selected: ${fallback.text}`);
+              return true;
             }
           } else {
             await dropdown.click();
@@ -1493,13 +1720,21 @@ Be concise. Focus on the NEXT action needed.`
             const optionSelectors = ['[role="option"]:not([aria-disabled="true"])', 'li:not(.disabled)', '.dropdown-item'];
             for (const optSel of optionSelectors) {
               const options = await this.page.$$(optSel);
+              let fallback = null;
               for (const opt of options) {
                 const text = await opt.textContent();
-                if (text && !text.toLowerCase().includes('select') && await opt.isVisible()) {
+                if (!text || text.toLowerCase().includes('select') || !await opt.isVisible()) continue;
+                if (isMatch(text)) {
                   await opt.click();
                   console.log(`   Selected county: ${text}`);
                   return true;
                 }
+                fallback = fallback || { opt, text };
+              }
+              if (fallback) {
+                await fallback.opt.click();
+                console.log(`   County "${county}" not listed, selected: ${fallback.text}`);
+                return true;
               }
             }
           }
@@ -1555,34 +1790,90 @@ Be concise. Focus on the NEXT action needed.`
 
   // ==================== Main Flow ====================
 
-  async runLLCFormation() {
+  /**
+   * Run a formation flow end to end
+   * @param {string} scenarioType - Key of SCENARIOS in config.js (llc, dba, corporation, nonprofit)
+   */
+  async runFormation(scenarioType = 'llc') {
+    const scenario = SCENARIOS[scenarioType];
+    if (!scenario) {
+      throw new Error(`Unknown scenario "${scenarioType}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+
     console.log('\n' + '='.repeat(60));
-    console.log('Starting LLC Formation Flow');
+    console.log(`Starting ${scenario.label} Flow`);
     console.log('='.repeat(60));
     console.log(`Business: ${this.businessDetails.businessName}`);
     console.log(`State: ${this.persona.state}`);
     console.log(`Email: ${this.persona.email}`);
     console.log(`Name: ${this.persona.fullName}`);
+    if (this.persona.founders) {
+      console.log(`Founders: ${this.persona.founders.map(f => `${f.fullName} (${f.title})`).join(', ')}`);
+    }
+    console.log(`Site: ${this.baseUrl}`);
     console.log('='.repeat(60) + '\n');
 
     try {
-      await this.goto('https://www.dev.zenbusiness.com');
+      // Deep-link scenarios start inside their shop flow, LLC starts from the home page
+      const startUrl = scenario.entryPath ? new URL(scenario.entryPath, this.baseUrl).href : this.baseUrl;
+      await this.goto(startUrl);
       await this.waitForCaptcha();
-      return await this.runStepByStep();
+      return await this.runStepByStep({ clickGetStarted: !scenario.entryPath });
     } catch (error) {
-      console.error('\nFlow failed:', error.message);
-      return { success: false, error: error.message, steps: this.stepLog.length };
+      // Coded errors (BUDGET_EXCEEDED) keep their code at the front so run history groups them
+      const message = error.code ? `${error.code}: ${error.message}` : error.message;
+      console.error('\nFlow failed:', message);
+      const finalUrl = this.page?.url();
+      this.trace?.finish({ success: false, error: message, code: error.code || null, finalUrl });
+      return { success: false, error: message, code: error.code || null, steps: this.stepLog.length, finalUrl };
     }
   }
 
-  async runStepByStep() {
+  async runLLCFormation() {
+    return this.runFormation('llc');
+  }
+
+  async runDBARegistration() {
+    return this.runFormation('dba');
+  }
+
+  async runCorporationFormation() {
+    return this.runFormation('corporation');
+  }
+
+  async runMultiMemberLLCFormation() {
+    return this.runFormation('multi-member-llc');
+  }
+
+  async runNonprofitFormation() {
+    return this.runFormation('nonprofit');
+  }
+
+  /**
+   * Stop the run once the LLM budget is used up
+   * act()/fill()/select()/clickCTA() rethrow BUDGET_EXCEEDED, but handlers with their own catch-and-try-next
+   * loops can still swallow it, so the main loop checks here and rethrows
+   * @throws {BudgetExceededError}
+   */
+  async stopIfOverBudget() {
+    if (!this.usage.exceeded) return;
+    console.log(`\n${this.usage.exceeded.code}: ${this.usage.exceeded.message}. Stopping.`);
+    this.trace?.annotateStep({ outcome: 'budget-exceeded' });
+    await this.saveScreenshot('budget_exceeded', true);
+    throw this.usage.exceeded;
+  }
+
+  async runStepByStep({ clickGetStarted = true } = {}) {
     console.log('\nRunning in STEP-BY-STEP MODE\n');
 
     // Initial step: Get started
     console.log('Current URL:', this.page.url());
-    await this.act('Click the "Get started" button');
-    await this.waitForNavigation();
-    await this.waitForCaptcha();
+    this.currentHandler = 'setup';
+    if (clickGetStarted) {
+      await this.act('Click the "Get started" button');
+      await this.waitForNavigation();
+      await this.waitForCaptcha();
+    }
 
     // Main loop
     let maxSteps = 50;
@@ -1599,6 +1890,11 @@ Be concise. Focus on the NEXT action needed.`
 
       const currentUrl = this.page.url();
       console.log(`\nStep ${stepCount}: URL = ${currentUrl}`);
+      this.trace?.startStep({ index: stepCount, url: currentUrl });
+      this.currentHandler = null;
+      // Sections of single-URL pages (checkout, journey) differ by their form controls
+      this.usage.startPage(`${currentUrl} ${await pageFingerprint(this.page)}`);
+      await this.stopIfOverBudget();
 
       // Stuck detection - allow more attempts for SPAs like checkout and journey
       const isCheckoutPage = currentUrl.includes('checkout');
@@ -1611,6 +1907,7 @@ Be concise. Focus on the NEXT action needed.`
 
         if (stuckCount >= maxStuckAttempts) {
           console.log(`\nSTUCK: Failed same page ${maxStuckAttempts} times. Stopping.`);
+          this.trace?.annotateStep({ outcome: 'stuck', stuckCount });
           await this.saveScreenshot('stuck_exit', true);
           break;
         }
@@ -1620,7 +1917,9 @@ Be concise. Focus on the NEXT action needed.`
       urlAtStepStart = currentUrl;
 
       // Check end state
-      if (isEndState(currentUrl)) {
+      if (isEndState(currentUrl, this.environment.endStatePatterns)) {
+        this.trace?.annotateStep({ handler: 'endState', outcome: 'end-state' });
+        this.currentHandler = 'endState';
         // Check for post-checkout banking goal
         if (this.testGoals.postCheckout?.applyForBanking) {
           console.log('   Order confirmed - looking for banking application...');
@@ -1639,8 +1938,17 @@ Be concise. Focus on the NEXT action needed.`
         break;
       }
 
-      // Find and execute handler
-      const pageConfig = findHandler(currentUrl);
+      // Find and execute handler - URL first, DOM signatures when the URL is ambiguous or unknown
+      const identified = identifyPage(currentUrl, await snapshotPage(this.page));
+      const pageConfig = identified.pageConfig;
+      if (pageConfig) {
+        console.log(`   Handler: ${pageConfig.name} (${identified.source}, confidence ${identified.confidence.toFixed(2)})`);
+      }
+      this.trace?.annotateStep({
+        handler: pageConfig?.name || null,
+        routing: { source: identified.source, confidence: identified.confidence, candidates: identified.candidates }
+      });
+      this.currentHandler = pageConfig?.name || null;
 
       if (pageConfig && pageConfig.handler) {
         try {
@@ -1649,28 +1957,29 @@ Be concise. Focus on the NEXT action needed.`
           } else {
             await this[pageConfig.handler]();
           }
+          this.trace?.annotateStep({ strategy: 'handler', outcome: 'handled' });
           continue;
         } catch (e) {
           console.log(`   Handler error: ${e.message}`);
+          this.trace?.annotateStep({ handlerError: e.message });
         }
       }
 
-      // Unknown page - use AI fallback
+      // A handler that tripped the budget must not hand over to the (paid) AI fallback
+      await this.stopIfOverBudget();
+
+      // Unknown page - keep a capture to write a handler from, then use AI fallback on its marks
+      const marks = pageConfig ? null : await this.logUnknownPage();
       console.log(`   Unknown page - using AI fallback...`);
-      const decision = await this.decideNextAction();
-      console.log(`   AI Decision: ${JSON.stringify(decision)}`);
+      const decision = await this.decideNextAction(marks);
+      const { marked, ...decisionFields } = decision;
+      console.log(`   AI Decision: ${JSON.stringify(decisionFields)}`);
+      this.trace?.annotateStep({ strategy: 'ai-fallback', outcome: decision.action === 'done' ? 'done' : 'handled', decision: { ...decisionFields, selector: marked?.selector } });
 
       if (decision.action === 'done') {
         break;
-      } else if (decision.action === 'fill' && decision.target && decision.value) {
-        await this.fill(decision.target, decision.value);
-        await this.clickCTA();
-      } else if (decision.action === 'select' && decision.target && decision.value) {
-        await this.select(decision.target, decision.value);
-        await this.clickCTA();
-      } else if (decision.action === 'click' && decision.target) {
-        await this.act(`Click "${decision.target}"`);
-      } else {
+      }
+      if (!await this.applyDecision(decision, { submit: () => this.clickCTA() })) {
         await this.clickCTA();
       }
       await this.waitForNavigation();
@@ -1682,19 +1991,40 @@ Be concise. Focus on the NEXT action needed.`
 
     await this.saveScreenshot('final_state');
 
-    return { success: true, steps: this.stepLog.length, finalUrl };
+    const failedAssertions = this.assertions.filter(assertion => !assertion.passed);
+    if (failedAssertions.length > 0) {
+      const error = `Assertion failed: ${failedAssertions.map(a => `${a.name} (${a.message})`).join('; ')}`;
+      this.trace?.finish({ success: false, error, finalUrl, assertions: this.assertions });
+      return { success: false, error, steps: this.stepLog.length, finalUrl, assertions: this.assertions };
+    }
+
+    this.trace?.finish({ success: true, finalUrl, assertions: this.assertions });
+    return { success: true, steps: this.stepLog.length, finalUrl, assertions: this.assertions };
   }
 
   async close() {
+    // Flush whatever the trace holds if the run ended without a result (e.g. fatal init error)
+    this.trace?.setUsage(this.usage.toJSON());
+    this.trace?.finish();
+    if (this.actionStore && this.actionStore.mode !== 'off') {
+      this.actionStore.save();
+      const { recorded, replayed, misses } = this.actionStore.stats;
+      console.log(`\nRecorded actions: ${recorded} stored, ${replayed} replayed, ${misses} fell back to Stagehand`);
+    }
     if (this.stagehand) {
       await this.stagehand.close();
     }
-    const totalTime = Date.now() - this.startTime;
+    const totalTime = this.startTime ? Date.now() - this.startTime : 0;
     const automationTime = totalTime - this.captchaTime;
     console.log(`\nTotal time: ${Math.round(totalTime / 1000)}s`);
     if (this.captchaTime > 0) {
       console.log(`Automation time (excluding CAPTCHA): ${Math.round(automationTime / 1000)}s`);
     }
     console.log(`Steps executed: ${this.stepLog.length}`);
+    this.usage.printSummary();
+
+    // Kept for the run report
+    this.timing = { totalMs: totalTime, captchaMs: this.captchaTime, automationMs: automationTime };
+    return this.timing;
   }
 }
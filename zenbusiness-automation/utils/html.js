@@ -0,0 +1,15 @@
+/**
+ * HTML Helpers
+ * Shared by the run report and the mock site's pages
+ */
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
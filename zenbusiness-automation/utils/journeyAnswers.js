@@ -0,0 +1,169 @@
+/**
+ * Journey Answers
+ * Maps post-checkout journey questions to persona fields, so each test account answers its
+ * onboarding questions the way that business would instead of always taking the first option
+ *
+ * Each JOURNEY_QUESTIONS entry matches question text by pattern and, for a persona, gives
+ *   text        - free-text answer for an input field
+ *   preferences - option matchers, best first: strings (case-insensitive substring either way),
+ *                 regexes, or functions of the option label
+ *   label       - short description of the answer for logs and AI instructions
+ * Entries are tried in order, so the more specific questions (EIN) come first
+ */
+
+// Option wording per persona industry; the first entry is also the NAICS search term
+export const INDUSTRY_OPTIONS = {
+  'Technology': ['Software', /information|technolog|software|computer/i],
+  'Healthcare': ['Health', /health|medical|care/i],
+  'Retail': ['Retail', /retail|store|e-?commerce/i],
+  'Food & Beverage': ['Restaurant', /food|beverage|restaurant|catering|bakery/i],
+  'Professional Services': ['Consulting', /professional|consult|services/i],
+  'Education': ['Education', /educat|school|tutor|training/i],
+  'Real Estate': ['Real Estate', /real estate|property|rental/i],
+  'Manufacturing': ['Manufacturing', /manufactur|production/i],
+  'Entertainment': ['Entertainment', /entertain|arts|recreation|media/i],
+  'Hospitality': ['Hospitality', /hospitality|accommodation|hotel|travel/i]
+};
+
+// Option wording per operational status (see generateBusinessProfile)
+const STATUS_OPTIONS = {
+  'planning': [/planning|idea|not yet|haven'?t started|pre-?launch|getting started/i],
+  'just-started': [/just (started|launched)|recently|less than (a|one|1) year|new business|first year/i],
+  'operating': [/operating|up and running|established|already|more than (a|one|1) year|existing/i]
+};
+
+// Multipliers by the first letter of the unit ("k", "thousand", ...)
+const UNITS = { k: 1e3, t: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parse a numeric option label into a range
+ * Handles "Just me", "1-5", "6 to 10", "50+", "More than 50", "Under $10k", "$50,000 - $100,000", "$1M+",
+ * "1 million+", "$250 thousand or less"
+ * @param {string} label
+ * @returns {Object|null} - { min, max } inclusive, max Infinity for open ranges
+ */
+export function parseRange(label) {
+  const text = String(label).toLowerCase().replace(/,/g, '');
+  if (/just me|only me|none|no employees|no revenue|^\$?0$/.test(text.trim())) return { min: 0, max: 0 };
+
+  const numbers = [...text.matchAll(/\$?(\d+(?:\.\d+)?)\s*(thousand|million|billion|[kmb])?\b/g)]
+    .map(([, value, unit]) => Number(value) * (UNITS[unit?.[0]] || 1));
+  if (numbers.length === 0) return null;
+  if (numbers.length >= 2) return { min: numbers[0], max: numbers[1] };
+
+  const [value] = numbers;
+  if (/\+|more than|over|above|or more/.test(text)) return { min: value, max: Infinity };
+  if (/less than|under|below|fewer than|up to|or less/.test(text)) return { min: 0, max: value };
+  return { min: value, max: value };
+}
+
+// Option matcher: the label's range contains value
+const inRange = value => label => {
+  const range = parseRange(label);
+  return !!range && value >= range.min && value <= range.max;
+};
+
+const formatUsd = value => `$${Number(value).toLocaleString('en-US')}`;
+
+export const JOURNEY_QUESTIONS = [
+  {
+    field: 'hasEIN',
+    patterns: [/\bEIN\b/, /employer identification/i, /federal tax id/i],
+    answer: persona => ({
+      label: persona.hasEIN ? 'already has an EIN' : 'no EIN yet',
+      preferences: persona.hasEIN
+        ? [/^yes\b/i, /already have|i have/i]
+        : [/^no\b/i, /don'?t have|do not have|not yet|need one/i]
+    })
+  },
+  {
+    field: 'operationalStatus',
+    patterns: [/stage|status of your business/i, /already (started|operating|open)/i, /have you (started|launched)/i,
+      /(up and running|currently operating)/i, /where are you (in|with)/i],
+    answer: persona => ({
+      label: persona.operationalStatus,
+      preferences: STATUS_OPTIONS[persona.operationalStatus] || []
+    })
+  },
+  {
+    field: 'employees',
+    patterns: [/employees/i, /how many (people|staff|workers)/i, /team size/i, /plan to hire/i],
+    answer: persona => ({
+      text: String(persona.employees),
+      label: persona.employees === 0 ? 'just the owner' : `${persona.employees} employees`,
+      preferences: [inRange(persona.employees), ...(persona.employees === 0 ? [/^no\b/i] : [/^yes\b/i])]
+    })
+  },
+  {
+    field: 'revenue',
+    patterns: [/revenue/i, /annual (sales|income)/i, /expect to (make|earn)/i, /how much (money|income)/i],
+    answer: persona => ({
+      text: String(persona.revenue),
+      label: `${formatUsd(persona.revenue)} expected annual revenue`,
+      preferences: [inRange(persona.revenue)]
+    })
+  },
+  {
+    field: 'industry',
+    patterns: [/industry/i, /naics/i, /type of business/i, /what kind of business/i, /business category/i],
+    answer: persona => ({
+      text: persona.industry,
+      label: persona.industry,
+      preferences: [persona.industry, ...(INDUSTRY_OPTIONS[persona.industry] || [])]
+    })
+  },
+  {
+    field: 'businessIdea',
+    patterns: [/describe/i, /what does your business do/i, /business (idea|description|purpose)/i, /products? or services?/i,
+      /what will you (sell|offer)/i],
+    answer: persona => ({
+      text: persona.businessIdea,
+      label: persona.businessIdea,
+      preferences: [persona.businessIdea, ...persona.businessIdea.split(/\s+/).filter(word => word.length > 3)]
+    })
+  }
+];
+
+/**
+ * Answer for a journey question from the persona
+ * @param {string} questionText - Headings / question text read from the page
+ * @param {Object} persona
+ * @returns {Object|null} - { field, text, label, preferences }, null when no mapping applies
+ *   (unknown question, or a persona without that field)
+ */
+export function journeyAnswer(questionText, persona) {
+  const question = JOURNEY_QUESTIONS.find(entry => entry.patterns.some(pattern => pattern.test(questionText || '')));
+  if (!question || persona?.[question.field] === undefined || persona[question.field] === null) return null;
+  return { field: question.field, ...question.answer(persona) };
+}
+
+/**
+ * Index of the option that best matches an answer's preferences
+ * @param {string[]} options - Option labels, in page order
+ * @param {Array} preferences - From journeyAnswer()
+ * @returns {number} - -1 when nothing matches
+ */
+export function pickOption(options, preferences = []) {
+  const labels = options.map(option => String(option || '').trim());
+  for (const preference of preferences) {
+    const index = labels.findIndex(label => {
+      if (!label) return false;
+      if (typeof preference === 'function') return preference(label);
+      if (preference instanceof RegExp) return preference.test(label);
+      const wanted = String(preference).toLowerCase();
+      const have = label.toLowerCase();
+      return have.includes(wanted) || (have.length > 3 && wanted.includes(have));
+    });
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+/**
+ * Search term to type into NAICS / industry dropdowns
+ * @param {Object} persona
+ * @returns {string}
+ */
+export function industrySearchTerm(persona) {
+  return INDUSTRY_OPTIONS[persona?.industry]?.[0] || persona?.industry || 'Agriculture';
+}
@@ -0,0 +1,502 @@
+import { WAIT_TIMES } from './config.js';
+import { pickOption } from './journeyAnswers.js';
+import { rethrowIfBudgetExceeded } from './usageTracker.js';
+
+/**
+ * Journey Strategies
+ * Post-checkout journey pages (/f/journey) ask one question per page in varying input styles.
+ * handlePostCheckoutJourney runs the enabled strategies in priority order (lowest first); the first
+ * whose detect() matches and whose apply() succeeds handles the page, then Next is clicked.
+ *
+ * A strategy is { name, description, priority, enabled, detect(agent, context), apply(agent, context, detection) }
+ *   context   - { question, answer, searchTerm } - question text and persona answer (see journeyAnswers.js)
+ *   detect()  - { matched, debug: [lines], ...whatever apply() needs }
+ *   apply()   - true when the page's question is answered
+ *
+ * Environment profiles tune them with a journeyStrategies section (see environments.js):
+ *
+ *   "journeyStrategies": {
+ *     "vision": { "enabled": false },                     // switch a strategy off
+ *     "directSelectors": { "priority": 15 },              // try it earlier
+ *     "skipTour": {                                       // add one: act() instructions in order,
+ *       "priority": 5,                                    // optionally only when the question matches
+ *       "when": "take a tour",
+ *       "instructions": ["Click \"Skip tour\""]
+ *     }
+ *   }
+ */
+
+// Priority for configured strategies that don't set one - after the DOM strategies, before vision
+export const DEFAULT_CUSTOM_PRIORITY = 45;
+
+// Option containers tried in order by directSelectors
+const DIRECT_SELECTORS = [
+  // Card-style with radio buttons (most common on journey)
+  'label:has(input[type="radio"])',
+  'div[role="radio"]',
+  'button[role="radio"]',
+  // Card containers
+  '[class*="card"][class*="option"]',
+  '[class*="choice"]',
+  // List items
+  'li[role="option"]',
+  '[role="listbox"] > *',
+  // Yes/No buttons
+  'button:has-text("Yes")',
+  'button:has-text("No")'
+];
+
+export const JOURNEY_STRATEGIES = [
+  {
+    name: 'textInput',
+    description: 'Text input detection (with combobox exclusion)',
+    priority: 10,
+    enabled: true,
+    // IMPORTANT: Exclude combobox/autocomplete inputs (Material-UI Autocomplete uses input[role="combobox"])
+    detect: async (agent) => {
+      const info = await agent.page.evaluate(() => {
+        const inputs = document.querySelectorAll('input[type="text"], input:not([type]), textarea');
+        const debugLog = [];
+        debugLog.push(`Found ${inputs.length} total inputs`);
+
+        // CRITICAL: Check if page contains "Please select" text - if so, it's a dropdown page, not text input
+        const pageText = document.body.textContent;
+        const hasPleasSelect = pageText.includes('Please select') || pageText.includes('please select');
+        if (hasPleasSelect) {
+          debugLog.push('⚠️  Page contains "Please select" - this is a dropdown selection page, not text input');
+          return { hasTextInput: false, debug: debugLog, reason: 'Please select text detected' };
+        }
+
+        let foundTextInput = false;
+        for (let i = 0; i < inputs.length; i++) {
+          const input = inputs[i];
+          const role = input.getAttribute('role');
+          const ariaAuto = input.getAttribute('aria-autocomplete');
+          const inMUI = input.closest('.MuiAutocomplete-root');
+          const visible = input.offsetParent !== null;
+          const hasValue = !!input.value;
+          const isDisabled = input.disabled;
+
+          // Additional check: Is there a dropdown arrow or "Please select" near this input?
+          const parent = input.parentElement;
+          const parentText = parent?.textContent || '';
+          const hasDropdownIndicator = parentText.includes('▼') || parentText.includes('Please select');
+
+          const info = {
+            tagName: input.tagName,
+            type: input.type || 'none',
+            role: role,
+            ariaAutocomplete: ariaAuto,
+            inMuiAutocomplete: !!inMUI,
+            hasDropdownIndicator: hasDropdownIndicator,
+            visible: visible,
+            hasValue: hasValue,
+            disabled: isDisabled,
+            value: input.value.slice(0, 30)
+          };
+
+          // Skip if it's a combobox/autocomplete (dropdown, not text input)
+          if (role === 'combobox' || ariaAuto || inMUI || hasDropdownIndicator) {
+            debugLog.push(`Input ${i}: SKIPPED - ${JSON.stringify(info)}`);
+            continue;
+          }
+
+          // Check if visible, empty, and enabled
+          if (visible && !hasValue && !isDisabled) {
+            debugLog.push(`Input ${i}: MATCHES - ${JSON.stringify(info)}`);
+            foundTextInput = true;
+          } else {
+            debugLog.push(`Input ${i}: No match - ${JSON.stringify(info)}`);
+          }
+        }
+
+        return { hasTextInput: foundTextInput, debug: debugLog };
+      }).catch(() => ({ hasTextInput: false, debug: ['Error in evaluation'] }));
+      return { matched: info.hasTextInput, debug: info.debug };
+    },
+    apply: async (agent, { answer }) => {
+      if (answer?.text) {
+        console.log(`   Found text input field - answering with persona ${answer.field}...`);
+        await agent.act(`Type "${answer.text}" into the text input field`);
+      } else {
+        console.log('   Found text input field - filling with business name...');
+        // Try direct filling first (FAST!), then AI
+        const success = await agent.fillDirect('businessName');
+        if (!success) {
+          await agent.act(`Type "${agent.businessDetails.businessName}" into the text input field`);
+        }
+      }
+      await agent.wait(WAIT_TIMES.medium);
+      return true;
+    }
+  },
+  {
+    name: 'cascadingDropdown',
+    description: 'Cascading dropdown detection (MUI)',
+    priority: 20,
+    enabled: true,
+    // Pattern: Multiple numbered questions (1., 2., etc.) where first is filled but second is "Please select"
+    detect: async (agent) => {
+      const info = await agent.page.evaluate(() => {
+        // Check for numbered questions
+        const pageText = document.body.textContent;
+        const hasNumberedQuestions = /\d+\.\s+.*\?/.test(pageText);
+
+        const debugLog = [];
+        debugLog.push(`Numbered questions detected: ${hasNumberedQuestions}`);
+
+        if (!hasNumberedQuestions) {
+          return { hasCascading: false, debug: debugLog };
+        }
+
+        // Check MUI Autocompletes for mixed states
+        const autocompletes = document.querySelectorAll('.MuiAutocomplete-root');
+        debugLog.push(`Found ${autocompletes.length} MUI Autocomplete components`);
+
+        let filledCount = 0;
+        let emptyIndices = [];
+        let questionNumbers = [];
+
+        autocompletes.forEach((dropdown, idx) => {
+          const visible = dropdown.offsetParent !== null;
+
+          if (!visible) {
+            debugLog.push(`  Dropdown ${idx}: NOT VISIBLE (skipped)`);
+            return;
+          }
+
+          const input = dropdown.querySelector('input[role="combobox"]');
+          const container = dropdown.closest('[class*="question"], section, div');
+
+          // Extract question number from container text
+          const containerText = container?.textContent || dropdown.parentElement?.textContent || '';
+          const numberMatch = containerText.match(/^(\d+)\.\s+/);
+          const questionNumber = numberMatch ? numberMatch[1] : null;
+
+          if (input) {
+            const inputValue = input.value || '';
+            const isFilled = inputValue && inputValue !== '';
+            const hasPlaceholder = containerText.includes('Please select');
+
+            if (isFilled) {
+              filledCount++;
+              if (questionNumber) questionNumbers.push(parseInt(questionNumber));
+              debugLog.push(`  Dropdown ${idx}: FILLED - Q${questionNumber} = "${inputValue.slice(0, 30)}"`);
+            } else if (hasPlaceholder || !inputValue) {
+              emptyIndices.push(idx);
+              if (questionNumber) questionNumbers.push(parseInt(questionNumber));
+              debugLog.push(`  Dropdown ${idx}: EMPTY - Q${questionNumber} (Please select)`);
+            }
+          } else {
+            debugLog.push(`  Dropdown ${idx}: NO INPUT FOUND`);
+          }
+        });
+
+        debugLog.push(`Summary: ${filledCount} filled, ${emptyIndices.length} empty, question numbers: [${questionNumbers.join(', ')}]`);
+
+        // Cascading: at least one filled, at least one empty, and we have question numbers
+        if (filledCount > 0 && emptyIndices.length > 0 && questionNumbers.length > 1) {
+          // Find the highest question number (likely the cascaded one)
+          const maxQuestionNum = Math.max(...questionNumbers);
+          debugLog.push(`✅ CASCADING DETECTED - Question ${maxQuestionNum} is empty while earlier questions are filled`);
+          return { hasCascading: true, questionNumber: maxQuestionNum, debug: debugLog };
+        }
+
+        debugLog.push('❌ NOT cascading (criteria not met)');
+        return { hasCascading: false, debug: debugLog };
+      }).catch(e => ({ hasCascading: false, debug: [`Error: ${e.message}`] }));
+      return { matched: info.hasCascading, questionNumber: info.questionNumber, debug: info.debug };
+    },
+    apply: async (agent, { searchTerm }, { questionNumber }) => {
+      console.log(`   ⚠️  Question ${questionNumber} is empty while earlier questions are filled - filling the cascaded dropdown...`);
+      // Target the SECOND/cascaded dropdown specifically
+      await agent.act(`Look for question ${questionNumber} (the second dropdown question) that says "Please select". Click its input field, type "${searchTerm}" (or the first category if nothing matches), wait for options to load, then click the first option`);
+      await agent.wait(WAIT_TIMES.medium);
+      return true;
+    }
+  },
+  {
+    name: 'emptyDropdown',
+    description: 'Empty dropdown detection',
+    priority: 30,
+    enabled: true,
+    detect: async (agent) => {
+      const info = await agent.page.evaluate(() => {
+        const dropdowns = document.querySelectorAll('[role="combobox"], select, [class*="dropdown"], .MuiAutocomplete-root');
+        const debugLog = [];
+        debugLog.push(`Found ${dropdowns.length} potential dropdowns`);
+
+        let hasEmpty = false;
+
+        dropdowns.forEach((dropdown, idx) => {
+          const visible = dropdown.offsetParent !== null;
+          const text = dropdown.textContent || dropdown.value || '';
+          const input = dropdown.querySelector ? dropdown.querySelector('input') : null;
+          const inputValue = input?.value || '';
+          const hasPlaceholder = text.toLowerCase().includes('please select');
+          const isEmpty = inputValue === '';
+          const textPreview = text.slice(0, 50).replace(/\n/g, ' ');
+
+          if (!visible) {
+            debugLog.push(`  Dropdown ${idx}: NOT VISIBLE - ${dropdown.tagName}`);
+          } else if (hasPlaceholder && isEmpty) {
+            debugLog.push(`  Dropdown ${idx}: ✅ MATCHES (empty with placeholder) - ${textPreview}`);
+            hasEmpty = true;
+          } else if (isEmpty) {
+            debugLog.push(`  Dropdown ${idx}: Empty but no placeholder - ${textPreview}`);
+          } else {
+            debugLog.push(`  Dropdown ${idx}: Has value "${inputValue.slice(0, 30)}"`);
+          }
+        });
+
+        debugLog.push(`Result: ${hasEmpty ? 'FOUND empty dropdown' : 'NO empty dropdown'}`);
+        return { hasEmptyDropdown: hasEmpty, debug: debugLog };
+      }).catch(e => ({ hasEmptyDropdown: false, debug: [`Error: ${e.message}`] }));
+      return { matched: info.hasEmptyDropdown, debug: info.debug };
+    },
+    apply: async (agent, { answer, searchTerm }) => {
+      console.log('   Found empty dropdown with "Please select" - using searchable dropdown strategy...');
+      // NAICS / industry dropdowns are searched with the persona's industry, other mapped
+      // questions pick their answer
+      await agent.act(answer && answer.field !== 'industry'
+        ? `Click the dropdown input field that says "Please select" and choose the option that best matches "${answer.label}"`
+        : `Click the dropdown input field that says "Please select", type "${searchTerm}" into it, wait for the options to load, then click the first option that appears`);
+      await agent.wait(WAIT_TIMES.medium);
+      return true;
+    }
+  },
+  {
+    name: 'directSelectors',
+    description: 'Direct selector attempts (cards, radios, lists, Yes/No)',
+    priority: 40,
+    enabled: true,
+    // First selector with visible options wins; apply() picks among them
+    detect: async (agent) => {
+      const debug = [];
+      for (const selector of DIRECT_SELECTORS) {
+        try {
+          const elements = agent.page.locator(selector);
+          const count = await elements.count();
+          debug.push(`Trying "${selector}" - found ${count} element(s)`);
+          if (count === 0) continue;
+
+          // Visible options with their labels, in page order
+          const options = [];
+          for (let i = 0; i < Math.min(count, 25); i++) {
+            const option = elements.nth(i);
+            if (await option.isVisible().catch(() => false)) {
+              options.push({ option, label: (await option.innerText().catch(() => '')).trim().replace(/\s+/g, ' ') });
+            }
+          }
+          debug.push(`  Visible options: ${options.length}`);
+          if (options.length > 0) return { matched: true, selector, options, debug };
+        } catch (e) {
+          debug.push(`⚠️  Error with "${selector}": ${e.message}`);
+        }
+      }
+      debug.push('❌ All direct selectors failed');
+      return { matched: false, debug };
+    },
+    apply: async (agent, { answer }, { selector, options }) => {
+      const matched = answer ? pickOption(options.map(({ label }) => label), answer.preferences) : -1;
+      const choice = options[matched === -1 ? 0 : matched];
+      await choice.option.click();
+      console.log(matched === -1
+        ? `   ✅ Selected first option "${choice.label.slice(0, 40)}" via "${selector}"`
+        : `   ✅ Selected "${choice.label.slice(0, 40)}" (persona ${answer.field}) via "${selector}"`);
+      return true;
+    }
+  },
+  {
+    name: 'vision',
+    description: 'Vision AI analysis (full-page screenshot)',
+    priority: 50,
+    enabled: true,
+    detect: async () => ({ matched: true }),
+    apply: async (agent) => {
+      console.log('   Capturing full-page screenshot for vision analysis...');
+      const analysis = await agent.analyzeJourneyPageWithVision();
+
+      console.log('   Vision analysis result:', JSON.stringify({
+        hasBlockingModal: analysis?.hasBlockingModal || false,
+        nextButtonDisabled: analysis?.nextButtonDisabled || false,
+        unfilledFieldsCount: analysis?.unfilledFields?.length || 0,
+        hasRecommendation: !!analysis?.recommendation
+      }));
+
+      if (analysis?.hasBlockingModal) {
+        console.log('   ⚠️  Vision detected blocking modal - attempting to close...');
+        await agent.closeModals();
+        await agent.wait(WAIT_TIMES.medium);
+      }
+
+      if (!analysis?.recommendation) {
+        console.log('   ⚠️  Vision analysis did not provide recommendation');
+        return false;
+      }
+
+      // A disabled Next button means required fields are missing - the recommendation targets the first one
+      if (analysis.nextButtonDisabled && analysis.unfilledFields?.length > 0) {
+        console.log(`   ⚠️  Cannot proceed - ${analysis.unfilledFields.length} required fields still empty`);
+        console.log(`   🎯 Unfilled fields: ${JSON.stringify(analysis.unfilledFields)}`);
+      }
+      console.log(`   📋 Vision recommendation: ${analysis.recommendation}`);
+      await agent.act(analysis.recommendation);
+      return true;
+    }
+  },
+  {
+    name: 'genericAi',
+    description: 'Generic AI fallback',
+    priority: 60,
+    enabled: true,
+    detect: async () => ({ matched: true }),
+    apply: async (agent, { answer, searchTerm }) => {
+      const instructions = [
+        // Mapped question - the persona's answer before any first-option guess
+        ...(answer ? [`Click the answer option that best matches "${answer.label}"`] : []),
+        // Searchable dropdown - NAICS industry codes
+        `Click the dropdown that says "Please select", type "${searchTerm}", then click the first option that appears`,
+        // List/menu style - NAICS codes, industries, etc.
+        'Click the first list item option (like "Agriculture" or the topmost selectable item in the list)',
+        // Card style - white rectangular cards
+        'Click on the white card containing the first answer option',
+        // Radio button style
+        'Click the empty circle or radio button on the left side of the first answer',
+        // Direct text click
+        'Click the first selectable text option under the question'
+      ];
+      if (await actInOrder(agent, instructions)) return true;
+
+      console.log('   All strategies exhausted - trying final generic action...');
+      try {
+        await agent.act('Click any selectable option or fill any input field on this page');
+        console.log('   ✅ Generic action completed');
+      } catch (e) {
+        rethrowIfBudgetExceeded(e);
+        console.log(`   ❌ Final generic action failed: ${e.message}`);
+      }
+      return false;
+    }
+  }
+];
+
+/**
+ * Try act() instructions until one succeeds
+ * @returns {Promise<boolean>}
+ */
+async function actInOrder(agent, instructions) {
+  for (let i = 0; i < instructions.length; i++) {
+    console.log(`   Trying ${i + 1}/${instructions.length}: "${instructions[i].slice(0, 60)}..."`);
+    try {
+      await agent.act(instructions[i]);
+      console.log(`   ✅ SUCCESS with instruction ${i + 1}`);
+      return true;
+    } catch (e) {
+      rethrowIfBudgetExceeded(e);
+      console.log(`   ❌ Instruction ${i + 1} failed: ${e.message}`);
+    }
+  }
+  return false;
+}
+
+/**
+ * Build a strategy from a configuration entry that doesn't name a built-in one
+ * @param {string} name
+ * @param {Object} config - { instructions (or instruction), when, priority, enabled, description }
+ * @param {Object[]} strategies - Built-in strategies, named in the error for a misspelt one
+ * @returns {Object}
+ */
+export function instructionStrategy(name, config = {}, strategies = JOURNEY_STRATEGIES) {
+  const instructions = [].concat(config.instructions || config.instruction || []);
+  if (instructions.length === 0) {
+    throw new Error(`Journey strategy "${name}" is not built in and has no instructions. Built-in: ${strategies.map(strategy => strategy.name).join(', ')}`);
+  }
+  const when = config.when ? new RegExp(config.when, 'i') : null;
+
+  return {
+    name,
+    description: config.description || `Configured instructions${when ? ` when the question matches /${config.when}/` : ''}`,
+    priority: config.priority ?? DEFAULT_CUSTOM_PRIORITY,
+    enabled: config.enabled ?? true,
+    detect: async (agent, { question }) => ({
+      matched: !when || when.test(question),
+      debug: when ? [`Question ${when.test(question) ? 'matches' : 'does not match'} /${config.when}/`] : []
+    }),
+    apply: (agent) => actInOrder(agent, instructions)
+  };
+}
+
+/**
+ * Enabled strategies in the order they run
+ * @param {Object} overrides - Name -> { enabled, priority } for built-ins, or an instructionStrategy() config
+ * @param {Object[]} strategies - Built-in strategies
+ * @returns {Object[]} - Sorted by priority, ties keep list order
+ */
+export function resolveJourneyStrategies(overrides = {}, strategies = JOURNEY_STRATEGIES) {
+  const builtIn = new Set(strategies.map(strategy => strategy.name));
+  const configured = Object.entries(overrides)
+    .filter(([name]) => !builtIn.has(name))
+    .map(([name, config]) => instructionStrategy(name, config, strategies));
+
+  return [
+    ...strategies.map(strategy => {
+      const { enabled = strategy.enabled, priority = strategy.priority } = overrides[strategy.name] || {};
+      return { ...strategy, enabled, priority };
+    }),
+    ...configured
+  ]
+    .filter(strategy => strategy.enabled)
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Run strategies until one handles the page
+ * Every strategy tried gets an outcome: skipped (detect didn't match), handled, failed (apply
+ * returned false or threw) or error (detect threw); strategies after the handling one are not tried.
+ * BUDGET_EXCEEDED is rethrown rather than recorded, so no further paid strategy runs
+ * @param {Object} agent - FastAgent
+ * @param {Object[]} strategies - From resolveJourneyStrategies()
+ * @param {Object} context - { question, answer, searchTerm }
+ * @returns {Promise<Object>} - { handledBy (name or null), outcomes: [{ name, priority, outcome, durationMs, error }] }
+ */
+export async function runJourneyStrategies(agent, strategies, context) {
+  const outcomes = [];
+  for (const strategy of strategies) {
+    const startedAt = Date.now();
+    const record = (outcome, error = null) => {
+      outcomes.push({ name: strategy.name, priority: strategy.priority, outcome, durationMs: Date.now() - startedAt, error });
+      return outcome;
+    };
+
+    console.log(`   [${strategy.name}] ${strategy.description}`);
+    let detection;
+    try {
+      detection = await strategy.detect(agent, context);
+    } catch (e) {
+      rethrowIfBudgetExceeded(e);
+      console.log(`      ⚠️  Detection failed: ${e.message}`);
+      record('error', e.message);
+      continue;
+    }
+    (detection.debug || []).forEach(line => console.log(`      ${line}`));
+    if (!detection.matched) {
+      record('skipped');
+      continue;
+    }
+
+    try {
+      if (await strategy.apply(agent, context, detection)) {
+        console.log(`   ✅ Handled by ${strategy.name}`);
+        record('handled');
+        return { handledBy: strategy.name, outcomes };
+      }
+      record('failed');
+    } catch (e) {
+      rethrowIfBudgetExceeded(e);
+      console.log(`   ⚠️  ${strategy.name} failed: ${e.message}`);
+      record('failed', e.message);
+    }
+  }
+  return { handledBy: null, outcomes };
+}
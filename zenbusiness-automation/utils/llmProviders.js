@@ -0,0 +1,259 @@
+import fs from 'fs';
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * LLM Providers
+ * One interface over the models FastAgent uses, configured per role:
+ *   act    - the model Stagehand drives act()/fill()/select() with (anthropic or openai)
+ *   decide - decideNextAction() on unknown pages
+ *   vision - analyzeJourneyPageWithVision() on journey pages
+ *
+ * Every provider implements complete({ prompt, image, maxTokens, url }) and returns
+ * { text, model, inputTokens, outputTokens }. The stub answers deterministically with no
+ * network access, so the decision code paths can run offline; the scripted provider answers
+ * from a fixture file so each AI fallback branch can be driven on purpose.
+ * Both can take the act role too: they answer each act() instruction with Stagehand actions,
+ * which FastAgent runs without a model behind Stagehand (see FastAgent.offlineAct())
+ */
+
+export const LLM_ROLES = ['act', 'decide', 'vision'];
+
+export class AnthropicProvider {
+  constructor({ model = 'claude-3-5-haiku-latest', apiKey = process.env.ANTHROPIC_API_KEY } = {}) {
+    this.name = 'anthropic';
+    this.model = model;
+    this.apiKey = apiKey;
+    this.client = null; // Created on first use so a missing key only matters for roles that use it
+  }
+
+  /**
+   * @param {Object} request - { prompt, image (base64 PNG), maxTokens }
+   */
+  async complete({ prompt, image = null, maxTokens = 512 }) {
+    this.client = this.client || new Anthropic({ apiKey: this.apiKey });
+    const content = [];
+    if (image) {
+      content.push({ type: 'image', source: { type: 'base64', media_type: 'image/png', data: image } });
+    }
+    content.push({ type: 'text', text: prompt });
+
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content }]
+    });
+    return {
+      text: response.content.find(block => block.type === 'text')?.text || '',
+      model: response.model || this.model,
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0
+    };
+  }
+
+  // Stagehand wants "provider/model" for anything outside its legacy model list
+  stagehandOptions() {
+    return {
+      modelName: this.model.includes('/') ? this.model : `anthropic/${this.model}`,
+      modelClientOptions: { apiKey: this.apiKey }
+    };
+  }
+}
+
+export class OpenAIProvider {
+  constructor({ model = 'gpt-4o-mini', apiKey = process.env.OPENAI_API_KEY, baseUrl = 'https://api.openai.com/v1' } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Chat Completions over fetch (the openai package is not a dependency)
+   * @param {Object} request - { prompt, image (base64 PNG), maxTokens }
+   */
+  async complete({ prompt, image = null, maxTokens = 512 }) {
+    const content = [];
+    if (image) {
+      content.push({ type: 'image_url', image_url: { url: `data:image/png;base64,${image}` } });
+    }
+    content.push({ type: 'text', text: prompt });
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.apiKey}` },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content }]
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`OpenAI request failed (${response.status}): ${(await response.text()).slice(0, 200)}`);
+    }
+    const data = await response.json();
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model || this.model,
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: data.usage?.completion_tokens || 0
+    };
+  }
+
+  stagehandOptions() {
+    return {
+      modelName: this.model,
+      modelClientOptions: { apiKey: this.apiKey }
+    };
+  }
+}
+
+// Stub answers per role: move forward on unknown pages, click Next on journey pages.
+// act answers are Stagehand actions ({ selector, method, arguments, description }, or a list);
+// the stub has none, so its act() fails like Stagehand finding nothing
+export const STUB_RESPONSES = {
+  act: [],
+  decide: { action: 'click', target: 'Continue button' },
+  vision: {
+    inputType: 'buttons',
+    question: 'unknown (stub provider)',
+    recommendation: 'Click Next button',
+    hasBlockingModal: false,
+    unfilledFields: [],
+    nextButtonDisabled: false
+  }
+};
+
+export class StubProvider {
+  /**
+   * @param {Object} options - { role, responses } responses override STUB_RESPONSES per role
+   */
+  constructor({ role = 'decide', model = 'stub', responses = {} } = {}) {
+    this.name = 'stub';
+    this.model = model;
+    this.role = role;
+    this.responses = { ...STUB_RESPONSES, ...responses };
+  }
+
+  async complete() {
+    return {
+      text: JSON.stringify(this.responses[this.role] ?? {}),
+      model: this.model,
+      inputTokens: 0,
+      outputTokens: 0
+    };
+  }
+
+  // No model behind Stagehand: FastAgent asks complete() for the actions instead
+  stagehandOptions() {
+    return { offline: true };
+  }
+}
+
+/**
+ * Answers prompts from a fixture file, matched by page URL and/or prompt substring
+ *
+ * Fixture format:
+ *   {
+ *     "responses": [
+ *       { "role": "decide", "url": "/checkout", "response": { "action": "fill", "target": "card number", "value": "4242424242424242" }, "times": 1 },
+ *       { "role": "decide", "prompt": "\"Place order\"", "response": { "action": "click", "element": 12 } },
+ *       { "role": "vision", "prompt": "onboarding journey", "response": { "inputType": "cards", "recommendation": "Click Next button" } },
+ *       { "role": "act", "prompt": "\"Place order\"", "response": { "selector": "#place-order", "method": "click" } }
+ *     ],
+ *     "fallback": { "decide": { "action": "click", "target": "Continue button" } }
+ *   }
+ *
+ * Entries are tried in order; the first whose role, url and prompt (all optional) match and
+ * that has uses left (`times`, unlimited when omitted) answers. Object responses are sent as JSON.
+ * With no match the fallback for the role answers, then STUB_RESPONSES.
+ * Every answer is kept in `transcript` so callers can check which entries fired
+ */
+export class ScriptedProvider {
+  /**
+   * @param {Object} options - { role, fixture } fixture is a file path or an already-parsed object
+   */
+  constructor({ role = 'decide', fixture, model = 'scripted' } = {}) {
+    if (!fixture) {
+      throw new Error('The scripted provider needs a fixture (e.g. --llm=decide=scripted:path/to/fixture.json)');
+    }
+    this.name = 'scripted';
+    this.model = model;
+    this.role = role;
+    const script = typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture;
+    this.entries = (script.responses || []).map(entry => ({ ...entry, used: 0 }));
+    this.fallback = { ...STUB_RESPONSES, ...script.fallback };
+    this.transcript = [];
+  }
+
+  matches(entry, { prompt = '', url = '' }) {
+    if (entry.role && entry.role !== this.role) return false;
+    if (entry.url && !url.includes(entry.url)) return false;
+    if (entry.prompt && !prompt.includes(entry.prompt)) return false;
+    return entry.times === undefined || entry.used < entry.times;
+  }
+
+  async complete(request) {
+    const index = this.entries.findIndex(entry => this.matches(entry, request));
+    const entry = this.entries[index];
+    if (entry) entry.used++;
+    const response = entry ? entry.response : this.fallback[this.role] ?? {};
+    const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+    this.transcript.push({ role: this.role, url: request.url || null, entry: entry ? index : null, text });
+    return { text, model: this.model, inputTokens: 0, outputTokens: 0 };
+  }
+
+  stagehandOptions() {
+    return { offline: true };
+  }
+}
+
+export const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAIProvider,
+  stub: StubProvider,
+  scripted: ScriptedProvider
+};
+
+/**
+ * Create the provider for a role
+ * @param {string} role - One of LLM_ROLES
+ * @param {Object} config - { provider, model, ... } from the environment profile's llm section
+ * @returns {Object} - Provider instance
+ */
+export function createProvider(role, { provider, ...options } = {}) {
+  if (!LLM_ROLES.includes(role)) {
+    throw new Error(`Unknown LLM role "${role}". Available: ${LLM_ROLES.join(', ')}`);
+  }
+  const Provider = PROVIDERS[provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${provider}" for ${role}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  const cleanOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== null && value !== undefined));
+  return new Provider({ ...cleanOptions, role });
+}
+
+/**
+ * Parse a --llm override like "decide=stub,vision=openai:gpt-4o"
+ * For the scripted provider the part after ':' is the fixture path ("decide=scripted:fixture.json")
+ * @param {string} spec
+ * @returns {Object} - { role: { provider, model } }
+ */
+export function parseLlmOverrides(spec) {
+  const overrides = {};
+  for (const part of String(spec).split(',').map(item => item.trim()).filter(Boolean)) {
+    const [role, target = ''] = part.split('=');
+    const [provider, ...modelParts] = target.split(':');
+    if (!LLM_ROLES.includes(role) || !PROVIDERS[provider]) {
+      throw new Error(`Invalid --llm entry "${part}". Use role=provider[:model], roles ${LLM_ROLES.join('/')}, providers ${Object.keys(PROVIDERS).join('/')}`);
+    }
+    const value = modelParts.length ? modelParts.join(':') : null;
+    if (provider === 'scripted') {
+      overrides[role] = { provider, model: null, fixture: value };
+      continue;
+    }
+    // No model given: the provider's default, not the model of whatever provider it replaces
+    overrides[role] = { provider, model: value };
+  }
+  return overrides;
+}
@@ -0,0 +1,144 @@
+/**
+ * Matrix Runner
+ * Builds goal x state x package combinations (full cartesian or pairwise-reduced)
+ * and runs them through a bounded-concurrency worker pool
+ */
+
+const MATRIX_DIMENSIONS = ['goal', 'state', 'packagePreference'];
+
+/**
+ * Full cartesian product of the matrix dimensions
+ * @param {Object} axes - { goals: string[], states: string[], packages: string[] }
+ * @returns {Object[]} - [{ goal, state, packagePreference }]
+ */
+export function cartesianMatrix({ goals, states, packages }) {
+  const combos = [];
+  for (const goal of goals) {
+    for (const state of states) {
+      for (const packagePreference of packages) {
+        combos.push({ goal, state, packagePreference });
+      }
+    }
+  }
+  return combos;
+}
+
+/**
+ * Key for a pair of dimension values, used to track pairwise coverage
+ */
+function pairKey(dimA, valueA, dimB, valueB) {
+  return `${dimA}=${valueA}|${dimB}=${valueB}`;
+}
+
+/**
+ * All dimension-value pairs a combination covers
+ */
+function pairsOf(combo) {
+  const pairs = [];
+  for (let i = 0; i < MATRIX_DIMENSIONS.length; i++) {
+    for (let j = i + 1; j < MATRIX_DIMENSIONS.length; j++) {
+      const a = MATRIX_DIMENSIONS[i];
+      const b = MATRIX_DIMENSIONS[j];
+      pairs.push(pairKey(a, combo[a], b, combo[b]));
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Pairwise-reduced matrix: every pair of values across any two dimensions
+ * appears in at least one combination (greedy all-pairs selection)
+ * @param {Object} axes - { goals: string[], states: string[], packages: string[] }
+ * @returns {Object[]} - [{ goal, state, packagePreference }]
+ */
+export function pairwiseMatrix(axes) {
+  const candidates = cartesianMatrix(axes);
+  const uncovered = new Set(candidates.flatMap(pairsOf));
+  const selected = [];
+
+  while (uncovered.size > 0) {
+    // Pick the candidate covering the most still-uncovered pairs (first wins ties, keeps output stable)
+    let best = null;
+    let bestScore = 0;
+    for (const combo of candidates) {
+      const score = pairsOf(combo).filter(pair => uncovered.has(pair)).length;
+      if (score > bestScore) {
+        best = combo;
+        bestScore = score;
+      }
+    }
+
+    selected.push(best);
+    pairsOf(best).forEach(pair => uncovered.delete(pair));
+  }
+
+  return selected;
+}
+
+/**
+ * Build the run matrix
+ * @param {Object} axes - { goals, states, packages }
+ * @param {Object} options - { pairwise: boolean } - pairwise unless asked for the full product
+ * @returns {Object[]}
+ */
+export function buildMatrix(axes, { pairwise = true } = {}) {
+  return pairwise ? pairwiseMatrix(axes) : cartesianMatrix(axes);
+}
+
+/**
+ * Run every combination with at most `concurrency` runs in flight
+ * @param {Object[]} combos - Output of buildMatrix
+ * @param {Function} runOne - async (combo, index) => result
+ * @param {Object} options - { concurrency }
+ * @returns {Promise<Object[]>} - Results in the same order as combos
+ */
+export async function runMatrix(combos, runOne, { concurrency = 1 } = {}) {
+  const results = new Array(combos.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < combos.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await runOne(combos[index], index);
+      } catch (error) {
+        results[index] = { combo: combos[index], success: false, error: `FATAL: ${error.message}` };
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, combos.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Print one combined pass/fail table for a finished matrix
+ * @param {Object[]} results - [{ combo, success, steps, error, persona, testRunDir }]
+ */
+export function printMatrixTable(results) {
+  const rows = results.map((result, i) => ({
+    '#': String(i + 1),
+    goal: result.combo.goal,
+    state: result.combo.state,
+    package: result.combo.packagePreference,
+    result: result.success ? 'PASS' : 'FAIL',
+    steps: String(result.steps ?? 0),
+    seed: result.persona?.seed || '',
+    error: result.success ? '' : (result.error || '').slice(0, 60)
+  }));
+
+  const columns = Object.keys(rows[0] || { '#': '' });
+  const widths = columns.map(col => Math.max(col.length, ...rows.map(row => row[col].length)));
+  const formatRow = values => values.map((value, i) => value.padEnd(widths[i])).join(' | ');
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 MATRIX RESULTS');
+  console.log('='.repeat(60));
+  console.log(formatRow(columns));
+  console.log(widths.map(width => '-'.repeat(width)).join('-|-'));
+  rows.forEach(row => console.log(formatRow(columns.map(col => row[col]))));
+
+  const passed = results.filter(result => result.success).length;
+  console.log(`\n${passed}/${results.length} passed`);
+}
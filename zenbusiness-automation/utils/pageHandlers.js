@@ -1,6 +1,19 @@
 /**
  * Data-driven page handler registry for ZenBusiness automation
  * Replaces sequential if-else URL matching with O(1) lookup
+ *
+ * urlPatterns / excludePatterns entries can be:
+ *   'contact-info'                        - substring of the full URL (legacy)
+ *   /^\/shop\/llc\/?$/                     - regex tested against the pathname
+ *   { path: '/shop/:entity/ein' }         - path template (:param = one segment, trailing * = any rest)
+ *   { path, query, hash }                 - path template/regex plus query and hash checks; query may be
+ *                                           a regex/substring of the query string or { key: value|regex|true }
+ * The most specific match wins (templates/regexes beat substrings, longer beats shorter);
+ * array order only breaks ties. A substring needs a separator ('-', '/', ...): a single word
+ * matches inside unrelated URLs ('bank' in /bankruptcy), so use a path template for those
+ *
+ * domSignature (optional) describes the page itself - headings, text phrases, form fields - so
+ * pageIdentifier.js can pick a handler when the URL is ambiguous or matches nothing
  */
 
 // Page handler definitions
@@ -8,15 +21,15 @@ export const PAGE_HANDLERS = [
   // End state - Velo dashboard (final destination)
   {
     name: 'veloDashboard',
-    urlPatterns: ['velo', '/app/', '/dashboard'],
-    excludePatterns: ['checkout'],
+    urlPatterns: [{ path: '/velo/*' }, '/app/', '/dashboard'],
+    excludePatterns: ['checkout', 'banking-application'],
     isEndState: true
   },
 
   // Post-checkout confirmation - continue through (NOT an end state anymore)
   {
     name: 'orderConfirmation',
-    urlPatterns: ['llc-addons/confirmation', 'confirmation', 'thank-you'],
+    urlPatterns: ['llc-addons/confirmation', { path: '/shop/:entity/confirmation' }, 'thank-you'],
     excludePatterns: ['velo'],
     handler: 'handlePostCheckoutConfirmation'
   },
@@ -24,7 +37,7 @@ export const PAGE_HANDLERS = [
   // Post-checkout journey/onboarding flow
   {
     name: 'postCheckoutJourney',
-    urlPatterns: ['/f/journey', '/f/'],
+    urlPatterns: ['/f/journey', { path: '/f/*' }],
     handler: 'handlePostCheckoutJourney'
   },
 
@@ -61,23 +74,31 @@ export const PAGE_HANDLERS = [
   // Form pages
   {
     name: 'businessState',
-    urlPatterns: ['business-state', '/shop/llc/?'],
+    urlPatterns: ['business-state', /^\/shop\/(llc|dba|corporation|nonprofit)\/?$/],
     excludePatterns: ['business-name'],
     handler: 'handleBusinessState'
   },
   {
     name: 'businessName',
     urlPatterns: ['business-name'],
+    domSignature: {
+      headings: ['name of your business'],
+      fields: ['input[name*="business" i][name*="name" i], input[placeholder*="business name" i]']
+    },
     handler: 'handleBusinessName'
   },
   {
     name: 'contactInfo',
     urlPatterns: ['contact-info'],
+    domSignature: {
+      headings: ['contact information'],
+      fields: ['input[type="email"], input[name*="email" i]', 'input[name*="first" i]']
+    },
     handler: 'handleContactInfo'
   },
   {
     name: 'existingBusiness',
-    urlPatterns: ['existing-business', 'designator'],
+    urlPatterns: ['existing-business', { path: '/shop/:entity/designator' }],
     handler: 'handleExistingBusiness'
   },
   {
@@ -87,20 +108,63 @@ export const PAGE_HANDLERS = [
   },
   {
     name: 'industry',
-    urlPatterns: ['industry'],
+    urlPatterns: [{ path: '/shop/:entity/industry' }],
     handler: 'handleIndustry'
   },
+
+  // Entity-specific pages (corporation, nonprofit, multi-member LLC)
+  // Generic words (directors, members, shares, purpose, review) only as whole /shop/<entity>/ steps
+  {
+    name: 'directors',
+    urlPatterns: [{ path: '/shop/:entity/directors' }, { path: '/shop/:entity/officers' }, 'board-members'],
+    handler: 'handleFounders',
+    config: { label: 'Director' }
+  },
+  {
+    name: 'members',
+    urlPatterns: [{ path: '/shop/llc/members' }, { path: '/shop/llc/managers' }, 'member-info'],
+    handler: 'handleFounders',
+    config: { label: 'Member', withTitle: false, withAddress: true, withOwnership: true }
+  },
+  {
+    name: 'shareStructure',
+    urlPatterns: ['share-structure', 'authorized-shares', { path: '/shop/:entity/shares' }],
+    handler: 'handleShareStructure'
+  },
+  {
+    name: 'nonprofitPurpose',
+    urlPatterns: ['nonprofit-purpose', { path: '/shop/:entity/purpose' }],
+    handler: 'handleNonprofitPurpose'
+  },
+
+  {
+    name: 'orderReview',
+    urlPatterns: [{ path: '/shop/:entity/review' }, 'order-summary'],
+    domSignature: {
+      headings: ['review your order'],
+      text: ['ownership']
+    },
+    handler: 'handleReview'
+  },
   {
     name: 'accountCreation',
-    urlPatterns: ['sign-up', 'create-account', 'register'],
+    urlPatterns: ['sign-up', 'create-account', { path: '/shop/:entity/register' }],
     excludePatterns: ['registered-agent'],
+    domSignature: {
+      headings: ['create your account'],
+      fields: ['input[type="password"]']
+    },
     handler: 'handleAccountCreation'
   },
 
   // Package selection
   {
     name: 'packageSelection',
-    urlPatterns: ['package-selection', 'pricing', 'packages'],
+    urlPatterns: ['package-selection', { path: '/shop/:entity/pricing' }, { path: '/shop/:entity/packages' }],
+    domSignature: {
+      headings: ['package'],
+      text: ['starter', 'pro', 'premium']
+    },
     handler: 'handlePackageSelection'
   },
 
@@ -108,19 +172,25 @@ export const PAGE_HANDLERS = [
   {
     name: 'registeredAgent',
     urlPatterns: ['registered-agent'],
+    domSignature: {
+      headings: ['registered agent']
+    },
     handler: 'handleUpsell',
     config: { upsellKey: 'registeredAgent', defaultAccept: true, label: 'Registered Agent' }
   },
   {
     name: 'compliance',
-    urlPatterns: ['worry-free-compliance', 'compliance'],
+    urlPatterns: ['worry-free-compliance', { path: '/shop/:entity/compliance' }],
     excludePatterns: ['compliance-monitoring'],
     handler: 'handleUpsell',
     config: { upsellKey: 'complianceMonitoring', defaultAccept: false, label: 'Compliance' }
   },
   {
     name: 'ein',
-    urlPatterns: ['employer-identification-number', 'ein'],
+    urlPatterns: ['employer-identification-number', { path: '/shop/:entity/ein' }],
+    domSignature: {
+      headings: ['ein']
+    },
     handler: 'handleUpsell',
     config: { upsellKey: 'einService', defaultAccept: false, label: 'EIN' }
   },
@@ -132,68 +202,216 @@ export const PAGE_HANDLERS = [
   },
   {
     name: 'moneyPro',
-    urlPatterns: ['money-pro', 'money'],
+    urlPatterns: ['money-pro', { path: '/shop/:entity/money' }],
     excludePatterns: ['money-back'],
     handler: 'handleUpsell',
     config: { upsellKey: 'moneyPro', defaultAccept: false, label: 'Money Pro' }
   },
   {
     name: 'rushFiling',
-    urlPatterns: ['rush-filing', 'rush'],
+    urlPatterns: ['rush-filing', { path: '/shop/:entity/rush' }],
     handler: 'handleUpsell',
     config: { upsellKey: 'rushFiling', defaultAccept: false, label: 'Rush Filing' }
   },
   {
     name: 'banking',
-    urlPatterns: ['banking', 'bank'],
+    urlPatterns: [{ path: '/shop/:entity/banking' }, { path: '/shop/:entity/bank' }],
     excludePatterns: ['banking-application', 'bank-account'],
     handler: 'handleUpsell',
     config: { upsellKey: 'businessBanking', defaultAccept: false, label: 'Banking' }
   },
   {
     name: 'genericUpsell',
-    urlPatterns: ['upsell', 'add-on', 'upgrade'],
+    urlPatterns: [{ path: '/shop/:entity/upsell' }, 'add-on', { path: '/shop/:entity/upgrade' }],
     handler: 'handleUpsell'
   },
 
-  // Checkout (lowest priority for URL matching)
+  // Checkout (the entity's own checkout step; post-checkout product checkouts are excluded)
   {
     name: 'checkout',
-    urlPatterns: ['checkout'],
+    urlPatterns: [{ path: '/shop/:entity/checkout' }],
+    excludePatterns: ['llc-addons/'],
+    // Same signals CheckoutHandler.detectSection() uses for its sections
+    domSignature: {
+      headings: ['checkout'],
+      text: ['payment method', 'card number', 'place order'],
+      fields: ['iframe[name^="__privateStripeFrame"], input[autocomplete="cc-number"]']
+    },
     handler: 'handleCheckout'
   }
 ];
 
+// Score tiers: any template/regex match outranks any substring match
+const STRUCTURED_SCORE = 100;
+const SEGMENT_SCORE = { literal: 10, param: 3, rest: 0 };
+const PART_SCORE = 20; // query or hash constraint
+
+/**
+ * Split a URL into pathname, query string and hash (falls back to the raw string as pathname)
+ */
+function parseUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return { href: url, pathname: parsed.pathname, search: parsed.search.slice(1), hash: parsed.hash.slice(1), params: parsed.searchParams };
+  } catch (e) {
+    const [beforeHash, hash = ''] = String(url).split('#');
+    const [pathname, search = ''] = beforeHash.split('?');
+    return { href: url, pathname, search, hash, params: new URLSearchParams(search) };
+  }
+}
+
+// Characters of a regex source that are literal text (rough specificity measure)
+function regexScore(regex) {
+  return STRUCTURED_SCORE + regex.source.replace(/\\.|[\^$.*+?()[\]{}|]/g, '').length;
+}
+
+/**
+ * Match a path template against a pathname
+ * @returns {number} - Specificity score, 0 if no match
+ */
+function matchPathTemplate(template, pathname) {
+  const trim = value => value.replace(/\/+$/, '');
+  const templateSegments = trim(template).split('/');
+  const pathSegments = trim(pathname).split('/');
+  let score = STRUCTURED_SCORE;
+
+  for (let i = 0; i < templateSegments.length; i++) {
+    const segment = templateSegments[i];
+    if (segment === '*' && i === templateSegments.length - 1) {
+      return score + SEGMENT_SCORE.rest;
+    }
+    if (i >= pathSegments.length) return 0;
+    if (segment.startsWith(':')) {
+      if (!pathSegments[i]) return 0;
+      score += SEGMENT_SCORE.param;
+    } else if (segment === pathSegments[i]) {
+      score += segment ? SEGMENT_SCORE.literal : 0;
+    } else {
+      return 0;
+    }
+  }
+  return templateSegments.length === pathSegments.length ? score : 0;
+}
+
+// Query check: regex/substring of the query string, or { key: value | regex | true }
+function matchQuery(query, parsed) {
+  if (query instanceof RegExp) return query.test(parsed.search);
+  if (typeof query === 'string') return parsed.search.includes(query);
+  return Object.entries(query).every(([key, expected]) => {
+    if (!parsed.params.has(key)) return false;
+    if (expected === true) return true;
+    const value = parsed.params.get(key);
+    return expected instanceof RegExp ? expected.test(value) : value === String(expected);
+  });
+}
+
 /**
- * Find the appropriate handler for a URL
+ * Match one url/exclude pattern against a URL
+ * @param {string|RegExp|Object} pattern - See the module comment for the supported forms
+ * @param {string} url - The current page URL
+ * @returns {number} - Specificity score, 0 if no match
+ */
+export function matchPattern(pattern, url) {
+  if (typeof pattern === 'string') {
+    return String(url).includes(pattern) ? pattern.length : 0;
+  }
+
+  const parsed = parseUrl(url);
+  if (pattern instanceof RegExp) {
+    return pattern.test(parsed.pathname) ? regexScore(pattern) : 0;
+  }
+
+  let score = STRUCTURED_SCORE;
+  if (pattern.path instanceof RegExp) {
+    if (!pattern.path.test(parsed.pathname)) return 0;
+    score = regexScore(pattern.path);
+  } else if (pattern.path) {
+    score = matchPathTemplate(pattern.path, parsed.pathname);
+    if (!score) return 0;
+  }
+  if (pattern.query) {
+    if (!matchQuery(pattern.query, parsed)) return 0;
+    score += PART_SCORE;
+  }
+  if (pattern.hash) {
+    const matched = pattern.hash instanceof RegExp ? pattern.hash.test(parsed.hash) : parsed.hash.includes(pattern.hash);
+    if (!matched) return 0;
+    score += PART_SCORE;
+  }
+  return score;
+}
+
+/**
+ * Readable form of a pattern for logs and lint output
+ * @param {string|RegExp|Object} pattern
+ * @returns {string}
+ */
+export function describePattern(pattern) {
+  if (typeof pattern === 'string') return `'${pattern}'`;
+  if (pattern instanceof RegExp) return String(pattern);
+  const parts = [];
+  if (pattern.path) parts.push(`path ${pattern.path}`);
+  if (pattern.query) parts.push(`query ${pattern.query instanceof RegExp || typeof pattern.query === 'string' ? pattern.query : JSON.stringify(pattern.query)}`);
+  if (pattern.hash) parts.push(`hash ${pattern.hash}`);
+  return `{${parts.join(', ')}}`;
+}
+
+/**
+ * Score a handler entry against a URL: its best pattern match, 0 if none or excluded
+ * @param {Object} pageConfig - Entry shaped like PAGE_HANDLERS items
+ * @param {string} url - The current page URL
+ * @returns {number}
+ */
+export function scorePageConfig(pageConfig, url) {
+  if (pageConfig.excludePatterns?.some(pattern => matchPattern(pattern, url) > 0)) {
+    return 0;
+  }
+  return Math.max(0, ...pageConfig.urlPatterns.map(pattern => matchPattern(pattern, url)));
+}
+
+/**
+ * Check whether a URL matches a handler's url/exclude patterns
+ * @param {Object} pageConfig - Entry shaped like PAGE_HANDLERS items
+ * @param {string} url - The current page URL
+ * @returns {boolean}
+ */
+export function matchesPageConfig(pageConfig, url) {
+  return scorePageConfig(pageConfig, url) > 0;
+}
+
+/**
+ * Find the appropriate handler for a URL - the most specific match, earlier entries winning ties
  * @param {string} url - The current page URL
  * @returns {Object|null} - Handler config or null if no match
  */
 export function findHandler(url) {
+  let best = null;
+  let bestScore = 0;
   for (const pageConfig of PAGE_HANDLERS) {
-    // Check if URL matches any pattern
-    const matches = pageConfig.urlPatterns.some(pattern => url.includes(pattern));
-    if (!matches) continue;
-
-    // Check exclusion patterns
-    if (pageConfig.excludePatterns) {
-      const excluded = pageConfig.excludePatterns.some(pattern => url.includes(pattern));
-      if (excluded) continue;
+    const score = scorePageConfig(pageConfig, url);
+    if (score > bestScore) {
+      best = pageConfig;
+      bestScore = score;
     }
-
-    return pageConfig;
   }
-  return null;
+  return best;
 }
 
 /**
  * Check if URL represents an end state
+ * Scored like any other handler: a page some handler matches more specifically than the end-state
+ * patterns (e.g. /app/dashboard/banking-application -> bankingApplication) is not the end
  * @param {string} url - The current page URL
+ * @param {string[]} endStatePatterns - Optional environment-specific end-state patterns
+ *   (replaces the veloDashboard urlPatterns, keeps its exclusions)
  * @returns {boolean}
  */
-export function isEndState(url) {
+export function isEndState(url, endStatePatterns = null) {
+  const endConfig = PAGE_HANDLERS.find(pageConfig => pageConfig.isEndState);
+  const endScore = scorePageConfig(endStatePatterns ? { ...endConfig, urlPatterns: endStatePatterns } : endConfig, url);
+  if (endScore === 0) return false;
   const handler = findHandler(url);
-  return handler?.isEndState === true;
+  return !handler || handler.isEndState === true || scorePageConfig(handler, url) <= endScore;
 }
 
 /**
@@ -0,0 +1,141 @@
+import { PAGE_HANDLERS, scorePageConfig } from './pageHandlers.js';
+
+/**
+ * Page Identifier
+ * Combines URL matching with DOM signatures declared on PAGE_HANDLERS entries:
+ *
+ *   domSignature: {
+ *     headings: ['Contact information'],          // phrase in an h1-h3 / legend / role=heading
+ *     text: ['email address'],                    // phrase anywhere in the page text
+ *     fields: ['input[name*="email" i]']          // selector that must exist
+ *   }
+ *
+ * Phrases match whole words ('pro' is not in "provide"). Text phrases only back up a heading or
+ * field - a page that merely mentions them scores 0 - so every signature needs one of those.
+ * The URL decides on its own when exactly one handler matches. When several match and the most
+ * specific one's signature doesn't fit, or none match (SPA sections, unfamiliar URLs), the
+ * handler whose signature best fits the page wins - provided it reaches MIN_DOM_CONFIDENCE.
+ * Every decision carries a 0-1 confidence for the logs
+ */
+
+export const MIN_DOM_CONFIDENCE = 0.6;
+
+/**
+ * Every field selector the signatures use, so one page.evaluate can check them all
+ * @param {Object[]} handlers - PAGE_HANDLERS-shaped entries
+ * @returns {string[]}
+ */
+export function signatureSelectors(handlers = PAGE_HANDLERS) {
+  return [...new Set(handlers.flatMap(pageConfig => pageConfig.domSignature?.fields || []))];
+}
+
+/**
+ * Collect what DOM signatures are scored against
+ * @param {Object} page - Stagehand page
+ * @param {string[]} selectors - Field selectors to probe
+ * @returns {Promise<Object|null>} - { headings, text, fields: { selector: boolean } }, null if the page can't be read
+ */
+export async function snapshotPage(page, selectors = signatureSelectors()) {
+  try {
+    return await page.evaluate((fieldSelectors) => {
+      const headings = [...document.querySelectorAll('h1, h2, h3, legend, [role="heading"]')]
+        .map(el => el.textContent.trim().toLowerCase())
+        .filter(Boolean);
+      const fields = {};
+      for (const selector of fieldSelectors) {
+        try {
+          fields[selector] = !!document.querySelector(selector);
+        } catch (e) {
+          fields[selector] = false; // Invalid selector for this browser
+        }
+      }
+      return { headings, text: (document.body?.innerText || '').toLowerCase().slice(0, 20000), fields };
+    }, selectors);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Share of a signature's headings, phrases and fields found on the page
+ * @param {Object} signature - domSignature
+ * @param {Object} snapshot - From snapshotPage()
+ * @returns {number|null} - 0-1, null when there is nothing to compare
+ */
+export function scoreDomSignature(signature, snapshot) {
+  if (!signature || !snapshot) return null;
+  const anchors = [
+    ...(signature.headings || []).map(heading => snapshot.headings.some(text => containsPhrase(text, heading))),
+    ...(signature.fields || []).map(selector => !!snapshot.fields[selector])
+  ];
+  const phrases = (signature.text || []).map(phrase => containsPhrase(snapshot.text, phrase));
+  const checks = [...anchors, ...phrases];
+  if (checks.length === 0) return null;
+  if (!anchors.some(Boolean)) return 0;
+  return checks.filter(Boolean).length / checks.length;
+}
+
+/**
+ * Whole-word phrase match, a trailing "s" allowed ('package' finds "Packages")
+ * @param {string} text - Lowercased page text or heading
+ * @param {string} phrase - Signature phrase
+ * @returns {boolean}
+ */
+function containsPhrase(text, phrase) {
+  const escaped = phrase.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^a-z0-9])${escaped}s?(?![a-z0-9])`).test(text);
+}
+
+/**
+ * Identify the handler for the current page
+ * @param {string} url - The current page URL
+ * @param {Object|null} snapshot - From snapshotPage(); null = URL only
+ * @param {Object[]} handlers - PAGE_HANDLERS-shaped entries
+ * @returns {Object} - { pageConfig, source ('url' | 'url+dom' | 'dom' | null), confidence, candidates }
+ */
+export function identifyPage(url, snapshot, handlers = PAGE_HANDLERS) {
+  const candidates = handlers
+    .map(pageConfig => ({
+      pageConfig,
+      urlScore: scorePageConfig(pageConfig, url),
+      domConfidence: scoreDomSignature(pageConfig.domSignature, snapshot)
+    }))
+    .filter(candidate => candidate.urlScore > 0 || candidate.domConfidence !== null);
+  const urlMatches = candidates.filter(candidate => candidate.urlScore > 0).sort((a, b) => b.urlScore - a.urlScore);
+  const summary = candidates
+    .filter(candidate => candidate.urlScore > 0 || candidate.domConfidence > 0)
+    .map(({ pageConfig, urlScore, domConfidence }) => ({ name: pageConfig.name, urlScore, domConfidence }));
+
+  // Best DOM fit among a set of candidates, if confident enough
+  const bestByDom = list => list
+    .filter(candidate => candidate.domConfidence !== null && candidate.domConfidence >= MIN_DOM_CONFIDENCE)
+    .sort((a, b) => b.domConfidence - a.domConfidence || b.urlScore - a.urlScore)[0];
+
+  // Unambiguous URL - a signature only adjusts the confidence
+  if (urlMatches.length === 1) {
+    const [match] = urlMatches;
+    const confidence = match.domConfidence === null ? 1 : (1 + match.domConfidence) / 2;
+    return { pageConfig: match.pageConfig, source: 'url', confidence, candidates: summary };
+  }
+
+  // Several URL matches - the most specific one stands unless its own signature says otherwise
+  // and another candidate's signature fits
+  if (urlMatches.length > 1) {
+    const [top] = urlMatches;
+    const topRejected = top.domConfidence !== null && top.domConfidence < MIN_DOM_CONFIDENCE;
+    const byDom = topRejected ? bestByDom(urlMatches) : null;
+    if (byDom) {
+      return { pageConfig: byDom.pageConfig, source: 'url+dom', confidence: byDom.domConfidence, candidates: summary };
+    }
+    const total = urlMatches.reduce((sum, candidate) => sum + candidate.urlScore, 0);
+    const confidence = top.domConfidence === null ? top.urlScore / total : (top.urlScore / total + top.domConfidence) / 2;
+    return { pageConfig: top.pageConfig, source: 'url', confidence, candidates: summary };
+  }
+
+  // No URL match - DOM only
+  const byDom = bestByDom(candidates);
+  if (byDom) {
+    return { pageConfig: byDom.pageConfig, source: 'dom', confidence: byDom.domConfidence, candidates: summary };
+  }
+  return { pageConfig: null, source: null, confidence: 0, candidates: summary };
+}
@@ -2,6 +2,9 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+import { createRandom, generateSeed } from './random.js';
+import { US_STATES } from './stateData.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -85,48 +88,79 @@ const businessTypes = {
   ]
 };
 
+// Scenarios that file with several founders - directors/officers or LLC members to generate
+// (most states require at least three directors for a nonprofit)
+const FOUNDER_COUNTS = {
+  corporation: 2,
+  nonprofit: 3,
+  'multi-member-llc': 3
+};
+
+// Founder titles, in order
+const FOUNDER_TITLES = {
+  corporation: ['CEO', 'CTO', 'COO'],
+  nonprofit: ['President', 'Secretary', 'Treasurer'],
+  'multi-member-llc': ['Managing Member', 'Member']
+};
+
 const industries = [
   'Technology', 'Healthcare', 'Retail', 'Food & Beverage', 'Professional Services',
   'Education', 'Real Estate', 'Manufacturing', 'Entertainment', 'Hospitality'
 ];
 
-const usStates = [
-  { name: 'California', abbr: 'CA', zip: '90210' },
-  { name: 'New York', abbr: 'NY', zip: '10001' },
-  { name: 'Texas', abbr: 'TX', zip: '75001' },
-  { name: 'Florida', abbr: 'FL', zip: '33101' },
-  { name: 'Delaware', abbr: 'DE', zip: '19901' },
-  { name: 'Nevada', abbr: 'NV', zip: '89101' },
-  { name: 'Wyoming', abbr: 'WY', zip: '82001' },
-  { name: 'Colorado', abbr: 'CO', zip: '80201' },
-  { name: 'Washington', abbr: 'WA', zip: '98101' },
-  { name: 'Oregon', abbr: 'OR', zip: '97201' }
-];
+// Onboarding profile answered on the post-checkout journey (see journeyAnswers.js)
+const OPERATIONAL_STATUSES = ['planning', 'just-started', 'operating'];
+const EMPLOYEE_COUNTS = [0, 0, 1, 3, 8, 25]; // 0 = just the owner
+const REVENUE_ESTIMATES = [0, 20000, 80000, 300000, 1200000]; // Expected annual revenue, USD
+
+// All 50 states plus DC, each with real city / ZIP / county locations (see stateData.js)
+export const usStates = US_STATES;
+
+/**
+ * Look up a state by full name or abbreviation (case-insensitive)
+ * @param {string} nameOrAbbr - e.g. 'Texas' or 'TX'
+ * @returns {Object|null} - State entry from usStates
+ */
+export function findState(nameOrAbbr) {
+  const key = String(nameOrAbbr).trim().toLowerCase();
+  return usStates.find(s => s.name.toLowerCase() === key || s.abbr.toLowerCase() === key) || null;
+}
 
 /**
  * Generates a unique persona for a test scenario
  * @param {string} scenarioType - Type of business scenario (llc, dba, corporation, nonprofit)
  * @param {string} goalType - Test goal type: 'minimal', 'standard', 'premium', 'rush', or 'random'
+ * @param {Object} overrides - Optional fixed choices: { state, packagePreference, seed, testCount }
+ *   The same seed (with the same goal/overrides) always produces the same persona; a fixed
+ *   testCount leaves the daily counter file alone (unit tests)
  * @returns {Object} Persona object with all necessary details
  */
-export function generatePersona(scenarioType, goalType = 'minimal') {
-  const timestamp = Date.now();
-  const uniqueId = Math.random().toString(36).substring(2, 8);
-
-  const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-  const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
-  const state = usStates[Math.floor(Math.random() * usStates.length)];
-  const industry = industries[Math.floor(Math.random() * industries.length)];
+export function generatePersona(scenarioType, goalType = 'minimal', overrides = {}) {
+  const seed = overrides.seed ?? generateSeed();
+  const random = createRandom(seed);
+  const uniqueId = random.next().toString(36).substring(2, 8);
+
+  const firstName = random.pick(firstNames);
+  const lastName = random.pick(lastNames);
+  const state = overrides.state
+    ? findState(overrides.state)
+    : random.pick(usStates);
+  if (!state) {
+    throw new Error(`Unknown state "${overrides.state}"`);
+  }
+  const location = random.pick(state.locations);
+  const industry = random.pick(industries);
 
   const businessIdeas = businessTypes[scenarioType] || businessTypes.llc;
-  const businessIdea = businessIdeas[Math.floor(Math.random() * businessIdeas.length)];
+  const businessIdea = random.pick(businessIdeas);
 
   // Get today's date and test count for email
   const today = getTodayDate();
-  const testCount = getTestCount();
+  const testCount = overrides.testCount ?? getTestCount();
   const email = `ryan.willging+zbtest${today}_${testCount}@zenbusiness.com`;
 
-  return {
+  const persona = {
+    scenarioType,
     firstName,
     lastName,
     fullName: `${firstName} ${lastName}`,
@@ -135,27 +169,70 @@ export function generatePersona(scenarioType, goalType = 'minimal') {
     phone: '513-236-3066',
     businessIdea,
     industry,
+    ...generateBusinessProfile({ seed: `${random.seed}:profile` }),
     state: state.name,
     stateAbbr: state.abbr,
     address: {
-      street: `${Math.floor(Math.random() * 9999) + 1} ${['Main', 'Oak', 'Maple', 'Pine', 'Cedar'][Math.floor(Math.random() * 5)]} Street`,
-      city: ['Springfield', 'Riverside', 'Madison', 'Georgetown', 'Franklin'][Math.floor(Math.random() * 5)],
+      street: `${random.int(9999) + 1} ${random.pick(['Main', 'Oak', 'Maple', 'Pine', 'Cedar'])} Street`,
+      city: location.city,
+      county: location.county,
       state: state.name,
       stateAbbr: state.abbr,
-      zip: state.zip
+      zip: location.zip
     },
     payment: {
       cardNumber: '4242424242424242',
       cvv: '123',
-      zip: state.zip,
+      zip: location.zip,
       expiryMonth: '12',
       expiryYear: '2028'
     },
     background: generateBackground(scenarioType, businessIdea),
     motivation: generateMotivation(scenarioType),
-    testGoals: generateTestGoals(goalType),
+    testGoals: generateTestGoals(goalType, { packagePreference: overrides.packagePreference }, random),
     timestamp: new Date().toISOString(),
-    uniqueId
+    uniqueId,
+    seed: random.seed
+  };
+
+  // Corporations, nonprofits and multi-member LLCs have several founders - the persona is always the first one
+  if (FOUNDER_COUNTS[scenarioType]) {
+    const [first, ...others] = generateFounders(FOUNDER_COUNTS[scenarioType], {
+      seed: `${random.seed}:founders`,
+      titles: FOUNDER_TITLES[scenarioType]
+    });
+    persona.founders = [
+      {
+        ...first,
+        firstName,
+        lastName,
+        fullName: persona.fullName,
+        email,
+        address: persona.address
+      },
+      ...others
+    ];
+  }
+
+  return persona;
+}
+
+/**
+ * Onboarding profile: how far along the business is, its size, revenue and whether it has an EIN
+ * Drawn from its own seeded sequence, so the rest of a seed's persona is unchanged
+ * @param {Object} options - { seed }
+ * @returns {Object} - { operationalStatus, employees, revenue, hasEIN }
+ */
+export function generateBusinessProfile({ seed = generateSeed() } = {}) {
+  const random = createRandom(seed);
+  const operationalStatus = random.pick(OPERATIONAL_STATUSES);
+  const planning = operationalStatus === 'planning';
+  return {
+    operationalStatus,
+    employees: planning ? 0 : random.pick(EMPLOYEE_COUNTS),
+    revenue: planning ? 0 : random.pick(REVENUE_ESTIMATES),
+    // Businesses already operating often have an EIN, new ones rarely do
+    hasEIN: random.chance(operationalStatus === 'operating' ? 0.6 : 0.1)
   };
 }
 
@@ -277,17 +354,24 @@ const testGoalPresets = {
   }
 };
 
+export const TEST_GOAL_TYPES = Object.keys(testGoalPresets);
+
 /**
  * Generates checkout goals and upsell preferences
  * @param {string} goalType - 'minimal', 'standard', 'premium', 'rush', or 'random'
+ * @param {Object} overrides - Optional preset overrides: { packagePreference }
+ * @param {Object} random - Seeded random source (see random.js) used for 'random' goal selection
  */
-export function generateTestGoals(goalType = 'random') {
+export function generateTestGoals(goalType = 'random', overrides = {}, random = createRandom(generateSeed())) {
   if (goalType === 'random') {
     const types = Object.keys(testGoalPresets);
-    goalType = types[Math.floor(Math.random() * types.length)];
+    goalType = random.pick(types);
   }
 
-  const preset = testGoalPresets[goalType] || testGoalPresets.standard;
+  const basePreset = testGoalPresets[goalType] || testGoalPresets.standard;
+  const preset = overrides.packagePreference
+    ? { ...basePreset, packagePreference: overrides.packagePreference }
+    : basePreset;
 
   return {
     goalType,
@@ -351,28 +435,45 @@ function generateUpsellInstructions(preset) {
 }
 
 /**
- * Generates multiple founders for corporation scenarios
+ * Split 100% ownership as evenly as whole percentages allow (remainder goes to the first founders)
+ * @param {number} count - Number of owners
+ * @returns {number[]} - e.g. [34, 33, 33]
  */
-export function generateFounders(count = 2) {
+export function splitOwnership(count) {
+  const base = Math.floor(100 / count);
+  const remainder = 100 - base * count;
+  return Array.from({ length: count }, (_, i) => base + (i < remainder ? 1 : 0));
+}
+
+/**
+ * Generates multiple founders for corporation, nonprofit and multi-member LLC scenarios
+ * @param {number} count - Number of founders
+ * @param {Object} options - { seed } for reproducible founders, { titles } to override CEO/CTO/COO
+ */
+export function generateFounders(count = 2, { seed = generateSeed(), titles = FOUNDER_TITLES.corporation } = {}) {
+  const random = createRandom(seed);
+  const ownership = splitOwnership(count);
   const founders = [];
 
   for (let i = 0; i < count; i++) {
-    const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-    const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
-    const state = usStates[Math.floor(Math.random() * usStates.length)];
+    const firstName = random.pick(firstNames);
+    const lastName = random.pick(lastNames);
+    const state = random.pick(usStates);
+    const location = random.pick(state.locations);
 
     founders.push({
       firstName,
       lastName,
       fullName: `${firstName} ${lastName}`,
-      title: i === 0 ? 'CEO' : i === 1 ? 'CTO' : 'COO',
+      title: titles[Math.min(i, titles.length - 1)],
       email: `${firstName.toLowerCase()}.${lastName.toLowerCase()}@example.com`,
-      ownership: i === 0 ? 50 : count === 2 ? 50 : Math.floor(100 / count),
+      ownership: ownership[i],
       address: {
-        street: `${Math.floor(Math.random() * 9999) + 1} ${['Main', 'Oak', 'Maple', 'Pine', 'Cedar'][Math.floor(Math.random() * 5)]} Street`,
-        city: ['Springfield', 'Riverside', 'Madison', 'Georgetown', 'Franklin'][Math.floor(Math.random() * 5)],
+        street: `${random.int(9999) + 1} ${random.pick(['Main', 'Oak', 'Maple', 'Pine', 'Cedar'])} Street`,
+        city: location.city,
+        county: location.county,
         state: state.name,
-        zip: state.zip
+        zip: location.zip
       }
     });
   }
@@ -382,37 +483,55 @@ export function generateFounders(count = 2) {
 
 /**
  * Generates realistic business details based on scenario type
+ * Derived from the persona's seed so a replayed persona gets the same business
+ * Stage, size, revenue and EIN are the persona's business profile (see generateBusinessProfile),
+ * so forms filled from these details and journey answers describe the same business
  */
 export function generateBusinessDetails(scenarioType, persona) {
+  const random = createRandom(`${persona.seed ?? generateSeed()}:business`);
+  const { operationalStatus, employees, revenue, hasEIN } = persona.operationalStatus
+    ? persona
+    : generateBusinessProfile({ seed: `${persona.seed ?? generateSeed()}:profile` });
   const details = {
-    businessName: generateBusinessName(persona.businessIdea),
+    businessName: generateBusinessName(persona.businessIdea, random),
     description: `A ${persona.businessIdea} focused on delivering exceptional value to customers`,
-    employees: Math.floor(Math.random() * 10) + 1,
-    revenue: scenarioType === 'corporation' ? 'Over $1M' : scenarioType === 'nonprofit' ? 'N/A - Donations' : 'Under $100K',
+    employees,
+    revenue,
     fundingNeeds: scenarioType === 'corporation' ? 'Seeking Series A' : scenarioType === 'nonprofit' ? 'Grant funding' : 'Bootstrapped',
-    operationalStatus: Math.random() > 0.5 ? 'Already operating' : 'Planning to start',
-    hasEIN: Math.random() > 0.7,
-    needsBusinessLicense: Math.random() > 0.5
+    operationalStatus,
+    hasEIN,
+    needsBusinessLicense: random.next() > 0.5
   };
 
+  if (scenarioType === 'corporation') {
+    details.shares = {
+      authorized: random.pick([1500, 5000, 10000, 10000000]),
+      parValue: random.pick(['0.0001', '0.001', '0.01'])
+    };
+  }
+
+  if (scenarioType === 'nonprofit') {
+    details.purposeStatement = `${details.businessName} is organized exclusively for charitable and educational purposes within the meaning of Section 501(c)(3) of the Internal Revenue Code, including operating a ${persona.businessIdea} that serves the community.`;
+  }
+
   return details;
 }
 
 /**
  * Generates a business name based on the business idea
  */
-function generateBusinessName(businessIdea) {
+function generateBusinessName(businessIdea, random) {
   const prefixes = ['Prime', 'Elite', 'Apex', 'Summit', 'Pioneer', 'Stellar', 'Zenith'];
   const suffixes = ['Solutions', 'Group', 'Ventures', 'Enterprises', 'Co.', 'LLC', 'Inc.'];
 
   // Sometimes use business idea as name, sometimes generate a creative name
-  if (Math.random() > 0.5) {
+  if (random.next() > 0.5) {
     const words = businessIdea.split(' ');
     const capitalizedWords = words.map(word => word.charAt(0).toUpperCase() + word.slice(1));
     return capitalizedWords.join(' ');
   } else {
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+    const prefix = random.pick(prefixes);
+    const suffix = random.pick(suffixes);
     return `${prefix} ${suffix}`;
   }
 }
@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+
+/**
+ * Seeded Random
+ * Deterministic PRNG so a persona can be regenerated exactly from its seed
+ */
+
+/**
+ * Generate a fresh seed for runs that did not ask for one
+ * @returns {string} - 8 hex characters
+ */
+export function generateSeed() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Hash any seed value down to a 32-bit integer (FNV-1a)
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random source (mulberry32)
+ * @param {string|number} seed - Any seed value; the same seed always yields the same sequence
+ * @returns {Object} - { seed, next, int, pick, chance }
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  // Drop-in replacement for Math.random(): float in [0, 1)
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    seed: String(seed),
+    next,
+    // Integer in [0, max)
+    int: (max) => Math.floor(next() * max),
+    // Random element of an array
+    pick: (items) => items[Math.floor(next() * items.length)],
+    // True with the given probability
+    chance: (probability) => next() < probability
+  };
+}
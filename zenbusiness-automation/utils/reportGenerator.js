@@ -0,0 +1,234 @@
+import fs from 'fs';
+import path from 'path';
+
+import { escapeHtml } from './html.js';
+import { formatCost } from './usageTracker.js';
+
+/**
+ * Run Report Generator
+ * Builds a self-contained report.html for one FastAgent run: persona, test goals,
+ * the step timeline from trace.json with inline screenshots, timings and the final verdict
+ */
+
+/**
+ * Format milliseconds as "1m 05s" / "4.2s" / "350ms"
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.round((ms % 60000) / 1000);
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+/**
+ * Inline a screenshot as a data URI so the report works when copied anywhere
+ * @param {string} testRunDir - Run folder the trace paths are relative to
+ * @param {string} screenshot - Screenshot path from the trace
+ * @returns {string|null}
+ */
+function inlineScreenshot(testRunDir, screenshot) {
+  const filepath = path.isAbsolute(screenshot) ? screenshot : path.join(testRunDir, screenshot);
+  try {
+    return `data:image/png;base64,${fs.readFileSync(filepath).toString('base64')}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function renderKeyValues(rows) {
+  return `<table class="kv">${rows
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('')}</table>`;
+}
+
+function renderPersona(persona, businessDetails) {
+  const address = persona.address
+    ? `${persona.address.street}, ${persona.address.city}, ${persona.address.stateAbbr || persona.address.state} ${persona.address.zip}`
+    : null;
+  const founders = persona.founders
+    ? persona.founders.map(f => `${f.fullName} (${f.title}${f.ownership ? `, ${f.ownership}%` : ''})`).join('; ')
+    : null;
+  return renderKeyValues([
+    ['Name', persona.fullName],
+    ['Email', persona.email],
+    ['State', persona.state],
+    ['County', persona.address?.county],
+    ['Address', address],
+    ['Business', businessDetails?.businessName],
+    ['Business idea', persona.businessIdea],
+    ['Founders', founders],
+    ['Seed', persona.seed]
+  ]);
+}
+
+function renderGoals(testGoals = {}) {
+  const upsells = Object.entries(testGoals.upsells || {});
+  const accepted = upsells.filter(([, buy]) => buy).map(([name]) => name).join(', ');
+  const declined = upsells.filter(([, buy]) => !buy).map(([name]) => name).join(', ');
+  return renderKeyValues([
+    ['Goal', testGoals.name ? `${testGoals.name} (${testGoals.goalType})` : testGoals.goalType],
+    ['Description', testGoals.description],
+    ['Package', testGoals.packagePreference?.toUpperCase()],
+    ['Upsell strategy', testGoals.upsellStrategy],
+    ['Accept', accepted],
+    ['Decline', declined]
+  ]);
+}
+
+function renderTimings(timing = {}, stepCount) {
+  return renderKeyValues([
+    ['Total time', formatDuration(timing.totalMs)],
+    ['CAPTCHA wait', formatDuration(timing.captchaMs)],
+    ['Automation time', formatDuration(timing.automationMs)],
+    ['Steps', stepCount]
+  ]);
+}
+
+function renderAssertions(assertions = []) {
+  if (assertions.length === 0) return '<p class="muted">No assertions recorded</p>';
+  return `<ul>${assertions.map(assertion => `
+    <li class="${assertion.passed ? 'pass' : 'fail'}">${assertion.passed ? 'PASS' : 'FAIL'} ${escapeHtml(assertion.name)}: ${escapeHtml(assertion.message)}</li>`).join('')}
+  </ul>`;
+}
+
+function renderUsage(usage) {
+  if (!usage || usage.total.calls === 0) return '<p class="muted">No model calls</p>';
+  const rows = Object.entries(usage.byHandler)
+    .sort((a, b) => b[1].costUsd - a[1].costUsd)
+    .map(([handler, totals]) => `
+      <tr>
+        <td>${escapeHtml(handler)}</td>
+        <td>${totals.calls}</td>
+        <td>${totals.inputTokens}</td>
+        <td>${totals.outputTokens}</td>
+        <td>${formatDuration(totals.latencyMs)}</td>
+        <td>${formatCost(totals.costUsd)}</td>
+      </tr>`).join('');
+  const { total } = usage;
+  return `
+  <table class="actions">
+    <tr><th>Handler</th><th>Calls</th><th>Input tokens</th><th>Output tokens</th><th>Latency</th><th>Est. cost</th></tr>${rows}
+    <tr><th>Total</th><th>${total.calls}</th><th>${total.inputTokens}</th><th>${total.outputTokens}</th><th>${formatDuration(total.latencyMs)}</th><th>${formatCost(total.costUsd)}</th></tr>
+  </table>
+  ${usage.unpricedModels.length ? `<p class="muted">No price entry for ${escapeHtml(usage.unpricedModels.join(', '))} - not included in cost</p>` : ''}`;
+}
+
+function renderActions(actions) {
+  if (actions.length === 0) return '';
+  const rows = actions.map(action => `
+        <tr class="${action.success === false ? 'fail' : ''}">
+          <td>${escapeHtml(action.type)}</td>
+          <td>${escapeHtml(action.target)}</td>
+          <td>${escapeHtml(action.strategy || '-')}</td>
+          <td><code>${escapeHtml(action.selector || '')}</code></td>
+          <td>${action.success === false ? 'failed' : 'ok'}</td>
+          <td>${formatDuration(action.durationMs)}</td>
+          <td>${escapeHtml(action.error || '')}</td>
+        </tr>`).join('');
+  return `
+      <table class="actions">
+        <tr><th>Action</th><th>Target</th><th>Strategy</th><th>Selector</th><th>Result</th><th>Time</th><th>Error</th></tr>${rows}
+      </table>`;
+}
+
+function renderStep(step, testRunDir) {
+  const screenshots = step.screenshots
+    .map(screenshot => ({ screenshot, src: inlineScreenshot(testRunDir, screenshot) }))
+    .map(({ screenshot, src }) => src
+      ? `<figure><img src="${src}" alt="${escapeHtml(screenshot)}"><figcaption>${escapeHtml(path.basename(screenshot))}</figcaption></figure>`
+      : `<p class="muted">Missing screenshot: ${escapeHtml(screenshot)}</p>`)
+    .join('');
+  const label = step.index === null ? step.handler : `Step ${step.index}`;
+  return `
+    <section class="step">
+      <h3>${escapeHtml(label)} <span class="muted">${formatDuration(step.durationMs)}</span></h3>
+      ${renderKeyValues([
+        ['URL', step.url],
+        ['Handler', step.handler || 'unknown'],
+        ['Strategy', step.strategy],
+        ['Journey strategy', step.journeyStrategy],
+        ['Outcome', step.outcome],
+        ['Handler error', step.handlerError]
+      ])}
+      ${renderActions(step.actions)}
+      <div class="screenshots">${screenshots}</div>
+    </section>`;
+}
+
+/**
+ * Render the report HTML
+ * @param {Object} report - { persona, businessDetails, result, timing, trace, testRunDir }
+ * @returns {string}
+ */
+export function renderRunReport({ persona, businessDetails, result, timing, trace, testRunDir }) {
+  const steps = trace?.steps || [];
+  const verdict = result.success ? 'PASS' : 'FAIL';
+  const title = `${verdict} - ${trace?.runName || path.basename(testRunDir)}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0 auto; max-width: 1100px; padding: 24px; color: #1a1a1a; }
+    h1 .verdict { padding: 4px 12px; border-radius: 4px; color: #fff; }
+    .verdict.pass { background: #1b7f3b; }
+    .verdict.fail { background: #b3261e; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; }
+    table { border-collapse: collapse; width: 100%; margin: 8px 0; font-size: 13px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+    table.kv th { width: 140px; color: #555; }
+    tr.fail td, li.fail { color: #b3261e; }
+    li.pass { color: #1b7f3b; }
+    .step { border: 1px solid #ddd; border-radius: 6px; padding: 12px 16px; margin: 16px 0; }
+    .muted { color: #888; font-weight: normal; font-size: 13px; }
+    .screenshots img { max-width: 100%; border: 1px solid #ccc; }
+    figure { margin: 8px 0; }
+    code { font-size: 12px; }
+  </style>
+</head>
+<body>
+  <h1><span class="verdict ${verdict.toLowerCase()}">${verdict}</span> ${escapeHtml(trace?.scenario || persona.scenarioType || 'llc')} run</h1>
+  ${renderKeyValues([
+    ['Run', trace?.runName],
+    ['Environment', trace?.environment],
+    ['Site', trace?.baseUrl],
+    ['Started', trace?.startedAt],
+    ['Final URL', result.finalUrl],
+    ['Error', result.error]
+  ])}
+  <div class="grid">
+    <div><h2>Persona</h2>${renderPersona(persona, businessDetails)}</div>
+    <div><h2>Test goals</h2>${renderGoals(persona.testGoals)}</div>
+    <div><h2>Timings</h2>${renderTimings(timing, steps.length)}</div>
+  </div>
+  <h2>Assertions</h2>
+  ${renderAssertions(result.assertions || trace?.result?.assertions)}
+  <h2>LLM usage</h2>
+  ${renderUsage(trace?.usage)}
+  <h2>Timeline</h2>
+  ${steps.length ? steps.map(step => renderStep(step, testRunDir)).join('') : '<p class="muted">No steps recorded</p>'}
+</body>
+</html>`;
+}
+
+/**
+ * Write report.html into the run folder
+ * @param {Object} report - { persona, businessDetails, result, timing, trace, testRunDir }
+ * @returns {string|null} - Path of the written report
+ */
+export function writeRunReport(report) {
+  if (!report.testRunDir) return null;
+  const reportPath = path.join(report.testRunDir, 'report.html');
+  try {
+    fs.writeFileSync(reportPath, renderRunReport(report));
+    return reportPath;
+  } catch (e) {
+    console.log(`   Could not write report: ${e.message}`);
+    return null;
+  }
+}
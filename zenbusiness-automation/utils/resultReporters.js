@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Result Reporters
+ * Machine-readable run results for CI: JUnit XML (one testcase per run / matrix persona) and JSON
+ */
+
+export const RESULTS_DIR = './zenbusiness-automation/test-results';
+
+/**
+ * Escape text for XML attributes and content
+ * Control characters XML 1.0 forbids (e.g. ANSI color codes in Playwright errors) are dropped,
+ * or CI parsers reject the whole file
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/\x1B\[[0-9;]*[A-Za-z]/g, '')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Normalize a runSingle / runMatrix result into a flat test case record
+ * Matrix results carry their combo; single runs are described from the persona
+ * @param {Object} result - { combo?, scenario, success, steps, error, finalUrl, persona, testRunDir, reportPath, durationMs }
+ */
+export function toTestCase(result) {
+  const goal = result.combo?.goal || result.persona?.testGoals?.goalType;
+  const state = result.combo?.state || result.persona?.stateAbbr;
+  const packagePreference = result.combo?.packagePreference || result.persona?.testGoals?.packagePreference;
+  const scenario = result.scenario || result.persona?.scenarioType || 'llc';
+
+  return {
+    name: [goal, state, packagePreference].filter(Boolean).join(' / ') || 'run',
+    classname: `fastTest.${scenario}`,
+    scenario,
+    goal,
+    state,
+    packagePreference,
+    success: !!result.success,
+    fatal: (result.error || '').startsWith('FATAL'),
+    error: result.success ? null : (result.error || 'Unknown failure'),
+    steps: result.steps ?? 0,
+    durationMs: result.durationMs ?? null,
+    seed: result.persona?.seed || null,
+    finalUrl: result.finalUrl || null,
+    testRunDir: result.testRunDir || null,
+    reportPath: result.reportPath || null
+  };
+}
+
+/**
+ * Render results as a JUnit XML document
+ * Failed runs become <failure>, runs that crashed (FATAL) become <error>
+ * @param {Object[]} results - runSingle / runMatrix results
+ * @param {Object} options - { suiteName }
+ * @returns {string}
+ */
+export function renderJUnit(results, { suiteName = 'fastTest' } = {}) {
+  const cases = results.map(toTestCase);
+  const failures = cases.filter(c => !c.success && !c.fatal).length;
+  const errors = cases.filter(c => c.fatal).length;
+  const totalSeconds = cases.reduce((sum, c) => sum + (c.durationMs || 0), 0) / 1000;
+
+  const testcases = cases.map(c => {
+    const time = ((c.durationMs || 0) / 1000).toFixed(3);
+    const open = `    <testcase name="${escapeXml(c.name)}" classname="${escapeXml(c.classname)}" time="${time}"`;
+    if (c.success) return `${open} />`;
+
+    const details = [
+      `Error: ${c.error}`,
+      c.finalUrl && `Final URL: ${c.finalUrl}`,
+      `Steps: ${c.steps}`,
+      c.seed && `Replay: --seed=${c.seed} --goal=${c.goal} --scenario=${c.scenario}`,
+      c.reportPath && `Report: ${c.reportPath}`
+    ].filter(Boolean).join('\n');
+    const tag = c.fatal ? 'error' : 'failure';
+    return `${open}>
+      <${tag} message="${escapeXml(c.error)}" type="${c.fatal ? 'fatal' : 'flow'}">${escapeXml(details)}</${tag}>
+    </testcase>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites tests="${cases.length}" failures="${failures}" errors="${errors}" time="${totalSeconds.toFixed(3)}">
+  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${totalSeconds.toFixed(3)}" timestamp="${new Date().toISOString()}">
+${testcases}
+  </testsuite>
+</testsuites>
+`;
+}
+
+/**
+ * Render results as JSON: summary counts plus one entry per test case
+ * @param {Object[]} results - runSingle / runMatrix results
+ * @param {Object} options - { suiteName }
+ * @returns {string}
+ */
+export function renderJson(results, { suiteName = 'fastTest' } = {}) {
+  const cases = results.map(toTestCase);
+  const passed = cases.filter(c => c.success).length;
+  return JSON.stringify({
+    suite: suiteName,
+    timestamp: new Date().toISOString(),
+    summary: { total: cases.length, passed, failed: cases.length - passed },
+    tests: cases
+  }, null, 2);
+}
+
+// Reporter name -> renderer and default output file
+export const REPORTERS = {
+  junit: { render: renderJUnit, defaultFile: 'junit.xml' },
+  json: { render: renderJson, defaultFile: 'results.json' }
+};
+
+/**
+ * Write results with the named reporter
+ * @param {string} reporterName - 'junit' or 'json'
+ * @param {Object[]} results - runSingle / runMatrix results
+ * @param {Object} options - { outputDir, suiteName }
+ * @returns {string} - Path written
+ */
+export function writeResults(reporterName, results, { outputDir = RESULTS_DIR, suiteName } = {}) {
+  const reporter = REPORTERS[reporterName];
+  if (!reporter) {
+    throw new Error(`Unknown reporter "${reporterName}". Available: ${Object.keys(REPORTERS).join(', ')}`);
+  }
+
+  const filePath = path.join(outputDir, reporter.defaultFile);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, reporter.render(results, { suiteName }));
+  return filePath;
+}
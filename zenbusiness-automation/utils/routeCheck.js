@@ -0,0 +1,189 @@
+import { PAGE_HANDLERS, findHandler, matchPattern, describePattern } from './pageHandlers.js';
+
+/**
+ * Route Check
+ * PAGE_HANDLERS routing picks the most specific matching pattern, so a broad pattern can still
+ * take over a page nothing more specific claims. Four checks guard it:
+ *   - ROUTE_EXPECTATIONS: real ZenBusiness (and mock site) URLs with the handler each must resolve to
+ *   - findBareWords(): single-word substring patterns, which match inside any URL that contains the word
+ *   - findBroadSubstrings(): substring patterns that match another handler's (or no handler's) table URL
+ *   - findPatternOverlaps(): regex/template patterns that match another handler's pages and only lose
+ *     on specificity (warning)
+ * `npm run test:unit` runs the first three as test cases (test/routing.test.js); `npm run check:routes` prints all three
+ */
+
+const DEV = 'https://www.dev.zenbusiness.com';
+
+// URL -> expected PAGE_HANDLERS name (null = no handler, AI fallback)
+export const ROUTE_EXPECTATIONS = [
+  // Formation flow
+  [`${DEV}/shop/llc/?entry=get-started`, 'businessState'],
+  [`${DEV}/shop/llc`, 'businessState'],
+  [`${DEV}/shop/llc/business-state`, 'businessState'],
+  [`${DEV}/shop/llc/business-name`, 'businessName'],
+  [`${DEV}/shop/llc/contact-info`, 'contactInfo'],
+  [`${DEV}/shop/llc/existing-business`, 'existingBusiness'],
+  [`${DEV}/shop/llc/designator`, 'existingBusiness'],
+  [`${DEV}/shop/llc/business-experience`, 'businessExperience'],
+  [`${DEV}/shop/llc/business-stage`, 'businessExperience'],
+  [`${DEV}/shop/llc/industry`, 'industry'],
+  [`${DEV}/shop/llc/members`, 'members'],
+  [`${DEV}/shop/llc/members/`, 'members'],
+  [`${DEV}/shop/llc/managers`, 'members'],
+  [`${DEV}/shop/llc/review`, 'orderReview'],
+  [`${DEV}/shop/llc/sign-up`, 'accountCreation'],
+  [`${DEV}/shop/llc/create-account`, 'accountCreation'],
+  [`${DEV}/shop/llc/package-selection`, 'packageSelection'],
+  [`${DEV}/shop/llc/pricing`, 'packageSelection'],
+  [`${DEV}/shop/llc/packages`, 'packageSelection'],
+
+  // Other entity flows
+  [`${DEV}/shop/dba/?entry=get-started`, 'businessState'],
+  [`${DEV}/shop/dba/business-name`, 'businessName'],
+  [`${DEV}/shop/corporation/directors`, 'directors'],
+  [`${DEV}/shop/corporation/share-structure`, 'shareStructure'],
+  [`${DEV}/shop/nonprofit/directors`, 'directors'],
+  [`${DEV}/shop/nonprofit/nonprofit-purpose`, 'nonprofitPurpose'],
+  [`${DEV}/shop/corporation/officers`, 'directors'],
+  [`${DEV}/shop/corporation/shares`, 'shareStructure'],
+  [`${DEV}/shop/nonprofit/purpose`, 'nonprofitPurpose'],
+
+  // Upsells
+  [`${DEV}/shop/llc/registered-agent`, 'registeredAgent'],
+  [`${DEV}/shop/corporation/registered-agent`, 'registeredAgent'],
+  [`${DEV}/shop/llc/worry-free-compliance`, 'compliance'],
+  [`${DEV}/shop/llc/employer-identification-number`, 'ein'],
+  [`${DEV}/shop/llc/ein`, 'ein'],
+  [`${DEV}/shop/llc/operating-agreement`, 'operatingAgreement'],
+  [`${DEV}/shop/llc/compliance`, 'compliance'],
+  [`${DEV}/shop/llc/money-pro`, 'moneyPro'],
+  [`${DEV}/shop/llc/money`, 'moneyPro'],
+  [`${DEV}/shop/llc/rush-filing`, 'rushFiling'],
+  [`${DEV}/shop/llc/rush`, 'rushFiling'],
+  [`${DEV}/shop/llc/banking`, 'banking'],
+  [`${DEV}/shop/llc/bank`, 'banking'],
+  [`${DEV}/shop/llc/upgrade`, 'genericUpsell'],
+  [`${DEV}/shop/llc/checkout`, 'checkout'],
+
+  // Post-checkout
+  [`${DEV}/shop/llc-addons/confirmation`, 'orderConfirmation'],
+  [`${DEV}/shop/llc/thank-you`, 'orderConfirmation'],
+  [`${DEV}/shop/llc-addons/business-kit`, 'postCheckoutUpsell'],
+  [`${DEV}/shop/llc-addons/website`, 'postCheckoutUpsell'],
+  [`${DEV}/shop/llc-addons/business-kit-lein`, 'postCheckoutUpsell'],
+  [`${DEV}/shop/llc-addons/checkout`, 'postCheckoutCheckout'],
+  [`${DEV}/shop/llc-addons/conclusion`, 'postCheckoutConclusion'],
+  [`${DEV}/f/journey`, 'postCheckoutJourney'],
+  [`${DEV}/f/journey?step=3`, 'postCheckoutJourney'],
+  [`${DEV}/banking-application`, 'bankingApplication'],
+  [`${DEV}/app/dashboard/banking-application`, 'bankingApplication'],
+  [`${DEV}/velo/dashboard`, 'veloDashboard'],
+  [`${DEV}/app/home`, 'veloDashboard'],
+
+  // Local mock site
+  ['http://127.0.0.1:4321/shop/llc/business-state', 'businessState'],
+  ['http://127.0.0.1:4321/f/journey?step=1', 'postCheckoutJourney'],
+  ['http://127.0.0.1:4321/velo/dashboard', 'veloDashboard'],
+
+  // Pages nothing should claim
+  [`${DEV}/`, null],
+  [`${DEV}/blog/save-money-on-taxes`, null],
+  [`${DEV}/blog/filing-for-bankruptcy`, null],
+  [`${DEV}/blog/toothbrush-business-ideas`, null],
+  [`${DEV}/blog/compliance-checklist`, null],
+  [`${DEV}/blog/pricing-your-services`, null],
+  [`${DEV}/resources/care-packages`, null],
+  [`${DEV}/blog/upgrade-your-website`, null],
+  [`${DEV}/blog/checkout-page-tips`, null],
+  [`${DEV}/about-us`, null],
+  [`${DEV}/shop/llc/being-your-own-boss`, null],
+  [`${DEV}/blog/reinstating-a-dissolved-llc`, null],
+  [`${DEV}/customer-reviews`, null],
+  [`${DEV}/members-area`, null],
+  [`${DEV}/blog/paying-llc-managers`, null],
+  [`${DEV}/blog/choosing-a-business-purpose`, null],
+  [`${DEV}/resources/issuing-shares-to-directors`, null],
+  [`${DEV}/shop/llc/faq/f/`, null]
+];
+
+/**
+ * Resolve every expectation and report the mismatches
+ * @param {Array} expectations - [url, expectedHandlerName] pairs
+ * @returns {Object[]} - { url, expected, actual, matchedPattern }
+ */
+export function checkRouteExpectations(expectations = ROUTE_EXPECTATIONS) {
+  const failures = [];
+  for (const [url, expected] of expectations) {
+    const handler = findHandler(url);
+    const actual = handler?.name || null;
+    if (actual !== expected) {
+      failures.push({
+        url,
+        expected,
+        actual,
+        matchedPattern: handler ? describePattern(handler.urlPatterns.find(pattern => matchPattern(pattern, url) > 0)) : null
+      });
+    }
+  }
+  return failures;
+}
+
+/**
+ * Patterns that match an expectation URL belonging to a different handler (or to no handler)
+ * @param {Object[]} handlers - PAGE_HANDLERS-shaped entries
+ * @param {Array} expectations - [url, expectedHandlerName] pairs
+ * @param {Function} include - pattern => whether to check it
+ * @returns {Object[]} - { pattern, handler, url, expected }
+ */
+function matchesOtherPages(handlers, expectations, include) {
+  const matches = [];
+  for (const pageConfig of handlers) {
+    for (const pattern of pageConfig.urlPatterns.filter(include)) {
+      for (const [url, expected] of expectations) {
+        const excluded = (pageConfig.excludePatterns || []).some(exclude => matchPattern(exclude, url) > 0);
+        if (expected !== pageConfig.name && matchPattern(pattern, url) > 0 && !excluded) {
+          matches.push({ pattern: describePattern(pattern), handler: pageConfig.name, url, expected });
+        }
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Bare-word lint: substring patterns without a separator ('money', 'bank', 'rush')
+ * They hold regardless of the table - 'bank' claims /bankruptcy and 'rush' /toothbrush-business-ideas,
+ * and sit under every later handler whose pages mention the word. Whole path segments are written
+ * as templates ({ path: '/shop/:entity/bank' }) instead
+ * @param {Object[]} handlers - PAGE_HANDLERS-shaped entries
+ * @returns {Object[]} - { pattern, handler }
+ */
+export function findBareWords(handlers = PAGE_HANDLERS) {
+  return handlers.flatMap(pageConfig => pageConfig.urlPatterns
+    .filter(pattern => typeof pattern === 'string' && /^[a-z0-9]+$/i.test(pattern))
+    .map(pattern => ({ pattern: describePattern(pattern), handler: pageConfig.name })));
+}
+
+/**
+ * Broad substring lint: substring patterns that match a table URL owned by another handler or by none
+ * A substring matches anywhere in the URL ('ein' in /being-your-own-boss), so even when it loses on
+ * specificity today, the next page without a more specific rival falls to it - narrow it to a path
+ * template or add an excludePattern
+ * @param {Object[]} handlers - PAGE_HANDLERS-shaped entries
+ * @param {Array} expectations - [url, expectedHandlerName] pairs
+ * @returns {Object[]} - { pattern, handler, url, expected }
+ */
+export function findBroadSubstrings(handlers = PAGE_HANDLERS, expectations = ROUTE_EXPECTATIONS) {
+  return matchesOtherPages(handlers, expectations, pattern => typeof pattern === 'string');
+}
+
+/**
+ * Regex and template patterns that also match another handler's table URL
+ * Harmless while the right handler's pattern is more specific, but worth knowing about
+ * @param {Object[]} handlers - PAGE_HANDLERS-shaped entries
+ * @param {Array} expectations - [url, expectedHandlerName] pairs
+ * @returns {Object[]} - { pattern, handler, url, expected }
+ */
+export function findPatternOverlaps(handlers = PAGE_HANDLERS, expectations = ROUTE_EXPECTATIONS) {
+  return matchesOtherPages(handlers, expectations, pattern => typeof pattern !== 'string');
+}
@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { getHandlerName } from './pageHandlers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Run History
+ * Every run, pass or fail, appended to a local JSONL file. Failures are grouped by a
+ * normalized signature (handler + URL path template + error text without numbers/ids)
+ * so the same breakage is counted once however its URL or message varies
+ */
+
+export const RUN_HISTORY_PATH = path.join(__dirname, '..', 'run-history.jsonl');
+
+// Pre-history log of the last 20 failures, imported once when the history file is first created
+export const LEGACY_FAILED_RUNS_PATH = path.join(__dirname, '..', 'failed-runs.json');
+
+// Trace steps that are not PAGE_HANDLERS entries
+const NON_HANDLER_STEPS = ['setup', 'wrap-up', 'endState'];
+
+/**
+ * Turn a URL into a path template: query/hash dropped, id-like segments replaced
+ * e.g. https://site/orders/8f3a9c2e-.../step/12?x=1 -> /orders/:id/step/:n
+ * @param {string} url
+ * @returns {string}
+ */
+export function pathTemplate(url) {
+  if (!url) return '(none)';
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    pathname = String(url).split(/[?#]/)[0];
+  }
+  return pathname
+    .split('/')
+    .map(segment => {
+      if (/^\d+$/.test(segment)) return ':n';
+      if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return ':id';
+      if (/^(?=.*\d)[0-9a-z_-]{16,}$/i.test(segment)) return ':id';
+      return segment;
+    })
+    .join('/')
+    .replace(/\/$/, '') || '/';
+}
+
+/**
+ * Strip the volatile parts of an error message (urls, ids, numbers, quoted values)
+ * @param {string} error
+ * @returns {string}
+ */
+export function normalizeError(error) {
+  return String(error || 'unknown')
+    .replace(/https?:\/\/\S+/g, '<url>')
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<id>')
+    .replace(/\b(?=[0-9a-z]*\d)(?=[0-9a-z]*[a-z])[0-9a-z]{8,}\b/gi, '<id>')
+    .replace(/\d+(\.\d+)?/g, 'N')
+    .replace(/"[^"]*"|'[^']*'/g, '"…"')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 160);
+}
+
+/**
+ * Failure signature used to group runs failing the same way
+ * @param {Object} failure - { handler, url, error }
+ * @returns {string}
+ */
+export function failureSignature({ handler, url, error }) {
+  return `${handler || 'unknown'} ${pathTemplate(url)} ${normalizeError(error)}`;
+}
+
+/**
+ * Handlers a run went through, in order of first visit, from its trace
+ * @param {Object} trace - TraceRecorder data
+ * @returns {string[]}
+ */
+export function handlersFromTrace(trace) {
+  const names = (trace?.steps || [])
+    .map(step => step.handler || 'unknown')
+    .filter(name => !NON_HANDLER_STEPS.includes(name));
+  return [...new Set(names)];
+}
+
+/**
+ * Handler the run was on when it stopped (last handled step in the trace)
+ * @param {Object} trace - TraceRecorder data
+ * @returns {string|null}
+ */
+export function lastHandlerFromTrace(trace) {
+  const steps = (trace?.steps || []).filter(step => !NON_HANDLER_STEPS.includes(step.handler));
+  return steps.length ? (steps[steps.length - 1].handler || 'unknown') : null;
+}
+
+/**
+ * Import failed-runs.json into a fresh history so older failures still count
+ * Rows are tagged legacy: the file only kept failures, so they stay out of pass rates
+ */
+function importLegacyFailedRuns(historyPath) {
+  if (!fs.existsSync(LEGACY_FAILED_RUNS_PATH)) return;
+  try {
+    const legacy = JSON.parse(fs.readFileSync(LEGACY_FAILED_RUNS_PATH, 'utf8'));
+    const lines = (legacy.runs || []).map(run => {
+      // Legacy entries have no trace - attribute the failure to the handler for the final URL
+      const handler = getHandlerName(run.finalUrl || '');
+      return JSON.stringify({
+        ...run,
+        legacy: true,
+        success: false,
+        handler,
+        signature: failureSignature({ handler, url: run.finalUrl, error: run.error })
+      });
+    });
+    if (lines.length > 0) {
+      fs.writeFileSync(historyPath, lines.join('\n') + '\n');
+      console.log(`   Imported ${lines.length} runs from ${path.basename(LEGACY_FAILED_RUNS_PATH)} into run history`);
+    }
+  } catch (e) {
+    console.log(`   Could not import legacy failed runs: ${e.message}`);
+  }
+}
+
+/**
+ * Append one run to the history
+ * @param {Object} run - { success, error, finalUrl, handler, state, ... }; signature is added for failures
+ * @param {string} historyPath - JSONL file
+ * @returns {Object} - The stored record
+ */
+export function appendRun(run, historyPath = RUN_HISTORY_PATH) {
+  if (!fs.existsSync(historyPath)) {
+    importLegacyFailedRuns(historyPath);
+  }
+
+  const record = {
+    timestamp: new Date().toISOString(),
+    ...run,
+    signature: run.success ? null : failureSignature({ handler: run.handler, url: run.finalUrl, error: run.error })
+  };
+  fs.appendFileSync(historyPath, JSON.stringify(record) + '\n');
+  return record;
+}
+
+/**
+ * Load the run history
+ * @param {Object} options - { since } ISO date; only runs on or after it
+ * @param {string} historyPath - JSONL file
+ * @returns {Object[]}
+ */
+export function loadRunHistory({ since = null } = {}, historyPath = RUN_HISTORY_PATH) {
+  if (!fs.existsSync(historyPath)) return [];
+  const sinceTime = since ? new Date(since).getTime() : null;
+
+  return fs.readFileSync(historyPath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null; // Skip a torn line from an interrupted write
+      }
+    })
+    .filter(run => run && (!sinceTime || new Date(run.timestamp).getTime() >= sinceTime));
+}
+
+/**
+ * Pass rate per key: { key: { runs, passed, failed, passRate } }
+ * @param {Object[]} runs
+ * @param {Function} keysOf - run => string[] of keys the run counts toward
+ * @param {Function} failedFor - (run, key) => whether this failure is attributed to key
+ */
+function passRates(runs, keysOf, failedFor = (run) => !run.success) {
+  const stats = {};
+  for (const run of runs) {
+    for (const key of keysOf(run)) {
+      stats[key] = stats[key] || { runs: 0, passed: 0, failed: 0 };
+      stats[key].runs++;
+      if (failedFor(run, key)) {
+        stats[key].failed++;
+      } else {
+        stats[key].passed++;
+      }
+    }
+  }
+  for (const entry of Object.values(stats)) {
+    entry.passRate = entry.runs ? entry.passed / entry.runs : 0;
+  }
+  return stats;
+}
+
+/**
+ * Summarize history for review
+ * A handler's pass rate counts every run that reached it; a failure only counts against
+ * the handler the run stopped on. Imported legacy failures (failed-runs.json kept failures
+ * only) count toward signatures but not pass rates, where they would have no passes to offset them
+ * @param {Object[]} runs - From loadRunHistory()
+ * @param {Object} options - { since } ISO date for new-failure detection
+ * @returns {Object} - { total, passed, legacy, byHandler, byState, signatures, newFailures }
+ */
+export function summarizeRuns(runs, { since = null } = {}) {
+  const recorded = runs.filter(run => !run.legacy);
+  const byHandler = passRates(
+    recorded,
+    run => run.handlers?.length ? run.handlers : [run.handler || 'unknown'],
+    (run, handler) => !run.success && (run.handler || 'unknown') === handler
+  );
+  const byState = passRates(recorded, run => [run.state || 'unknown']);
+
+  const signatures = {};
+  for (const run of runs.filter(r => !r.success)) {
+    const key = run.signature || failureSignature({ handler: run.handler, url: run.finalUrl, error: run.error });
+    const entry = signatures[key] = signatures[key] || { signature: key, count: 0, firstSeen: run.timestamp, lastSeen: run.timestamp };
+    entry.count++;
+    if (run.timestamp < entry.firstSeen) entry.firstSeen = run.timestamp;
+    if (run.timestamp > entry.lastSeen) entry.lastSeen = run.timestamp;
+  }
+
+  // Handlers whose first failure is on/after `since` - likely regressions
+  const newFailures = [];
+  if (since) {
+    const sinceTime = new Date(since).getTime();
+    const firstFailure = {};
+    const passesBefore = {};
+    for (const run of runs) {
+      const time = new Date(run.timestamp).getTime();
+      if (!run.success) {
+        const handler = run.handler || 'unknown';
+        firstFailure[handler] = Math.min(firstFailure[handler] ?? Infinity, time);
+      } else if (time < sinceTime) {
+        for (const handler of run.handlers || []) {
+          passesBefore[handler] = (passesBefore[handler] || 0) + 1;
+        }
+      }
+    }
+    for (const [handler, time] of Object.entries(firstFailure)) {
+      if (time >= sinceTime) {
+        newFailures.push({
+          handler,
+          firstFailure: new Date(time).toISOString(),
+          failures: runs.filter(run => !run.success && (run.handler || 'unknown') === handler).length,
+          passesBefore: passesBefore[handler] || 0
+        });
+      }
+    }
+  }
+
+  return {
+    total: recorded.length,
+    passed: recorded.filter(run => run.success).length,
+    legacy: runs.length - recorded.length,
+    byHandler,
+    byState,
+    signatures: Object.values(signatures).sort((a, b) => b.count - a.count),
+    newFailures
+  };
+}
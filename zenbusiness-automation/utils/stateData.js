@@ -0,0 +1,231 @@
+/**
+ * US State Data
+ * All 50 states plus DC, each with real city / ZIP / county triples
+ * Filing fees, county requirements and registered-agent rules differ by state,
+ * so personas need addresses that are valid for the state they file in
+ */
+
+export const US_STATES = [
+  { name: 'Alabama', abbr: 'AL', locations: [
+    { city: 'Birmingham', zip: '35203', county: 'Jefferson County' },
+    { city: 'Montgomery', zip: '36104', county: 'Montgomery County' }
+  ] },
+  { name: 'Alaska', abbr: 'AK', locations: [
+    { city: 'Anchorage', zip: '99501', county: 'Anchorage Municipality' },
+    { city: 'Fairbanks', zip: '99701', county: 'Fairbanks North Star Borough' }
+  ] },
+  { name: 'Arizona', abbr: 'AZ', locations: [
+    { city: 'Phoenix', zip: '85004', county: 'Maricopa County' },
+    { city: 'Tucson', zip: '85701', county: 'Pima County' }
+  ] },
+  { name: 'Arkansas', abbr: 'AR', locations: [
+    { city: 'Little Rock', zip: '72201', county: 'Pulaski County' },
+    { city: 'Fayetteville', zip: '72701', county: 'Washington County' }
+  ] },
+  { name: 'California', abbr: 'CA', locations: [
+    { city: 'Los Angeles', zip: '90012', county: 'Los Angeles County' },
+    { city: 'San Francisco', zip: '94102', county: 'San Francisco County' },
+    { city: 'Sacramento', zip: '95814', county: 'Sacramento County' }
+  ] },
+  { name: 'Colorado', abbr: 'CO', locations: [
+    { city: 'Denver', zip: '80202', county: 'Denver County' },
+    { city: 'Colorado Springs', zip: '80903', county: 'El Paso County' }
+  ] },
+  { name: 'Connecticut', abbr: 'CT', locations: [
+    { city: 'Hartford', zip: '06103', county: 'Hartford County' },
+    { city: 'New Haven', zip: '06510', county: 'New Haven County' }
+  ] },
+  { name: 'Delaware', abbr: 'DE', locations: [
+    { city: 'Dover', zip: '19901', county: 'Kent County' },
+    { city: 'Wilmington', zip: '19801', county: 'New Castle County' }
+  ] },
+  { name: 'District of Columbia', abbr: 'DC', locations: [
+    { city: 'Washington', zip: '20001', county: 'District of Columbia' }
+  ] },
+  { name: 'Florida', abbr: 'FL', locations: [
+    { city: 'Miami', zip: '33131', county: 'Miami-Dade County' },
+    { city: 'Orlando', zip: '32801', county: 'Orange County' },
+    { city: 'Tallahassee', zip: '32301', county: 'Leon County' }
+  ] },
+  { name: 'Georgia', abbr: 'GA', locations: [
+    { city: 'Atlanta', zip: '30303', county: 'Fulton County' },
+    { city: 'Savannah', zip: '31401', county: 'Chatham County' }
+  ] },
+  { name: 'Hawaii', abbr: 'HI', locations: [
+    { city: 'Honolulu', zip: '96813', county: 'Honolulu County' },
+    { city: 'Hilo', zip: '96720', county: 'Hawaii County' }
+  ] },
+  { name: 'Idaho', abbr: 'ID', locations: [
+    { city: 'Boise', zip: '83702', county: 'Ada County' },
+    { city: 'Idaho Falls', zip: '83402', county: 'Bonneville County' }
+  ] },
+  { name: 'Illinois', abbr: 'IL', locations: [
+    { city: 'Chicago', zip: '60601', county: 'Cook County' },
+    { city: 'Springfield', zip: '62701', county: 'Sangamon County' }
+  ] },
+  { name: 'Indiana', abbr: 'IN', locations: [
+    { city: 'Indianapolis', zip: '46204', county: 'Marion County' },
+    { city: 'Fort Wayne', zip: '46802', county: 'Allen County' }
+  ] },
+  { name: 'Iowa', abbr: 'IA', locations: [
+    { city: 'Des Moines', zip: '50309', county: 'Polk County' },
+    { city: 'Cedar Rapids', zip: '52401', county: 'Linn County' }
+  ] },
+  { name: 'Kansas', abbr: 'KS', locations: [
+    { city: 'Wichita', zip: '67202', county: 'Sedgwick County' },
+    { city: 'Topeka', zip: '66603', county: 'Shawnee County' }
+  ] },
+  { name: 'Kentucky', abbr: 'KY', locations: [
+    { city: 'Louisville', zip: '40202', county: 'Jefferson County' },
+    { city: 'Lexington', zip: '40507', county: 'Fayette County' }
+  ] },
+  { name: 'Louisiana', abbr: 'LA', locations: [
+    { city: 'New Orleans', zip: '70112', county: 'Orleans Parish' },
+    { city: 'Baton Rouge', zip: '70802', county: 'East Baton Rouge Parish' }
+  ] },
+  { name: 'Maine', abbr: 'ME', locations: [
+    { city: 'Portland', zip: '04101', county: 'Cumberland County' },
+    { city: 'Augusta', zip: '04330', county: 'Kennebec County' }
+  ] },
+  { name: 'Maryland', abbr: 'MD', locations: [
+    { city: 'Baltimore', zip: '21202', county: 'Baltimore City' },
+    { city: 'Annapolis', zip: '21401', county: 'Anne Arundel County' }
+  ] },
+  { name: 'Massachusetts', abbr: 'MA', locations: [
+    { city: 'Boston', zip: '02108', county: 'Suffolk County' },
+    { city: 'Worcester', zip: '01608', county: 'Worcester County' }
+  ] },
+  { name: 'Michigan', abbr: 'MI', locations: [
+    { city: 'Detroit', zip: '48226', county: 'Wayne County' },
+    { city: 'Lansing', zip: '48933', county: 'Ingham County' }
+  ] },
+  { name: 'Minnesota', abbr: 'MN', locations: [
+    { city: 'Minneapolis', zip: '55401', county: 'Hennepin County' },
+    { city: 'Saint Paul', zip: '55102', county: 'Ramsey County' }
+  ] },
+  { name: 'Mississippi', abbr: 'MS', locations: [
+    { city: 'Jackson', zip: '39201', county: 'Hinds County' },
+    { city: 'Gulfport', zip: '39501', county: 'Harrison County' }
+  ] },
+  { name: 'Missouri', abbr: 'MO', locations: [
+    { city: 'Kansas City', zip: '64106', county: 'Jackson County' },
+    { city: 'St. Louis', zip: '63101', county: 'St. Louis City' }
+  ] },
+  { name: 'Montana', abbr: 'MT', locations: [
+    { city: 'Billings', zip: '59101', county: 'Yellowstone County' },
+    { city: 'Helena', zip: '59601', county: 'Lewis and Clark County' }
+  ] },
+  { name: 'Nebraska', abbr: 'NE', locations: [
+    { city: 'Omaha', zip: '68102', county: 'Douglas County' },
+    { city: 'Lincoln', zip: '68508', county: 'Lancaster County' }
+  ] },
+  { name: 'Nevada', abbr: 'NV', locations: [
+    { city: 'Las Vegas', zip: '89101', county: 'Clark County' },
+    { city: 'Reno', zip: '89501', county: 'Washoe County' }
+  ] },
+  { name: 'New Hampshire', abbr: 'NH', locations: [
+    { city: 'Manchester', zip: '03101', county: 'Hillsborough County' },
+    { city: 'Concord', zip: '03301', county: 'Merrimack County' }
+  ] },
+  { name: 'New Jersey', abbr: 'NJ', locations: [
+    { city: 'Newark', zip: '07102', county: 'Essex County' },
+    { city: 'Trenton', zip: '08608', county: 'Mercer County' }
+  ] },
+  { name: 'New Mexico', abbr: 'NM', locations: [
+    { city: 'Albuquerque', zip: '87102', county: 'Bernalillo County' },
+    { city: 'Santa Fe', zip: '87501', county: 'Santa Fe County' }
+  ] },
+  { name: 'New York', abbr: 'NY', locations: [
+    { city: 'New York', zip: '10001', county: 'New York County' },
+    { city: 'Albany', zip: '12207', county: 'Albany County' },
+    { city: 'Buffalo', zip: '14202', county: 'Erie County' }
+  ] },
+  { name: 'North Carolina', abbr: 'NC', locations: [
+    { city: 'Charlotte', zip: '28202', county: 'Mecklenburg County' },
+    { city: 'Raleigh', zip: '27601', county: 'Wake County' }
+  ] },
+  { name: 'North Dakota', abbr: 'ND', locations: [
+    { city: 'Fargo', zip: '58102', county: 'Cass County' },
+    { city: 'Bismarck', zip: '58501', county: 'Burleigh County' }
+  ] },
+  { name: 'Ohio', abbr: 'OH', locations: [
+    { city: 'Columbus', zip: '43215', county: 'Franklin County' },
+    { city: 'Cincinnati', zip: '45202', county: 'Hamilton County' },
+    { city: 'Cleveland', zip: '44113', county: 'Cuyahoga County' }
+  ] },
+  { name: 'Oklahoma', abbr: 'OK', locations: [
+    { city: 'Oklahoma City', zip: '73102', county: 'Oklahoma County' },
+    { city: 'Tulsa', zip: '74103', county: 'Tulsa County' }
+  ] },
+  { name: 'Oregon', abbr: 'OR', locations: [
+    { city: 'Portland', zip: '97201', county: 'Multnomah County' },
+    { city: 'Salem', zip: '97301', county: 'Marion County' }
+  ] },
+  { name: 'Pennsylvania', abbr: 'PA', locations: [
+    { city: 'Philadelphia', zip: '19107', county: 'Philadelphia County' },
+    { city: 'Pittsburgh', zip: '15222', county: 'Allegheny County' }
+  ] },
+  { name: 'Rhode Island', abbr: 'RI', locations: [
+    { city: 'Providence', zip: '02903', county: 'Providence County' },
+    { city: 'Newport', zip: '02840', county: 'Newport County' }
+  ] },
+  { name: 'South Carolina', abbr: 'SC', locations: [
+    { city: 'Columbia', zip: '29201', county: 'Richland County' },
+    { city: 'Charleston', zip: '29401', county: 'Charleston County' }
+  ] },
+  { name: 'South Dakota', abbr: 'SD', locations: [
+    { city: 'Sioux Falls', zip: '57104', county: 'Minnehaha County' },
+    { city: 'Pierre', zip: '57501', county: 'Hughes County' }
+  ] },
+  { name: 'Tennessee', abbr: 'TN', locations: [
+    { city: 'Nashville', zip: '37203', county: 'Davidson County' },
+    { city: 'Memphis', zip: '38103', county: 'Shelby County' }
+  ] },
+  { name: 'Texas', abbr: 'TX', locations: [
+    { city: 'Austin', zip: '78701', county: 'Travis County' },
+    { city: 'Dallas', zip: '75201', county: 'Dallas County' },
+    { city: 'Houston', zip: '77002', county: 'Harris County' }
+  ] },
+  { name: 'Utah', abbr: 'UT', locations: [
+    { city: 'Salt Lake City', zip: '84101', county: 'Salt Lake County' },
+    { city: 'Provo', zip: '84601', county: 'Utah County' }
+  ] },
+  { name: 'Vermont', abbr: 'VT', locations: [
+    { city: 'Burlington', zip: '05401', county: 'Chittenden County' },
+    { city: 'Montpelier', zip: '05602', county: 'Washington County' }
+  ] },
+  { name: 'Virginia', abbr: 'VA', locations: [
+    { city: 'Richmond', zip: '23219', county: 'Richmond City' },
+    { city: 'Virginia Beach', zip: '23451', county: 'Virginia Beach City' }
+  ] },
+  { name: 'Washington', abbr: 'WA', locations: [
+    { city: 'Seattle', zip: '98101', county: 'King County' },
+    { city: 'Spokane', zip: '99201', county: 'Spokane County' }
+  ] },
+  { name: 'West Virginia', abbr: 'WV', locations: [
+    { city: 'Charleston', zip: '25301', county: 'Kanawha County' },
+    { city: 'Morgantown', zip: '26505', county: 'Monongalia County' }
+  ] },
+  { name: 'Wisconsin', abbr: 'WI', locations: [
+    { city: 'Milwaukee', zip: '53202', county: 'Milwaukee County' },
+    { city: 'Madison', zip: '53703', county: 'Dane County' }
+  ] },
+  { name: 'Wyoming', abbr: 'WY', locations: [
+    { city: 'Cheyenne', zip: '82001', county: 'Laramie County' },
+    { city: 'Casper', zip: '82601', county: 'Natrona County' }
+  ] }
+];
+
+/**
+ * Strip the county-equivalent suffix so "Travis County", "travis" and "Travis Co." compare equal
+ * (parishes, boroughs, municipalities and independent cities included)
+ * @param {string} county - County name as shown in data or a dropdown option
+ * @returns {string} - Lower-cased core name
+ */
+export function normalizeCountyName(county) {
+  return String(county || '')
+    .toLowerCase()
+    .replace(/\b(county|parish|borough|municipality|city and borough|census area)\b|\bco\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,120 @@
+import fs from 'fs';
+
+/**
+ * Trace Recorder
+ * Structured per-step timeline for a FastAgent run, written to test-runs/<run>/trace.json
+ * One entry per runStepByStep iteration: URL, matched PAGE_HANDLERS entry, every sub-action
+ * (direct selectors, Stagehand calls, CTA clicks) with the strategy that worked, timing and screenshots
+ */
+
+export class TraceRecorder {
+  /**
+   * @param {string} filePath - Where to write the trace (rewritten after every step)
+   * @param {Object} meta - Run metadata stored at the top of the trace (run name, scenario, seed...)
+   */
+  constructor(filePath, meta = {}) {
+    this.filePath = filePath;
+    this.trace = {
+      ...meta,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      steps: []
+    };
+    this.currentStep = null;
+    this.stepStartTime = null;
+  }
+
+  /**
+   * Begin a new step, closing the previous one
+   * @param {Object} step - { index, url }
+   */
+  startStep({ index, url }) {
+    this.endStep();
+    this.currentStep = {
+      index,
+      url,
+      handler: null,
+      strategy: null,
+      outcome: null,
+      startedAt: new Date().toISOString(),
+      durationMs: null,
+      actions: [],
+      screenshots: []
+    };
+    this.stepStartTime = Date.now();
+    this.trace.steps.push(this.currentStep);
+  }
+
+  /**
+   * Merge fields into the current step (handler, strategy, outcome, error...)
+   */
+  annotateStep(fields) {
+    this.ensureStep();
+    Object.assign(this.currentStep, fields);
+  }
+
+  /**
+   * Record one sub-action of the current step
+   * @param {Object} action - { type, target, strategy, selector, success, durationMs, error }
+   */
+  recordAction(action) {
+    this.ensureStep();
+    this.currentStep.actions.push({ at: new Date().toISOString(), ...action });
+  }
+
+  /**
+   * Attach screenshot path(s) to the current step
+   * @param {string|string[]} paths
+   */
+  recordScreenshots(paths) {
+    if (!paths) return;
+    this.ensureStep();
+    this.currentStep.screenshots.push(...(Array.isArray(paths) ? paths : [paths]));
+  }
+
+  /**
+   * Close the current step and flush the trace to disk
+   */
+  endStep() {
+    if (!this.currentStep) return;
+    this.currentStep.durationMs = Date.now() - this.stepStartTime;
+    this.currentStep = null;
+    this.save();
+  }
+
+  /**
+   * Store the run's model usage (see UsageTracker) at the top of the trace
+   */
+  setUsage(usage) {
+    this.trace.usage = usage;
+  }
+
+  /**
+   * Close the trace with the run result (safe to call more than once - later results are merged in)
+   * @param {Object} result - { success, finalUrl, error, ... }
+   */
+  finish(result = {}) {
+    this.endStep();
+    this.trace.finishedAt = this.trace.finishedAt || new Date().toISOString();
+    this.trace.result = { ...this.trace.result, ...result };
+    this.save();
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.trace, null, 2));
+    } catch (e) {
+      console.log(`   Could not write trace: ${e.message}`);
+    }
+  }
+
+  // Actions outside the main loop land in a setup step (before it) or a wrap-up step (after it)
+  ensureStep() {
+    if (!this.currentStep) {
+      const isSetup = this.trace.steps.length === 0;
+      this.startStep({ index: isSetup ? 0 : null, url: null });
+      this.currentStep.handler = isSetup ? 'setup' : 'wrap-up';
+    }
+  }
+}
@@ -0,0 +1,253 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { PAGE_HANDLERS } from './pageHandlers.js';
+import { pathTemplate } from './runHistory.js';
+import { annotatePage, clearAnnotations } from './elementAnnotation.js';
+import { JOURNEY_QUESTIONS } from './journeyAnswers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Unknown Pages
+ * Every page no PAGE_HANDLERS entry claims is captured before the AI fallback handles it:
+ * URL, headings, the annotated interactive elements and a screenshot with the markers visible.
+ * Captures are appended to unknown-pages/pages.jsonl across runs, grouped by URL path template,
+ * and turned into draft PAGE_HANDLERS entries and handler method skeletons by `npm run unknown-pages`
+ */
+
+export const UNKNOWN_PAGES_DIR = path.join(__dirname, '..', 'unknown-pages');
+export const UNKNOWN_PAGES_PATH = path.join(UNKNOWN_PAGES_DIR, 'pages.jsonl');
+
+// Elements kept per capture - enough to write a handler from, small enough for a log line
+const MAX_ELEMENTS = 60;
+
+/**
+ * Capture an unmatched page
+ * @param {Object} page - Stagehand page
+ * @param {Object} options - { screenshotDir }
+ * @returns {Promise<Object>} - { url, template, title, headings, elements, screenshot, marks }
+ *   marks - { elements, screenshot } the full annotatePage() list and the marked screenshot Buffer,
+ *   for FastAgent.decideNextAction() on the same page (not for the log); null if annotation failed
+ */
+export async function captureUnknownPage(page, { screenshotDir = path.join(UNKNOWN_PAGES_DIR, 'screenshots') } = {}) {
+  const url = page.url();
+  const template = pathTemplate(url);
+  const capture = { url, template, title: null, headings: [], elements: [], screenshot: null, marks: null };
+
+  try {
+    Object.assign(capture, await page.evaluate(() => ({
+      title: document.title,
+      headings: [...document.querySelectorAll('h1, h2, h3, legend, [role="heading"]')]
+        .filter(el => el.offsetParent !== null)
+        .map(el => el.textContent.trim().replace(/\s+/g, ' '))
+        .filter(Boolean)
+        .slice(0, 10)
+    })));
+  } catch (e) {
+    console.log(`   Could not read headings: ${e.message}`);
+  }
+
+  try {
+    const annotated = await annotatePage(page);
+    capture.elements = annotated.slice(0, MAX_ELEMENTS)
+      .map(({ index, tag, text, label, type, selector }) => ({ index, tag, text: text.replace(/\s+/g, ' ').slice(0, 80), label: label || null, type, selector }));
+    fs.mkdirSync(screenshotDir, { recursive: true });
+    const filename = `${Date.now()}_${template.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '') || 'root'}.png`;
+    const screenshot = await page.screenshot({ path: path.join(screenshotDir, filename), fullPage: true });
+    capture.screenshot = path.relative(UNKNOWN_PAGES_DIR, path.join(screenshotDir, filename));
+    capture.marks = { elements: annotated, screenshot };
+  } catch (e) {
+    console.log(`   Could not annotate unknown page: ${e.message}`);
+  } finally {
+    // The AI fallback gets the page back without markers
+    await clearAnnotations(page).catch(() => {});
+  }
+
+  return capture;
+}
+
+/**
+ * Append one capture to the log
+ * @param {Object} capture - From captureUnknownPage(), plus run context (runId, environment, ...)
+ * @param {string} logPath - JSONL file
+ * @returns {Object} - The stored record
+ */
+export function appendUnknownPage(capture, logPath = UNKNOWN_PAGES_PATH) {
+  const record = { timestamp: new Date().toISOString(), ...capture };
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.appendFileSync(logPath, JSON.stringify(record) + '\n');
+  return record;
+}
+
+/**
+ * Load the log
+ * @param {Object} options - { since } ISO date; only captures on or after it
+ * @param {string} logPath - JSONL file
+ * @returns {Object[]}
+ */
+export function loadUnknownPages({ since = null } = {}, logPath = UNKNOWN_PAGES_PATH) {
+  if (!fs.existsSync(logPath)) return [];
+  const sinceTime = since ? new Date(since).getTime() : null;
+
+  return fs.readFileSync(logPath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null; // Skip a torn line from an interrupted write
+      }
+    })
+    .filter(entry => entry && (!sinceTime || new Date(entry.timestamp).getTime() >= sinceTime));
+}
+
+/**
+ * Group captures by path template, most frequent first
+ * @param {Object[]} entries - From loadUnknownPages()
+ * @returns {Object[]} - { template, count, runs, firstSeen, lastSeen, urls, latest }
+ */
+export function summarizeUnknownPages(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const template = entry.template || pathTemplate(entry.url);
+    const group = groups.get(template) || { template, count: 0, runIds: new Set(), firstSeen: entry.timestamp, urls: new Set(), latest: null };
+    group.count++;
+    if (entry.runId) group.runIds.add(entry.runId);
+    group.urls.add(entry.url);
+    group.lastSeen = entry.timestamp;
+    // Prefer the most recent capture that got as far as annotating the page
+    if (!group.latest || entry.elements?.length || !group.latest.elements?.length) {
+      group.latest = entry;
+    }
+    groups.set(template, group);
+  }
+  return [...groups.values()]
+    .map(({ runIds, urls, ...group }) => ({ ...group, runs: runIds.size, urls: [...urls].slice(0, 5) }))
+    .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen));
+}
+
+const camelCase = words => words
+  .map((word, i) => (i === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+  .join('');
+
+/**
+ * PAGE_HANDLERS name for a path template, from its last literal segment
+ * e.g. /shop/llc/state-filing-fee -> stateFilingFee; clashes with existing names get a "Page" suffix
+ * @param {string} template
+ * @param {Object[]} handlers - Existing entries
+ * @returns {string}
+ */
+export function draftHandlerName(template, handlers = PAGE_HANDLERS) {
+  const segment = template.split('/').filter(part => part && !part.startsWith(':')).pop() || 'home';
+  let name = camelCase(segment.split(/[^a-z0-9]+/i).filter(Boolean)) || 'unknownPage';
+  if (/^\d/.test(name)) name = `page${name}`;
+  const taken = new Set(handlers.map(pageConfig => pageConfig.name));
+  while (taken.has(name)) name += 'Page';
+  return name;
+}
+
+// Source for a JS string literal
+const quote = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// Persona values for drafted fill() lines, by the input's text or selector: the contact and address
+// fields every flow asks for, then the free-text journey questions (see journeyAnswers.js)
+const FILL_HINTS = [
+  [/first.?name/i, 'this.persona.firstName'],
+  [/last.?name/i, 'this.persona.lastName'],
+  [/e-?mail/i, 'this.persona.email'],
+  [/phone/i, 'this.persona.phone'],
+  [/(business|company).?name/i, 'this.businessDetails.businessName'],
+  [/street|address/i, 'this.persona.address.street'],
+  [/city/i, 'this.persona.address.city'],
+  [/zip|postal/i, 'this.persona.address.zip']
+];
+const JOURNEY_FILLS = {
+  employees: 'String(this.persona.employees)',
+  revenue: 'String(this.persona.revenue)',
+  industry: 'this.persona.industry',
+  businessIdea: 'this.persona.businessIdea'
+};
+
+/**
+ * Persona expression to fill an input with
+ * @param {Object} element - Capture element { text, label, selector }
+ * @returns {string|null} - null when no persona field fits
+ */
+function fillValue(element) {
+  const description = element.label || element.text || '';
+  const hint = FILL_HINTS.find(([pattern]) => pattern.test(`${description} ${element.selector}`));
+  if (hint) return hint[1];
+  const question = JOURNEY_QUESTIONS.find(entry => entry.patterns.some(pattern => pattern.test(description)));
+  return JOURNEY_FILLS[question?.field] || null;
+}
+
+/**
+ * Draft a PAGE_HANDLERS entry and a FastAgent handler method for a group of captures
+ * Path templates with :id/:n segments, or a single-word last segment, become template patterns;
+ * other paths their last segment as a substring
+ * @param {Object} group - From summarizeUnknownPages()
+ * @param {Object[]} handlers - Existing entries, for name clashes
+ * @returns {Object} - { name, handler, entry, method } entry and method are source text
+ */
+export function draftPageHandler(group, handlers = PAGE_HANDLERS) {
+  const name = draftHandlerName(group.template, handlers);
+  const handler = `handle${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  const capture = group.latest || {};
+  const elements = capture.elements || [];
+  const headings = capture.headings || [];
+
+  // A slug like 'referral-survey' on its own; a single word only as a template (see findBareWords)
+  const lastSegment = group.template.split('/').filter(Boolean).pop() || '';
+  const urlPattern = group.template.includes('/:') || /^[a-z0-9]*$/i.test(lastSegment)
+    ? `{ path: ${quote(group.template)} }`
+    : quote(lastSegment);
+
+  const fields = elements
+    .filter(el => ['input', 'select', 'textarea'].includes(el.tag) && el.selector.startsWith('#'))
+    .slice(0, 3)
+    .map(el => el.selector);
+  const signature = [
+    headings.length ? `      headings: [${headings.slice(0, 2).map(text => quote(text.toLowerCase())).join(', ')}]` : null,
+    fields.length ? `      fields: [${fields.map(quote).join(', ')}]` : null
+  ].filter(Boolean);
+
+  const entry = [
+    '  {',
+    `    name: ${quote(name)},`,
+    `    urlPatterns: [${urlPattern}],`,
+    ...(signature.length ? ['    domSignature: {', signature.join(',\n'), '    },'] : []),
+    `    handler: ${quote(handler)}`,
+    '  }'
+  ].join('\n');
+
+  const describe = el => {
+    const description = el.text || el.label;
+    const text = description ? ` "${description.slice(0, 40)}"` : '';
+    return `   *   [${el.index}] ${el.tag}${el.type && el.type !== el.tag ? `:${el.type}` : ''}${text} (${el.selector})`;
+  };
+  const inputs = elements.filter(el => ['input', 'select', 'textarea'].includes(el.tag) && !['radio', 'checkbox', 'submit'].includes(el.type));
+  const title = headings[0] || group.template;
+  const method = [
+    '  /**',
+    `   * ${title} (${group.template})`,
+    `   * Drafted from ${group.count} unknown-page capture${group.count === 1 ? '' : 's'}${capture.screenshot ? ` - see unknown-pages/${capture.screenshot}` : ''}`,
+    ...(elements.length ? ['   * Interactive elements:', ...elements.slice(0, 15).map(describe)] : []),
+    '   */',
+    `  async ${handler}() {`,
+    `    console.log('   ${title.replace(/'/g, "\\'").slice(0, 60)} page...');`,
+    // Inputs no persona field fits are left to whoever finishes the handler (listed above)
+    ...inputs.slice(0, 5)
+      .map(el => [el, fillValue(el)])
+      .filter(([, value]) => value)
+      .map(([el, value]) => `    await this.fill(${quote(el.label || el.text || el.selector)}, ${value});`),
+    '    await this.clickCTA();',
+    '    await this.waitForNavigation();',
+    '  }'
+  ].join('\n');
+
+  return { name, handler, entry, method };
+}
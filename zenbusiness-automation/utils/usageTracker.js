@@ -0,0 +1,230 @@
+/**
+ * Usage Tracker
+ * Token and cost accounting for every model call a run makes: Stagehand act() (OpenAI)
+ * and the Anthropic vision calls. Totals are broken down per handler and per model so
+ * expensive pages stand out as candidates for direct selectors.
+ * An optional budget caps calls, tokens or dollars per run and per page
+ */
+
+// USD per 1M tokens. Matched by model-name prefix, longest prefix first
+export const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'claude-3-5-haiku': { input: 0.80, output: 4.00 },
+  'claude-3-5-sonnet': { input: 3.00, output: 15.00 },
+  'claude-sonnet-4': { input: 3.00, output: 15.00 },
+  'claude-haiku-4-5': { input: 1.00, output: 5.00 },
+  'stub': { input: 0, output: 0 },
+  'scripted': { input: 0, output: 0 }
+};
+
+/**
+ * Price entry for a model ("openai/gpt-4o-mini" and dated snapshots resolve too)
+ * @param {string} model
+ * @returns {Object|null} - { input, output } USD per 1M tokens
+ */
+export function pricingFor(model) {
+  const name = String(model || '').split('/').pop();
+  const match = Object.keys(MODEL_PRICING)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICING[match] : null;
+}
+
+/**
+ * Estimated cost of one call in USD (null when the model has no price entry)
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+  const pricing = pricingFor(model);
+  if (!pricing) return null;
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+}
+
+/**
+ * Format a USD amount with enough precision for sub-cent calls
+ */
+export function formatCost(usd) {
+  if (usd === null || usd === undefined) return '-';
+  return usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
+
+/**
+ * Thrown once a run or page goes over its LLM budget
+ * Carries code BUDGET_EXCEEDED so run history and reporters can tell it from other failures
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {string} scope - 'run' or 'page'
+   * @param {string} limit - 'calls', 'tokens' or 'costUsd'
+   * @param {number} used
+   * @param {number} max
+   */
+  constructor(scope, limit, used, max) {
+    const format = value => (limit === 'costUsd' ? formatCost(value) : value);
+    super(`${scope} LLM budget exhausted: ${format(used)} of ${format(max)} ${limit}`);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.scope = scope;
+    this.limit = limit;
+    this.used = used;
+    this.max = max;
+  }
+}
+
+/**
+ * Rethrow a BudgetExceededError from a catch block that would otherwise fall through to the
+ * next (paid) strategy - a spent budget stops the run, it isn't one more failed attempt
+ * @param {Error} error
+ * @throws {BudgetExceededError}
+ */
+export function rethrowIfBudgetExceeded(error) {
+  if (error?.code === 'BUDGET_EXCEEDED') throw error;
+}
+
+/**
+ * Parse a budget spec like "calls=200,tokens=500000,cost=1.50"
+ * @param {string} spec
+ * @returns {Object} - { calls, tokens, costUsd } (only the limits given)
+ */
+export function parseBudget(spec) {
+  const keys = { calls: 'calls', tokens: 'tokens', cost: 'costUsd' };
+  const budget = {};
+  for (const part of String(spec).split(',').map(item => item.trim()).filter(Boolean)) {
+    const [name, value] = part.split('=');
+    const number = Number(value);
+    if (!keys[name] || value === undefined || !Number.isFinite(number) || number < 0) {
+      throw new Error(`Invalid budget "${part}". Use calls=N, tokens=N and/or cost=USD`);
+    }
+    budget[keys[name]] = number;
+  }
+  return budget;
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, costUsd: 0 };
+}
+
+function addTo(totals, call) {
+  totals.calls++;
+  totals.inputTokens += call.inputTokens;
+  totals.outputTokens += call.outputTokens;
+  totals.latencyMs += call.latencyMs;
+  totals.costUsd += call.costUsd || 0;
+}
+
+export class UsageTracker {
+  /**
+   * @param {Object} budget - { run: { calls, tokens, costUsd }, page: { calls, tokens, costUsd } }, null = no limit
+   */
+  constructor(budget = {}) {
+    this.calls = [];
+    this.budget = { run: { ...budget.run }, page: { ...budget.page } };
+    this.page = { key: null, totals: emptyTotals() };
+    this.exceeded = null; // BudgetExceededError once a limit is hit
+  }
+
+  /**
+   * Start counting a new page for the per-page budget
+   * Repeated steps on the same page (stuck loops) keep accumulating; FastAgent keys pages by URL plus
+   * form-control fingerprint, so the sections of a single-URL checkout or journey each get their own budget
+   * @param {string} key - Page identity, e.g. URL + pageFingerprint()
+   */
+  startPage(key) {
+    if (key === this.page.key) return;
+    this.page = { key, totals: emptyTotals() };
+  }
+
+  /**
+   * Throw if a limit has been hit - called before each model call so no more spend happens
+   * @throws {BudgetExceededError}
+   */
+  assertWithinBudget() {
+    if (this.exceeded) throw this.exceeded;
+  }
+
+  // Compare totals with the run and page limits, remembering the first limit reached
+  checkBudget() {
+    const scopes = [['run', this.summary().total], ['page', this.page.totals]];
+    for (const [scope, totals] of scopes) {
+      const used = { calls: totals.calls, tokens: totals.inputTokens + totals.outputTokens, costUsd: totals.costUsd };
+      for (const [limit, max] of Object.entries(this.budget[scope])) {
+        if (max !== null && max !== undefined && used[limit] >= max) {
+          this.exceeded = this.exceeded || new BudgetExceededError(scope, limit, used[limit], max);
+        }
+      }
+    }
+  }
+
+  /**
+   * Record one model call
+   * @param {Object} call - { provider, model, handler, purpose, inputTokens, outputTokens, latencyMs }
+   * @returns {Object} - The stored call with costUsd
+   */
+  record({ provider, model, handler = null, purpose = null, inputTokens = 0, outputTokens = 0, latencyMs = 0 }) {
+    const call = {
+      at: new Date().toISOString(),
+      provider,
+      model,
+      handler: handler || 'unknown',
+      purpose,
+      inputTokens,
+      outputTokens,
+      latencyMs,
+      costUsd: estimateCost(model, inputTokens, outputTokens)
+    };
+    this.calls.push(call);
+    addTo(this.page.totals, call);
+    this.checkBudget();
+    return call;
+  }
+
+  /**
+   * Totals overall, per handler and per model
+   * @returns {Object} - { total, byHandler, byModel, unpricedModels }
+   */
+  summary() {
+    const total = emptyTotals();
+    const byHandler = {};
+    const byModel = {};
+    for (const call of this.calls) {
+      addTo(total, call);
+      addTo(byHandler[call.handler] = byHandler[call.handler] || emptyTotals(), call);
+      addTo(byModel[call.model] = byModel[call.model] || emptyTotals(), call);
+    }
+    const unpricedModels = [...new Set(this.calls.filter(call => call.costUsd === null).map(call => call.model))];
+    return { total, byHandler, byModel, unpricedModels };
+  }
+
+  toJSON() {
+    return {
+      ...this.summary(),
+      budget: this.budget,
+      budgetExceeded: this.exceeded ? this.exceeded.message : null,
+      calls: this.calls
+    };
+  }
+
+  /**
+   * Print totals with the most expensive handlers first
+   */
+  printSummary() {
+    const { total, byHandler, unpricedModels } = this.summary();
+    if (total.calls === 0) {
+      console.log('LLM usage: no model calls');
+      return;
+    }
+    console.log(`LLM usage: ${total.calls} calls, ${total.inputTokens} in / ${total.outputTokens} out tokens, ~${formatCost(total.costUsd)}`);
+    const handlers = Object.entries(byHandler).sort((a, b) => b[1].costUsd - a[1].costUsd);
+    for (const [handler, totals] of handlers) {
+      console.log(`   ${handler.padEnd(26)} ${String(totals.calls).padStart(3)} calls  ${String(totals.inputTokens + totals.outputTokens).padStart(8)} tokens  ${formatCost(totals.costUsd)}`);
+    }
+    if (unpricedModels.length > 0) {
+      console.log(`   No price entry for: ${unpricedModels.join(', ')} (not included in cost)`);
+    }
+    if (this.exceeded) {
+      console.log(`   ${this.exceeded.code}: ${this.exceeded.message}`);
+    }
+  }
+}